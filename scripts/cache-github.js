@@ -1,18 +1,148 @@
 /**
- * Build-time script: fetch GitHub data and write to public/github-data.json
- * so the gallery can load without hitting the API at runtime.
+ * Build-time script: fetch forge data (GitHub, GitLab or Gitea) and write it
+ * to src/github-data.json so the gallery can load without hitting the API at
+ * runtime. The file follows the versioned schema in src/schema.js; older
+ * files are migrated before their data is reused.
  *
- * Usage:  node scripts/cache-github.js
- * Env:    VITE_GITHUB_TOKEN (optional, raises rate limit from 60 to 5000/hr)
+ * Repos whose `pushed_at` / `updated_at` match the previous src/github-data.json
+ * reuse its per-repo details (REPO_DETAILS) and featured files; only changed
+ * repos are refetched. Issues, pull requests and stars change without a push,
+ * so they are refetched for every repo.
+ * Contributor avatars are downloaded and embedded, so portraits load offline too.
+ *
+ * CONFIG.featuredFiles lists source files to bundle per repo, so the in-room
+ * source viewer can open them without the network. With CONFIG.gists enabled,
+ * the user's public gists (GitHub only) are bundled for the gists wing.
+ * CONFIG.repos.pinned picks the grand hall's repos; left empty, the profile's
+ * pins are used (GitHub with a token only).
+ *
+ * Defaults come from src/config.js — the same CONFIG the app reads — and
+ * command-line flags override them for one run; `--help` lists the flags and
+ * the environment variables read (USAGE below).
  */
 
 import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { resolve, dirname } from 'path';
+import { resolve, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { CONFIG } from '../src/config.js';
+import { createProvider, fetchOrgContributions, primaryLanguage, resolvePinned } from '../src/providers/index.js';
+import { selectRepos } from '../src/selection.js';
+import { migrateData, normalizeData, validateData } from '../src/schema.js';
+import { createLocalProvider } from './local-provider.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = resolve(__dirname, '..');
 
+// ---------------------------------------------------------------------------
+//  Command line
+// ---------------------------------------------------------------------------
+const USAGE = `Usage:  node scripts/cache-github.js [options] [--local <dir>...]
+
+  --user <name>      account to cache (CONFIG.username)
+  --org <name>       organisation gallery (CONFIG.org)
+  --out <file>       output path (src/github-data.json)
+  --max-repos <n>    cap on repos (CONFIG.repos.maxCount)
+  --commits <n>      commits kept per repo (10)
+  --local            build from the git repos listed after the options, offline
+  --full             ignore the previous cache and refetch everything
+  --strict           exit 1 if anything failed, instead of shipping partial data
+  --dry-run          fetch and report, but do not write the file
+  --verbose          log every request-level decision
+
+Env:    VITE_GITHUB_TOKEN (optional, raises rate limit from 60 to 5000/hr)
+        VITE_GITLAB_TOKEN / VITE_GITEA_TOKEN for the other providers`;
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      user:        { type: 'string' },
+      org:         { type: 'string' },
+      out:         { type: 'string' },
+      'max-repos': { type: 'string' },
+      commits:     { type: 'string' },
+      local:       { type: 'boolean' },
+      full:        { type: 'boolean' },
+      strict:      { type: 'boolean' },
+      'dry-run':   { type: 'boolean' },
+      verbose:     { type: 'boolean' },
+      help:        { type: 'boolean', short: 'h' },
+    },
+  });
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+const { values: opts, positionals } = args;
+if (opts.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+/** Parse a positive integer flag, or exit with usage. */
+function intFlag(name, fallback) {
+  if (opts[name] === undefined) return fallback;
+  const n = Number(opts[name]);
+  if (!Number.isInteger(n) || n < 1) {
+    console.error(`--${name} expects a positive integer, got "${opts[name]}"\n\n${USAGE}`);
+    process.exit(2);
+  }
+  return n;
+}
+
+const USERNAME     = opts.user ?? CONFIG.username;
+const ORG          = opts.org ?? CONFIG.org ?? '';
+const OUT_PATH     = resolve(opts.out ?? resolve(ROOT, 'src/github-data.json'));
+const COMMIT_LIMIT = intFlag('commits', 10);
+const SELECTION    = { ...CONFIG.repos, maxCount: intFlag('max-repos', CONFIG.repos?.maxCount ?? 30) };
+const FULL         = !!opts.full;
+const STRICT       = !!opts.strict;
+const DRY_RUN      = !!opts['dry-run'];
+const VERBOSE      = !!opts.verbose;
+const LOCAL_DIRS   = opts.local ? positionals : null;
+
+if (LOCAL_DIRS && !LOCAL_DIRS.length) {
+  console.error('--local needs at least one repository path');
+  process.exit(2);
+}
+if (!LOCAL_DIRS && positionals.length) {
+  console.error(`Unexpected argument "${positionals[0]}"\n\n${USAGE}`);
+  process.exit(2);
+}
+if (!USERNAME) {
+  console.error('No username: set CONFIG.username in src/config.js or pass --user');
+  process.exit(2);
+}
+
+// Every warning counts as an error under --strict
+let errorCount = 0;
+function warn(...msg) {
+  errorCount++;
+  console.warn(...msg);
+}
+function debug(...msg) {
+  if (VERBOSE) console.log(...msg);
+}
+
+// Releases kept per repo — one per slot on a room's release shelf
+const RELEASE_LIMIT = 5;
+
+// Issues + pull requests kept per repo for its project board
+const ACTIVITY_LIMIT = 30;
+
+// Portraits per room, and the largest avatar image worth embedding
+const CONTRIBUTOR_LIMIT = 8;
+const MAX_AVATAR_BYTES  = 64 * 1024;
+
+// Stargazers read per repo for its star history (the oldest ones; the room
+// draws any stars beyond them as a jump to today's count)
+const STAR_LIMIT = 3000;
+
+// Featured files above this size stay live-only (the viewer truncates them anyway)
+const MAX_FILE_BYTES = 256 * 1024;
+
 // ---------------------------------------------------------------------------
 //  Load env vars (VITE_GITHUB_TOKEN) from .env if present
 // ---------------------------------------------------------------------------
@@ -29,159 +159,309 @@ if (existsSync(envPath)) {
   }
 }
 
-// ---------------------------------------------------------------------------
-//  Read CONFIG.username from src/main.js
-// ---------------------------------------------------------------------------
-const mainSrc = readFileSync(resolve(ROOT, 'src/main.js'), 'utf-8');
-const usernameMatch = mainSrc.match(/username:\s*['"]([^'"]+)['"]/);
-if (!usernameMatch) {
-  console.error('Could not parse CONFIG.username from src/main.js');
-  process.exit(1);
-}
-const USERNAME = usernameMatch[1];
-console.log(`Caching GitHub data for user: ${USERNAME}`);
+const PROVIDER_TYPE = CONFIG.provider?.type || 'github';
+const PROVIDER_URL  = CONFIG.provider?.baseUrl || '';
+
+console.log(
+  `Caching ${LOCAL_DIRS ? 'local git' : PROVIDER_TYPE} data for ` +
+  (ORG && !LOCAL_DIRS ? `organisation: ${ORG}` : `user: ${USERNAME}`)
+);
+debug(`  Output: ${relative(ROOT, OUT_PATH)}${DRY_RUN ? ' (dry run)' : ''}`);
+debug(`  Selection: ${JSON.stringify(SELECTION)}`);
 
 // ---------------------------------------------------------------------------
-//  GitHub API helpers
+//  Provider (same implementation the runtime uses)
 // ---------------------------------------------------------------------------
-const GH_API = 'https://api.github.com';
-const CONTRIB_API = 'https://github-contributions-api.jogruber.de/v4';
-const GH_TOKEN = process.env.VITE_GITHUB_TOKEN || '';
-const GH_HEADERS = {
-  Accept: 'application/vnd.github.v3+json',
-  ...(GH_TOKEN ? { Authorization: `token ${GH_TOKEN}` } : {}),
+const TOKENS = {
+  github:  process.env.VITE_GITHUB_TOKEN || '',
+  gitlab:  process.env.VITE_GITLAB_TOKEN || '',
+  gitea:   process.env.VITE_GITEA_TOKEN  || '',
+  forgejo: process.env.VITE_GITEA_TOKEN  || '',
 };
+debug(`  Token: ${TOKENS[PROVIDER_TYPE] && !LOCAL_DIRS ? 'yes' : 'no'}`);
+const provider = LOCAL_DIRS
+  ? createLocalProvider(LOCAL_DIRS, { owner: USERNAME })
+  : createProvider({
+    type:    PROVIDER_TYPE,
+    baseUrl: PROVIDER_URL,
+    token:   TOKENS[PROVIDER_TYPE] || '',
+  });
+
+/** Split "owner/name" on the last slash (GitLab namespaces can nest). */
+function repoOwner(repo) {
+  return repo.full_name.slice(0, repo.full_name.lastIndexOf('/'));
+}
+
+/** Download an image as a data: URL. */
+async function downloadImage(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const type = (res.headers.get('Content-Type') || '').split(';')[0];
+  if (!type.startsWith('image/')) throw new Error(`not an image (${type || 'no type'})`);
+  const bytes = Buffer.from(await res.arrayBuffer());
+  if (bytes.length > MAX_AVATAR_BYTES) throw new Error(`${(bytes.length / 1024).toFixed(0)} KB is too large`);
+  return `data:${type};base64,${bytes.toString('base64')}`;
+}
+
+/** CONFIG.featuredFiles paths for a repo that its file tree lists as files. */
+function featuredPaths(repo, tree) {
+  const wanted = CONFIG.featuredFiles || {};
+  const paths  = new Set([...(wanted['*'] || []), ...(wanted[repo.name] || [])]);
+  const blobs  = new Set((tree?.entries || []).filter(e => e.type === 'blob').map(e => e.path));
+  return [...paths].filter(path => {
+    if (blobs.has(path)) return true;
+    debug(`    ${repo.name}: featured file ${path} not in the tree — skipped`);
+    return false;
+  });
+}
+
+/**
+ * The previous cache file, upgraded to the current schema, if it was built
+ * for the same account and forge.
+ */
+function loadPrevious() {
+  if (!existsSync(OUT_PATH)) return null;
+  try {
+    const prev   = migrateData(JSON.parse(readFileSync(OUT_PATH, 'utf-8')));
+    const errors = validateData(prev);
+    if (errors.length) throw new Error(`${errors.length} schema errors, first: ${errors[0]}`);
+    const sameSource =
+      prev.username === USERNAME &&
+      prev.org === (LOCAL_DIRS ? '' : ORG) &&
+      prev.provider === provider.type &&
+      (prev.commitLimit ?? 10) === COMMIT_LIMIT;
+    if (!sameSource) debug('  Previous cache is for a different source — not reusing it');
+    return sameSource ? prev : null;
+  } catch (err) {
+    warn(`  Ignoring unreadable previous cache: ${err.message}`);
+    return null;
+  }
+}
 
-async function ghFetch(url) {
-  const res = await fetch(url, { headers: GH_HEADERS });
-  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-  return res.json();
+/**
+ * Per-repo details that only change with a push: the map each goes into, and
+ * how to load it. Failed fetches are stored as null, so the next build
+ * retries them instead of reusing the failure.
+ */
+const REPO_DETAILS = [
+  { field: 'languages',      what: 'languages',       load: (owner, repo) => provider.fetchLanguages(repo) },
+  { field: 'readmes',        what: 'README',          load: (owner, repo) => provider.fetchReadme(owner, repo.name) },
+  { field: 'fileTrees',      what: 'file tree',       load: (owner, repo) => provider.fetchFileTree(owner, repo.name) },
+  { field: 'commits',        what: 'commits',         load: (owner, repo) => provider.fetchCommits(owner, repo.name, COMMIT_LIMIT) },
+  { field: 'commitActivity', what: 'commit activity', load: (owner, repo) => provider.fetchCommitActivity(owner, repo.name, { fromCommits: true }) },
+  { field: 'releases',       what: 'releases',        load: (owner, repo) => provider.fetchReleases(owner, repo.name, RELEASE_LIMIT) },
+  { field: 'contributors',   what: 'contributors',    load: (owner, repo) => provider.fetchContributors(owner, repo.name, CONTRIBUTOR_LIMIT) },
+];
+
+/**
+ * Unchanged since the previous build, with nothing that failed last time.
+ * (A null README is not a failure — plenty of repos have none.) Top-level-only
+ * file trees from schema v1 caches are refetched as full listings.
+ */
+function isReusable(repo, prev, previous) {
+  return (
+    repo.pushed_at === prev.pushed_at &&
+    repo.updated_at === prev.updated_at &&
+    REPO_DETAILS.every(({ field }) => {
+      const map = previous[field];
+      return map && repo.name in map && (map[repo.name] != null || field === 'readmes');
+    }) &&
+    previous.fileTrees[repo.name].recursive
+  );
 }
 
 // ---------------------------------------------------------------------------
 //  Fetch all data (mirrors src/github.js fetchAllData)
 // ---------------------------------------------------------------------------
 async function fetchAll() {
-  // 1. Repos
+  // 1. Repos, pinned ones — configured or the profile's — first
   console.log('  Fetching repositories…');
-  let repos = [];
+  let repos  = [];
+  let pinned = [];
   try {
-    const all = await ghFetch(
-      `${GH_API}/users/${USERNAME}/repos?per_page=100&sort=updated&type=public`
-    );
-    repos = all
-      .filter(r => !r.fork)
-      .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0))
-      .slice(0, 30);
-    console.log(`  Found ${repos.length} repos`);
+    const all = ORG && !LOCAL_DIRS
+      ? await provider.fetchOrgRepos(ORG)
+      : await provider.fetchRepos(USERNAME);
+    pinned = await resolvePinned(provider, ORG && !LOCAL_DIRS ? ORG : USERNAME, SELECTION.pinned).catch(err => {
+      warn(`  Failed pinned repos: ${err.message}`);
+      return [];
+    });
+    repos  = selectRepos(all, { ...SELECTION, pinned });
+    pinned = pinned.filter(name => repos.some(repo => repo.name === name));
+    console.log(`  Found ${all.length} repos, selected ${repos.length} (${pinned.length} pinned)`);
   } catch (err) {
-    console.warn('  Failed to fetch repos:', err.message);
+    warn('  Failed to fetch repos:', err.message);
     return null;
   }
 
-  // 2. Languages (batched in chunks of 5)
-  console.log('  Fetching language data…');
-  const languages = {};
-  const chunks = [];
-  for (let i = 0; i < repos.length; i += 5) chunks.push(repos.slice(i, i + 5));
-
-  for (const chunk of chunks) {
-    await Promise.all(
-      chunk.map(async repo => {
-        try {
-          languages[repo.name] = await ghFetch(repo.languages_url);
-        } catch (err) {
-          console.warn(`  Failed languages for ${repo.name}: ${err.message}`);
-          languages[repo.name] = {};
-        }
-      })
-    );
-  }
-  console.log(`  Fetched languages for ${Object.keys(languages).length} repos`);
-
-  // 3. Contributions
+  // 2. Contributions (always refetched — they change daily)
   console.log('  Fetching contribution history…');
   let contributions = [];
   try {
-    const res = await fetch(`${CONTRIB_API}/${USERNAME}?y=last`);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
-    contributions = data.contributions || [];
+    contributions = ORG && !LOCAL_DIRS
+      ? await fetchOrgContributions(provider, ORG)
+      : await provider.fetchContributions(USERNAME);
     console.log(`  Got ${contributions.length} contribution days`);
   } catch (err) {
-    console.warn('  Failed contributions:', err.message);
+    warn('  Failed contributions:', err.message);
+  }
+
+  // Organisation profile (lobby shows its name + avatar)
+  let profile = null;
+  if (ORG && !LOCAL_DIRS) {
+    try {
+      profile = await provider.fetchOrg(ORG);
+    } catch (err) {
+      warn(`  Failed organisation profile: ${err.message}`);
+      profile = { login: ORG, name: ORG, avatar_url: null };
+    }
+  }
+
+  // 3. Per-repo details — reused from the previous cache when the repo has
+  //    not been pushed to or updated since, fetched otherwise
+  const previous = FULL ? null : loadPrevious();
+  const prevRepos = new Map((previous?.repos || []).map(r => [r.name, r]));
+  const added = [], updated = [], reused = [];
+  for (const repo of repos) {
+    const prev = prevRepos.get(repo.name);
+    if (!prev) added.push(repo);
+    else if (isReusable(repo, prev, previous)) reused.push(repo);
+    else updated.push(repo);
+  }
+  const removed = [...prevRepos.keys()].filter(name => !repos.some(r => r.name === name));
+
+  const details = Object.fromEntries(REPO_DETAILS.map(({ field }) => [field, {}]));
+  for (const repo of reused) {
+    for (const { field } of REPO_DETAILS) details[field][repo.name] = previous[field][repo.name];
   }
 
-  // 4. READMEs (via raw.githubusercontent.com — no API rate limit)
-  console.log('  Fetching READMEs…');
-  const readmes = {};
-  const RAW = 'https://raw.githubusercontent.com';
-  const README_NAMES = ['README.md', 'readme.md', 'Readme.md', 'README.rst', 'README.txt', 'README'];
+  // Every detail of a repo in parallel, 5 repos at a time
+  const stale = [...added, ...updated];
+  if (stale.length) console.log(`  Fetching details for ${stale.length} repos…`);
+  for (let i = 0; i < stale.length; i += 5) {
+    await Promise.all(stale.slice(i, i + 5).map(async repo => {
+      const owner = repoOwner(repo);
+      debug(`    Fetching ${owner}/${repo.name}`);
+      await Promise.all(REPO_DETAILS.map(async ({ field, what, load }) => {
+        details[field][repo.name] = await load(owner, repo).catch(err => {
+          warn(`  Failed ${what} for ${repo.name}: ${err.message}`);
+          return null;
+        });
+      }));
+    }));
+  }
+  const { languages, readmes, fileTrees, commits, commitActivity, releases, contributors } = details;
+
+  // Some forges (GitLab) have no primary language on the repo itself
+  for (const repo of repos) {
+    if (!repo.language) repo.language = primaryLanguage(languages[repo.name]);
+  }
+
+  // 4. Featured files — kept from the previous cache for reused repos
+  const files = {};
+  let fileCount = 0;
   for (const repo of repos) {
-    const owner = repo.full_name.split('/')[0];
-    let found = false;
-    for (const name of README_NAMES) {
+    const paths = featuredPaths(repo, fileTrees[repo.name]);
+    if (!paths.length) continue;
+    const keep = reused.includes(repo) ? previous.files?.[repo.name] || {} : {};
+    const byPath = {};
+    await Promise.all(paths.map(async path => {
+      if (path in keep) {
+        byPath[path] = keep[path];
+        return;
+      }
       try {
-        const res = await fetch(`${RAW}/${owner}/${repo.name}/HEAD/${name}`);
-        if (res.ok) {
-          readmes[repo.name] = await res.text();
-          found = true;
-          break;
-        }
-      } catch { /* try next */ }
+        const text = await provider.fetchFile(repoOwner(repo), repo.name, path);
+        if (text === null) warn(`  Failed featured file ${repo.name}/${path}`);
+        else if (Buffer.byteLength(text) > MAX_FILE_BYTES) debug(`    ${repo.name}/${path} is over ${MAX_FILE_BYTES / 1024} KB — skipped`);
+        else byPath[path] = text;
+      } catch (err) {
+        warn(`  Failed featured file ${repo.name}/${path}: ${err.message}`);
+      }
+    }));
+    files[repo.name] = byPath;
+    fileCount += Object.keys(byPath).length;
+  }
+
+  // 5. Issues, pull requests and star history (always refetched, 5 repos at a time)
+  if (repos.length) console.log('  Fetching issues, pull requests and stars…');
+  const activity = {}, starHistory = {};
+  for (let i = 0; i < repos.length; i += 5) {
+    await Promise.all(repos.slice(i, i + 5).map(async repo => {
+      const owner = repoOwner(repo);
+      [activity[repo.name], starHistory[repo.name]] = await Promise.all([
+        provider.fetchActivity(owner, repo.name, ACTIVITY_LIMIT).catch(err => {
+          warn(`  Failed issues and pull requests for ${repo.name}: ${err.message}`);
+          return null;
+        }),
+        provider.fetchStarHistory(owner, repo.name, STAR_LIMIT).catch(err => {
+          warn(`  Failed star history for ${repo.name}: ${err.message}`);
+          return null;
+        }),
+      ]);
+    }));
+  }
+
+  // 6. Contributor avatars, embedded once per URL — reused from the previous
+  //    cache when it already has them
+  const avatars = {};
+  const avatarUrls = [...new Set(
+    Object.values(contributors).flatMap(list => (list || []).map(c => c.avatar_url)).filter(Boolean)
+  )];
+  const toDownload = avatarUrls.filter(url => {
+    if (!previous?.avatars?.[url]) return true;
+    avatars[url] = previous.avatars[url];
+    return false;
+  });
+  if (toDownload.length) console.log(`  Downloading ${toDownload.length} avatars…`);
+  for (let i = 0; i < toDownload.length; i += 5) {
+    await Promise.all(toDownload.slice(i, i + 5).map(async url => {
+      try {
+        avatars[url] = await downloadImage(url);
+      } catch (err) {
+        warn(`  Failed avatar ${url}: ${err.message}`);
+      }
+    }));
+  }
+
+  // 7. Gists (always refetched — they change without touching any repo)
+  let gists = [];
+  if (CONFIG.gists?.enabled && !ORG && !LOCAL_DIRS && provider.fetchGists) {
+    console.log('  Fetching gists…');
+    try {
+      gists = await provider.fetchGists(USERNAME, CONFIG.gists.maxCount ?? 12);
+    } catch (err) {
+      warn(`  Failed gists: ${err.message}`);
     }
-    if (!found) readmes[repo.name] = null;
-  }
-  console.log(`  Fetched ${Object.values(readmes).filter(Boolean).length} READMEs`);
-
-  // 5. File trees (Contents API)
-  console.log('  Fetching file trees…');
-  const fileTrees = {};
-  for (const chunk of chunks) {
-    await Promise.all(
-      chunk.map(async repo => {
-        const owner = repo.full_name.split('/')[0];
-        try {
-          const data = await ghFetch(`${GH_API}/repos/${owner}/${repo.name}/contents/`);
-          if (Array.isArray(data)) {
-            fileTrees[repo.name] = data.map(e => ({ path: e.name, type: e.type === 'dir' ? 'tree' : 'blob' }));
-          } else {
-            fileTrees[repo.name] = null;
-          }
-        } catch (err) {
-          console.warn(`  Failed file tree for ${repo.name}: ${err.message}`);
-          fileTrees[repo.name] = null;
-        }
-      })
-    );
-  }
-  console.log(`  Fetched ${Object.values(fileTrees).filter(Boolean).length} file trees`);
-
-  // 6. Commits (recent 10 per repo)
-  console.log('  Fetching commits…');
-  const commits = {};
-  for (const chunk of chunks) {
-    await Promise.all(
-      chunk.map(async repo => {
-        const owner = repo.full_name.split('/')[0];
-        try {
-          const data = await ghFetch(`${GH_API}/repos/${owner}/${repo.name}/commits?per_page=10`);
-          commits[repo.name] = data.map(c => ({
-            sha: c.sha.slice(0, 7),
-            message: (c.commit.message || '').split('\n')[0].slice(0, 80),
-            date: c.commit.author?.date || '',
-            author: c.commit.author?.name || c.author?.login || '',
-          }));
-        } catch (err) {
-          console.warn(`  Failed commits for ${repo.name}: ${err.message}`);
-          commits[repo.name] = null;
-        }
-      })
-    );
-  }
-  console.log(`  Fetched commits for ${Object.values(commits).filter(Boolean).length} repos`);
-
-  return { username: USERNAME, repos, languages, contributions, readmes, fileTrees, commits };
+  }
+
+  console.log(
+    `  Repos: ${added.length} added, ${removed.length} removed, ` +
+    `${updated.length} updated, ${reused.length} reused`
+  );
+  for (const repo of added)   console.log(`    + ${repo.name}`);
+  for (const name of removed) console.log(`    - ${name}`);
+  for (const repo of updated) console.log(`    ~ ${repo.name}`);
+  console.log(
+    `  ${Object.values(readmes).filter(Boolean).length} READMEs, ` +
+    `${Object.values(fileTrees).filter(Boolean).length} file trees, ` +
+    `${Object.values(commits).filter(Boolean).length} commit logs, ` +
+    `${Object.values(commitActivity).filter(Boolean).length} activity graphs, ` +
+    `${Object.values(starHistory).filter(months => months?.length).length} star histories, ` +
+    `${Object.values(releases).filter(list => list?.length).length} repos with releases, ` +
+    `${fileCount} featured files, ${Object.keys(avatars).length} avatars, ${gists.length} gists, ` +
+    `${Object.values(activity).reduce((n, items) => n + (items?.length || 0), 0)} issues and pull requests`
+  );
+
+  return normalizeData({
+    username:    USERNAME,
+    org:         LOCAL_DIRS ? '' : ORG,
+    provider:    provider.type,
+    commitLimit: COMMIT_LIMIT,
+    profile,
+    repos, pinned, languages, contributions, readmes, fileTrees, commits, releases, activity, contributors, avatars, files,
+    commitActivity, starHistory, gists,
+  });
 }
 
 // ---------------------------------------------------------------------------
@@ -191,16 +471,33 @@ try {
   const data = await fetchAll();
   if (!data) {
     console.warn('Failed to fetch data — skipping cache (build will use live API)');
-    process.exit(0);
+    process.exit(STRICT ? 1 : 0);
+  }
+
+  // The runtime would reject an invalid file anyway — don't ship one
+  const errors = validateData(data);
+  if (errors.length) {
+    console.error(`Generated data fails schema validation (${errors.length} errors):`);
+    for (const e of errors.slice(0, 10)) console.error(`  ${e}`);
+    process.exit(STRICT ? 1 : 0);
+  }
+
+  // Partial data is never written with --strict; the previous file stays
+  if (STRICT && errorCount) {
+    console.error(`${errorCount} error(s) while caching — failing because of --strict, nothing written`);
+    process.exit(1);
   }
 
-  const json = JSON.stringify(data);
-  const outPath = resolve(ROOT, 'src/github-data.json');
-  writeFileSync(outPath, json);
+  const json   = JSON.stringify(data);
   const sizeKB = (Buffer.byteLength(json) / 1024).toFixed(1);
-  console.log(`Wrote ${outPath} (${sizeKB} KB)`);
+  if (DRY_RUN) {
+    console.log(`Dry run — would write ${relative(ROOT, OUT_PATH)} (${sizeKB} KB)`);
+  } else {
+    writeFileSync(OUT_PATH, json);
+    console.log(`Wrote ${OUT_PATH} (${sizeKB} KB)`);
+  }
 } catch (err) {
   console.error('Cache script failed:', err.message);
   // Exit 0 so the build can still proceed with live API fallback
-  process.exit(0);
+  process.exit(STRICT ? 1 : 0);
 }
@@ -0,0 +1,203 @@
+/**
+ * Local git provider for the cache script — builds gallery data from
+ * repositories checked out on disk, with no network access.
+ *
+ * Implements the same interface as src/providers/ (see providers/index.js),
+ * but shells out to `git`, so it is Node-only and never bundled by Vite.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { basename, extname, resolve } from 'path';
+import {
+  README_NAMES, activitySince, toCommit, toCommitActivity, toCalendar, toContributor, toFileTree, toRelease,
+} from '../src/providers/shared.js';
+import { LANG_EXTENSIONS } from '../src/syntax.js';
+
+// Paths linguist treats as vendored or generated
+const VENDORED = /(^|\/)(node_modules|vendor|third_party|dist|build)\/|\.min\.(js|css)$/;
+
+/**
+ * @param {string[]} paths  working copies (or bare repos) to include
+ * @param {{ owner?: string }} options  owner used for `full_name`
+ */
+export function createLocalProvider(paths, { owner = 'local' } = {}) {
+  const dirs = new Map(); // repo name → absolute path
+
+  for (const p of paths) {
+    const dir = resolve(p);
+    if (!existsSync(resolve(dir, '.git')) && !existsSync(resolve(dir, 'HEAD'))) {
+      console.warn(`  Skipping ${p}: not a git repository`);
+      continue;
+    }
+    const name = basename(dir).replace(/\.git$/, '');
+    if (dirs.has(name)) {
+      console.warn(`  Skipping ${p}: another repository is already named "${name}"`);
+      continue;
+    }
+    dirs.set(name, dir);
+  }
+
+  const dirFor = (repoName) => {
+    const dir = dirs.get(repoName);
+    if (!dir) throw new Error(`Unknown local repository: ${repoName}`);
+    return dir;
+  };
+
+  return {
+    type: 'local',
+
+    async fetchRepos() {
+      const repos = [];
+      for (const [name, dir] of dirs) {
+        // Empty repositories have no HEAD commit to describe
+        if (!tryGit(dir, ['rev-parse', '--verify', '--quiet', 'HEAD'])) {
+          console.warn(`  Skipping ${name}: no commits`);
+          continue;
+        }
+        const lastCommit = git(dir, ['log', '-1', '--format=%cI']).trim();
+        const roots      = git(dir, ['log', '--max-parents=0', '--format=%aI', 'HEAD']).trim().split('\n');
+        repos.push({
+          name,
+          full_name:        `${owner}/${name}`,
+          description:      readDescription(dir),
+          language:         null, // filled in from the language breakdown
+          stargazers_count: 0,
+          forks_count:      0,
+          fork:             false,
+          archived:         false,
+          topics:           [],
+          html_url:         null,
+          default_branch:   tryGit(dir, ['symbolic-ref', '--short', 'HEAD'])?.trim() || 'HEAD',
+          created_at:       roots[roots.length - 1],
+          updated_at:       lastCommit,
+          pushed_at:        lastCommit,
+        });
+      }
+      return repos;
+    },
+
+    // Bytes per language from blob sizes at HEAD, like linguist
+    async fetchLanguages(repo) {
+      const out = git(dirFor(repo.name), ['ls-tree', '-r', '-l', 'HEAD']);
+      const bytes = {};
+      for (const line of out.split('\n')) {
+        const tab = line.indexOf('\t');
+        if (tab === -1) continue;
+        const [, type, , size] = line.slice(0, tab).split(/\s+/);
+        const path = line.slice(tab + 1);
+        if (type !== 'blob' || VENDORED.test(path)) continue;
+        const lang = LANG_EXTENSIONS[extname(path).toLowerCase()];
+        if (lang) bytes[lang] = (bytes[lang] || 0) + Number(size);
+      }
+      return bytes;
+    },
+
+    rawBaseUrl() {
+      return '';
+    },
+
+    async fetchFile(_owner, repoName, path) {
+      return tryGit(dirFor(repoName), ['show', `HEAD:${path}`]);
+    },
+
+    async fetchReadme(owner, repoName) {
+      for (const name of README_NAMES) {
+        const text = await this.fetchFile(owner, repoName, name);
+        if (text !== null) return text;
+      }
+      return null;
+    },
+
+    async fetchFileTree(_owner, repoName) {
+      // -t lists directories alongside their contents
+      const out = git(dirFor(repoName), ['ls-tree', '-r', '-t', 'HEAD']);
+      return toFileTree(out.split('\n').filter(Boolean).map(line => {
+        const tab = line.indexOf('\t');
+        const type = line.slice(0, tab).split(/\s+/)[1];
+        return { path: line.slice(tab + 1), type };
+      }));
+    },
+
+    async fetchCommits(_owner, repoName, limit = 10) {
+      const out = git(dirFor(repoName), ['log', `-n${limit}`, '--format=%H%x1f%s%x1f%aI%x1f%an']);
+      return out.split('\n').filter(Boolean).map(line => toCommit(...line.split('\x1f')));
+    },
+
+    async fetchCommitActivity(_owner, repoName) {
+      const out = git(dirFor(repoName), ['log', `--since=${activitySince()}`, '--format=%aI', 'HEAD']);
+      return toCommitActivity(out.split('\n').filter(Boolean));
+    },
+
+    // Nobody stars a local checkout
+    async fetchStarHistory() {
+      return [];
+    },
+
+    // Commit counts per author name; no avatars offline
+    async fetchContributors(_owner, repoName, limit = 8) {
+      const out = git(dirFor(repoName), ['shortlog', '-sn', 'HEAD']);
+      return out.split('\n').filter(Boolean).slice(0, limit).map(line => {
+        const [count, name] = line.trim().split('\t');
+        return toContributor(name, name, null, count);
+      });
+    },
+
+    // Plain git has no issue tracker
+    async fetchActivity() {
+      return [];
+    },
+
+    // No releases in plain git: tags, newest first, with annotations as notes
+    async fetchReleases(_owner, repoName, limit = 5) {
+      const out = git(dirFor(repoName), [
+        'for-each-ref', 'refs/tags', '--sort=-creatordate', `--count=${limit}`,
+        '--format=%(refname:short)%1f%(creatordate:iso-strict)%1f%(objecttype)%1f%(contents)%1e',
+      ]);
+      return out.split('\x1e').map(rec => rec.trim()).filter(Boolean).map(rec => {
+        const [tag, date, type, contents] = rec.split('\x1f');
+        // Lightweight tags point at a commit, whose message is not release notes
+        return toRelease(tag, tag, date, type === 'tag' ? contents : '');
+      });
+    },
+
+    // Commits per day across every repository, all branches, all history
+    async fetchContributions() {
+      const counts = {};
+      for (const dir of dirs.values()) {
+        const out = tryGit(dir, ['log', '--all', '--date=short', '--format=%ad']);
+        for (const date of (out || '').split('\n')) {
+          if (date) counts[date] = (counts[date] || 0) + 1;
+        }
+      }
+      return toCalendar(counts);
+    },
+  };
+}
+
+function git(dir, args) {
+  return execFileSync('git', ['-C', dir, ...args], {
+    encoding:  'utf-8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio:     ['ignore', 'pipe', 'ignore'],
+  });
+}
+
+/** Like git(), but returns null instead of throwing on a non-zero exit. */
+function tryGit(dir, args) {
+  try {
+    return git(dir, args);
+  } catch {
+    return null;
+  }
+}
+
+function readDescription(dir) {
+  for (const file of [resolve(dir, '.git/description'), resolve(dir, 'description')]) {
+    if (!existsSync(file)) continue;
+    const text = readFileSync(file, 'utf-8').trim();
+    // git init writes a placeholder nobody ever edits
+    if (text && !text.startsWith('Unnamed repository')) return text;
+  }
+  return '';
+}
@@ -0,0 +1,200 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+/**
+ * Fewer draw calls for the museum's architecture. Walls, floors and ceilings
+ * are many small meshes that never change once built: `batchStatic` redraws a
+ * room's (or hall's) worth of them as one merged mesh, with a geometry group
+ * per material, and repeated pieces sharing a geometry (columns, stair steps)
+ * as one InstancedMesh. `createInstancePool` draws an object every room has
+ * (podiums, artifacts) in one call for the whole museum.
+ */
+
+const MIN_INSTANCES = 4; // pieces sharing a geometry and material below this are merged instead
+
+/**
+ * Whether a mesh is static architecture: a wall or walkable floor (neither a
+ * gate nor moving), or tagged `userData.static`, and shown.
+ */
+function isStatic(obj) {
+  const { isWall, isFloor, gate, moving, update } = obj.userData;
+  return obj.isMesh && !obj.isInstancedMesh && obj.visible
+    && (isWall || isFloor || obj.userData.static) && !gate && !moving && !update;
+}
+
+/**
+ * Batch the static architecture under `root`. The batched meshes leave the
+ * scene and their geometry is freed; walls and floors leave a collider in
+ * their place (see retire), so collision boxes and ground surfaces are still
+ * built from them (see main.js and ground.js).
+ * @param {THREE.Object3D} root
+ */
+export function batchStatic(root) {
+  root.updateMatrixWorld(true);
+  const toRoot = new THREE.Matrix4().copy(root.matrixWorld).invert();
+
+  // Static meshes by material, then by geometry; other meshes' subtrees are left as they are
+  const byMaterial = new Map();
+  (function collect(obj) {
+    for (const child of obj.children) {
+      if (child.isMesh && !isStatic(child)) continue;
+      if (child.isMesh) {
+        if (!byMaterial.has(child.material)) byMaterial.set(child.material, new Map());
+        const byGeometry = byMaterial.get(child.material);
+        if (!byGeometry.has(child.geometry)) byGeometry.set(child.geometry, []);
+        byGeometry.get(child.geometry).push(child);
+      }
+      collect(child);
+    }
+  })(root);
+
+  const batched   = [];  // meshes a batch now draws
+  const merged    = [];  // one geometry per material
+  const materials = [];
+  for (const [material, byGeometry] of byMaterial) {
+    const pieces = [];
+    const single = []; // the meshes behind `pieces`
+    for (const [geometry, meshes] of byGeometry) {
+      if (meshes.length >= MIN_INSTANCES) {
+        const instanced = new THREE.InstancedMesh(geometry, material, meshes.length);
+        meshes.forEach((mesh, i) => instanced.setMatrixAt(i, new THREE.Matrix4().multiplyMatrices(toRoot, mesh.matrixWorld)));
+        instanced.name = 'batch_instances';
+        root.add(instanced);
+        batched.push(...meshes);
+      } else {
+        for (const mesh of meshes) {
+          const piece = geometry.clone().applyMatrix4(new THREE.Matrix4().multiplyMatrices(toRoot, mesh.matrixWorld));
+          piece.clearGroups();
+          pieces.push(piece);
+          single.push(mesh);
+        }
+      }
+    }
+    if (!pieces.length) continue;
+    const geometry = pieces.length > 1 ? mergeGeometries(pieces) : pieces[0];
+    if (pieces.length > 1) pieces.forEach(piece => piece.dispose());
+    // Pieces whose attributes don't line up (rare) are drawn on their own
+    if (!geometry) continue;
+    merged.push(geometry);
+    materials.push(material);
+    batched.push(...single);
+  }
+
+  if (merged.length) {
+    const geometry = merged.length > 1 ? mergeGeometries(merged, true) : merged[0];
+    if (merged.length > 1) merged.forEach(g => g.dispose());
+    const mesh = new THREE.Mesh(geometry, merged.length > 1 ? materials : materials[0]);
+    mesh.name = 'batch';
+    root.add(mesh);
+  }
+  retire(batched, root);
+}
+
+/**
+ * Take batched meshes out of the scene. A wall or floor is swapped for a
+ * collider: an empty Object3D with the mesh's transform and `userData`, plus
+ * `userData.bounds`, its geometry's bounding box. Children move to the
+ * collider, or to a bare stand-in. Geometry nothing left under `root` uses
+ * (instanced pieces still do) is disposed.
+ * @param {THREE.Mesh[]} meshes
+ * @param {THREE.Object3D} root
+ */
+function retire(meshes, root) {
+  const geometries = new Set();
+  for (const mesh of meshes) {
+    const collider = mesh.userData.isWall || mesh.userData.isFloor;
+    if (collider || mesh.children.length) {
+      const standIn = new THREE.Object3D();
+      standIn.name = mesh.name;
+      standIn.position.copy(mesh.position);
+      standIn.quaternion.copy(mesh.quaternion);
+      standIn.scale.copy(mesh.scale);
+      standIn.matrix.copy(mesh.matrix);
+      standIn.matrixWorld.copy(mesh.matrixWorld);
+      if (collider) {
+        mesh.geometry.computeBoundingBox();
+        standIn.userData = { ...mesh.userData, bounds: mesh.geometry.boundingBox.clone() };
+      }
+      for (const child of [...mesh.children]) standIn.add(child);
+      mesh.parent.add(standIn);
+    }
+    mesh.removeFromParent();
+    geometries.add(mesh.geometry);
+  }
+  root.traverse(obj => geometries.delete(obj.geometry));
+  for (const geometry of geometries) geometry.dispose();
+}
+
+/**
+ * The local bounding box of a mesh's geometry, or of the mesh a batching
+ * collider stands in for.
+ * @param {THREE.Object3D} obj
+ * @returns {THREE.Box3}
+ */
+export function localBounds(obj) {
+  if (obj.userData.bounds) return obj.userData.bounds;
+  obj.geometry.computeBoundingBox();
+  return obj.geometry.boundingBox;
+}
+
+/**
+ * An InstancedMesh drawing every stand-in added to it: plain Object3Ds in the
+ * scene graph that carry the transform, get animated and come and go with
+ * their rooms. Call `mesh.userData.update()` each frame (the app does, as for
+ * anything with `userData.update`) to copy the stand-ins' transforms over;
+ * stand-ins in hidden rooms are hidden too.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Material} material
+ * @param {number} capacity  most stand-ins at once
+ * @returns {{ mesh: THREE.InstancedMesh, add: (standIn: THREE.Object3D) => void, remove: (standIn: THREE.Object3D) => void }}
+ */
+export function createInstancePool(geometry, material, capacity) {
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.count = 0;
+  mesh.frustumCulled = false; // instances are spread over the whole museum
+  mesh.name = 'instance_pool';
+
+  const standIns = [];
+  const toPool   = new THREE.Matrix4();
+  const matrix   = new THREE.Matrix4();
+  const hidden   = new THREE.Matrix4().makeScale(0, 0, 0);
+
+  const pool = {
+    mesh,
+    add(standIn) {
+      if (standIns.length === capacity) throw new Error(`Instance pool ${mesh.name} is full (${capacity})`);
+      standIns.push(standIn);
+      standIn.userData.pool = pool;
+      mesh.count = standIns.length;
+    },
+    remove(standIn) {
+      const i = standIns.indexOf(standIn);
+      if (i === -1) return;
+      standIns[i] = standIns[standIns.length - 1];
+      standIns.pop();
+      delete standIn.userData.pool;
+      mesh.count = standIns.length;
+    },
+  };
+
+  mesh.userData.update = () => {
+    if (!standIns.length) return;
+    toPool.copy(mesh.matrixWorld).invert();
+    standIns.forEach((standIn, i) => {
+      if (!isShown(standIn)) {
+        mesh.setMatrixAt(i, hidden);
+        return;
+      }
+      standIn.updateWorldMatrix(true, false);
+      mesh.setMatrixAt(i, matrix.multiplyMatrices(toPool, standIn.matrixWorld));
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+  };
+  return pool;
+}
+
+/** Whether an object and every group above it are visible. */
+function isShown(obj) {
+  for (let o = obj; o; o = o.parent) if (!o.visible) return false;
+  return true;
+}
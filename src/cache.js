@@ -0,0 +1,81 @@
+/**
+ * Persistent browser cache (IndexedDB) with stale-while-revalidate reads.
+ * Used in live-API mode only — the build-time github-data.json needs none.
+ * Every failure to open or use the database degrades to "no cache".
+ */
+
+const DB_NAME = 'git-gallery';
+const STORE   = 'responses';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+async function readEntry(key) {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise(resolve => {
+    const req = db.transaction(STORE, 'readonly').objectStore(STORE).get(key);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror   = () => resolve(null);
+  });
+}
+
+async function writeEntry(key, value) {
+  const db = await openDb();
+  if (!db) return;
+  return new Promise(resolve => {
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put({ value, storedAt: Date.now() }, key);
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => resolve();
+  });
+}
+
+/**
+ * Read `key` from the cache, falling back to `fetcher`.
+ *
+ *  - nothing cached      → await fetcher(), store and return its result
+ *  - cached, within ttl  → return the cached value
+ *  - cached, past ttl    → return the cached value now, refetch in the
+ *                          background and call `onUpdate` if the result differs
+ *
+ * A failed background refresh keeps the stale value.
+ * @template T
+ * @param {string} key
+ * @param {number} ttl  milliseconds a stored value counts as fresh
+ * @param {(background: boolean) => Promise<T>} fetcher  told whether it runs as a background refresh
+ * @param {{ onUpdate?: (value: T) => void, isValid?: (value: T) => boolean }} [options]
+ *        isValid decides whether a fetched value is worth storing
+ * @returns {Promise<T>}
+ */
+export async function cachedFetch(key, ttl, fetcher, { onUpdate, isValid = () => true } = {}) {
+  const entry = await readEntry(key);
+
+  const refresh = async (background) => {
+    const value = await fetcher(background);
+    if (isValid(value)) await writeEntry(key, value);
+    return value;
+  };
+
+  if (!entry) return refresh(false);
+  if (Date.now() - entry.storedAt < ttl) return entry.value;
+
+  refresh(true)
+    .then(value => {
+      if (isValid(value) && JSON.stringify(value) !== JSON.stringify(entry.value)) onUpdate?.(value);
+    })
+    .catch(err => console.warn(`Background refresh failed for ${key}:`, err));
+  return entry.value;
+}
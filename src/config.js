@@ -0,0 +1,87 @@
+/**
+ * Gallery configuration — the single source read by the app (main.js) and by
+ * scripts/cache-github.js. Keep it plain data: no DOM, no `import.meta.env`.
+ *
+ * Change `username` to explore any GitHub user.
+ */
+export const CONFIG = {
+  username: 'usr-wwelsh',
+
+  // Set to an organisation (GitLab: group path) to build a gallery of its
+  // repos instead of `username`'s; the lobby then shows the org's combined
+  // contributions, name and avatar.
+  org: '',
+
+  // Which repositories get a room, and in what order (globs match the repo
+  // name, or owner/name when they contain a slash)
+  repos: {
+    include:       [],
+    exclude:       [],
+    topics:        [],       // keep repos tagged with any of these
+    excludeTopics: [],
+    forks:         false,
+    archived:      true,
+    minStars:      0,
+    pinned:        [],       // repo names for the grand hall, in this order (empty: the profile's pins)
+    sort:          'stars',  // 'stars' | 'pushed_at' | 'created_at' | 'name'
+    maxCount:      30,
+  },
+
+  // Source files the cache script bundles for each room's source viewer, so
+  // they open without the network. Keyed by repo name; '*' applies to every
+  // repo. Paths missing from a repo are skipped.
+  featuredFiles: {
+    '*': [],
+  },
+
+  // Each room's project board of issues and pull requests. With a build-time
+  // cache it shows the board as of the build; `liveRefresh` fetches it from
+  // the API instead as each room is entered (one or two requests per room).
+  board: {
+    liveRefresh: false,
+  },
+
+  // Public gists of `username`, each shown in an alcove of a side corridor
+  // just past the last room (GitHub only; ignored for org galleries)
+  gists: {
+    enabled:  false,
+    maxCount: 12,
+  },
+
+  // Where repositories are hosted. `baseUrl` is only needed for self-hosted
+  // instances (GitHub Enterprise, GitLab, Gitea/Forgejo).
+  provider: {
+    type:    'github',   // 'github' | 'gitlab' | 'gitea' | 'forgejo'
+    baseUrl: '',
+  },
+
+  player: {
+    height:        1.7,
+    speed:         6,     // units/sec walking speed
+    runMultiplier: 2.2,
+    damping:       12,    // higher = snappier response
+  },
+
+  roomHeight: 6.5,
+
+  lobby: {
+    cubeSize:     0.3,
+    cubeGap:      0.07,
+    maxHeight:    3.5,
+    lobbyCenterZ: 9,
+  },
+
+  museum: {
+    layout:        'linear',  // 'linear' | 'grid' | 'rotunda' | 'tree' | 'wings'
+    wingsBy:       'language', // wings layout: a wing per 'language' or per 'topic'
+    minWingRooms:  2,          // wings layout: smaller groups share an "Other" wing
+    roomsPerFloor: 24,         // more rooms go on floors above, up ramps, stairs and an elevator (0: one floor)
+    buildDistance: 40,         // rooms are built as the player comes this close…
+    disposeDistance: 60,       // …and disposed again, freeing their memory, past this
+    hallWidth:     4,
+    hallLength:    10,
+    roomDepth:     10,
+    roomHeight:    6.5,
+    baseRoomWidth: 10,
+  },
+};
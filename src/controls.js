@@ -1,7 +1,11 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls.js';
 
-export function createControls(camera, domElement, config) {
+/**
+ * @param {object} config  CONFIG.player
+ * @param {ReturnType<import('./ground.js').createGround>} ground  the floor the player walks on
+ */
+export function createControls(camera, domElement, config, ground) {
   const controls = new PointerLockControls(camera, domElement);
 
   const velocity = new THREE.Vector3();
@@ -47,8 +51,8 @@ export function createControls(camera, domElement, config) {
     controls.moveRight(velocity.x * delta);
     controls.moveForward(-velocity.z * delta);
 
-    // Lock Y (no gravity / no jumping)
-    controls.getObject().position.y = height;
+    // Follow the floor: ramps, stairs, elevators and upper storeys (no jumping)
+    ground.follow(controls.getObject().position, height, delta);
 
     // Expose movement state for audio
     controls.isMoving  = inputX !== 0 || inputZ !== 0;
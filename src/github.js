@@ -1,43 +1,128 @@
-const CONTRIB_API = 'https://github-contributions-api.jogruber.de/v4';
-const GH_API = 'https://api.github.com';
-const GH_TOKEN = import.meta.env.VITE_GITHUB_TOKEN || '';
-const GH_HEADERS = GH_TOKEN
-  ? { Accept: 'application/vnd.github.v3+json', Authorization: `token ${GH_TOKEN}` }
-  : { Accept: 'application/vnd.github.v3+json' };
+import {
+  createProvider, fetchOrgContributions, primaryLanguage, RateLimitError, resolvePinned,
+} from './providers/index.js';
+import { selectRepos } from './selection.js';
+import { cachedFetch } from './cache.js';
+import { SCHEMA_VERSION, migrateData, normalizeData, validateData } from './schema.js';
+
+export { RateLimitError, getRateLimit, onRateLimitChange, describeRateLimit } from './providers/index.js';
+
+// Tokens are read per provider type so one .env can serve several forges
+const TOKENS = {
+  github:  import.meta.env.VITE_GITHUB_TOKEN || '',
+  gitlab:  import.meta.env.VITE_GITLAB_TOKEN || '',
+  gitea:   import.meta.env.VITE_GITEA_TOKEN  || '',
+  forgejo: import.meta.env.VITE_GITEA_TOKEN  || '',
+};
+
+// How long live-API results stay fresh in the IndexedDB cache. Older entries
+// still render immediately but are refreshed in the background.
+const HOUR = 60 * 60 * 1000;
+const CACHE_TTL = {
+  all:          1 * HOUR,   // repos + languages + contributions
+  readme:       24 * HOUR,
+  fileTree:     6 * HOUR,
+  commits:      1 * HOUR,
+  file:         24 * HOUR,
+  releases:     6 * HOUR,
+  activity:     1 * HOUR,
+  contributors: 24 * HOUR,
+  weekly:       24 * HOUR,  // commit activity
+  stars:        24 * HOUR,
+};
+
+let provider    = createProvider({ type: 'github', token: TOKENS.github });
+let providerKey = 'github'; // namespaces IndexedDB keys per forge instance
+let hasToken    = Boolean(TOKENS.github);
+
+// Stars are paged 100 at a time, one API call each, so a live star history
+// reads only the first page — and only with a token, since the 60 calls an
+// hour without one would go on a room or two
+const LIVE_STAR_LIMIT = 100;
 
 // Build-time cached data — Vite bundles this into the JS if the file exists,
 // otherwise the glob returns an empty object and we fall through to live API.
 const cachedModules = import.meta.glob('./github-data.json', { eager: true });
-const CACHED_DATA = cachedModules['./github-data.json']?.default || null;
+const CACHED_DATA = loadCachedData(cachedModules['./github-data.json']?.default);
+
+/**
+ * Upgrade the bundled cache to the current schema. A file that still fails
+ * validation is ignored rather than handed to the scene half-broken.
+ */
+function loadCachedData(raw) {
+  if (!raw) return null;
+  try {
+    const data   = migrateData(raw);
+    const errors = validateData(data);
+    if (!errors.length) return data;
+    console.warn(`Ignoring github-data.json (${errors.length} schema errors), using live API:`, errors.slice(0, 5));
+  } catch (err) {
+    console.warn(`Ignoring github-data.json (${err.message}), using live API`);
+  }
+  return null;
+}
+
+/**
+ * Select the forge every fetch below talks to. Call before fetchAllData.
+ * @param {{ type?: 'github'|'gitlab'|'gitea'|'forgejo', baseUrl?: string }} [providerConfig]
+ */
+export function configureProvider(providerConfig = {}) {
+  const type = providerConfig.type || 'github';
+  provider    = createProvider({ ...providerConfig, type, token: TOKENS[type] || '' });
+  providerKey = `${type}:${providerConfig.baseUrl || ''}`;
+  hasToken    = Boolean(TOKENS[type]);
+}
 
 /**
  * Fetch all data needed for the gallery.
+ * With `options.org` set, repos come from that organisation, contributions are
+ * summed over its public members, and `profile` carries its name and avatar.
+ * `options.select` holds the repo selection rules (see selection.js), and
+ * `options.gists` how many of the user's public gists to fetch (0 for none;
+ * only GitHub has them, and organisations have none).
  * @param {string} username
  * @param {(status: string, pct: number) => void} onProgress
- * @returns {{ repos: object[], languages: Record<string,Record<string,number>>, contributions: object[] }}
+ * @param {{ org?: string, select?: object, gists?: number }} [options]
+ * @returns {Promise<import('./schema.js').GalleryData>}
  */
-export async function fetchAllData(username, onProgress = () => {}) {
-  // Use build-time cached data if available and username matches
-  if (CACHED_DATA && Array.isArray(CACHED_DATA.repos) && CACHED_DATA.username === username) {
+export async function fetchAllData(username, onProgress = () => {}, { org = '', select = {}, gists = 0 } = {}) {
+  // Use build-time cached data if available and username/provider match.
+  // Local-git caches have no live source to fall back to, so they always win.
+  const cachedProvider = CACHED_DATA?.provider;
+  if (
+    CACHED_DATA && CACHED_DATA.username === username &&
+    (cachedProvider === 'local' || (cachedProvider === provider.type && CACHED_DATA.org === org))
+  ) {
     onProgress('Loaded cached data', 90);
     return CACHED_DATA;
   }
 
+  // Otherwise the live API, through the IndexedDB cache. A background refresh
+  // only updates the stored copy — the world is not rebuilt mid-visit.
+  return cachedFetch(
+    `all:v${SCHEMA_VERSION}:${providerKey}:${org || username}:${JSON.stringify(select)}:${gists}`,
+    CACHE_TTL.all,
+    background => fetchLiveData(username, background ? () => {} : onProgress, org, select, gists),
+    { isValid: data => data.repos.length > 0 }
+  );
+}
+
+/** The uncached half of fetchAllData. */
+async function fetchLiveData(username, onProgress, org, select, gistLimit) {
   onProgress('Fetching repositories…', 5);
 
-  // 1. Repos (sorted by stars, most popular first)
-  let repos = [];
+  // 1. Repos (every page, then filtered / ordered by the selection rules),
+  //    pinned ones — configured or the profile's — first
+  let repos  = [];
+  let pinned = [];
   try {
-    const res = await fetch(
-      `${GH_API}/users/${username}/repos?per_page=100&sort=updated&type=public`,
-      { headers: GH_HEADERS }
-    );
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const all = await res.json();
-    repos = all
-      .filter(r => !r.fork)
-      .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0))
-      .slice(0, 30);
+    const all = org ? await provider.fetchOrgRepos(org) : await provider.fetchRepos(username);
+    pinned = await resolvePinned(provider, org || username, select.pinned).catch(err => {
+      console.warn('Failed to fetch pinned repos (no grand hall):', err);
+      return [];
+    });
+    repos  = selectRepos(all, { ...select, pinned });
+    pinned = pinned.filter(name => repos.some(repo => repo.name === name));
   } catch (err) {
     console.warn('Failed to fetch repos:', err);
   }
@@ -53,13 +138,13 @@ export async function fetchAllData(username, onProgress = () => {}) {
     await Promise.all(
       chunk.map(async repo => {
         try {
-          const res = await fetch(repo.languages_url, { headers: GH_HEADERS });
-          if (!res.ok) throw new Error(`HTTP ${res.status}`);
-          languages[repo.name] = await res.json();
+          languages[repo.name] = await provider.fetchLanguages(repo);
         } catch (err) {
           console.warn(`Failed to fetch languages for ${repo.name}:`, err);
           languages[repo.name] = {};
         }
+        // Some forges (GitLab) have no primary language on the repo itself
+        if (!repo.language) repo.language = primaryLanguage(languages[repo.name]);
         done++;
         const pct = 20 + Math.round((done / repos.length) * 50);
         onProgress(`Loading language data… (${done}/${repos.length})`, pct);
@@ -72,95 +157,256 @@ export async function fetchAllData(username, onProgress = () => {}) {
   // 3. Contributions
   let contributions = [];
   try {
-    const res = await fetch(`${CONTRIB_API}/${username}?y=last`);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
-    // API returns { contributions: [...], total: {...} }
-    contributions = data.contributions || [];
+    contributions = org
+      ? await fetchOrgContributions(provider, org)
+      : await provider.fetchContributions(username);
   } catch (err) {
     console.warn('Failed to fetch contributions (lobby will be flat):', err);
   }
 
+  // 4. Organisation profile (lobby shows its name + avatar)
+  let profile = null;
+  if (org) {
+    try {
+      profile = await provider.fetchOrg(org);
+    } catch (err) {
+      console.warn(`Failed to fetch organisation ${org}:`, err);
+      profile = { login: org, name: org, avatar_url: null };
+    }
+  }
+
+  // 5. Gists (GitHub users only)
+  let gists = [];
+  if (gistLimit && !org && provider.fetchGists) {
+    onProgress('Fetching gists…', 85);
+    try {
+      gists = await provider.fetchGists(username, gistLimit);
+    } catch (err) {
+      console.warn('Failed to fetch gists (no gists wing):', err);
+    }
+  }
+
   onProgress('Building world…', 90);
 
-  return { repos, languages, contributions };
+  return normalizeData({ username, org, provider: provider.type, profile, repos, pinned, languages, contributions, gists });
 }
 
 /**
- * Fetch the README markdown for a repo via raw.githubusercontent.com.
- * This bypasses the GitHub API rate limit entirely and returns raw UTF-8 text.
+ * URL prefix that relative README links (images) resolve against.
  * @param {string} owner
  * @param {string} repoName
+ * @returns {string}
+ */
+export function getRawBaseUrl(owner, repoName) {
+  return provider.rawBaseUrl(owner, repoName);
+}
+
+/**
+ * Fetch the README markdown for a repo. On GitHub this goes through
+ * raw.githubusercontent.com, which bypasses the API rate limit entirely.
+ * @param {string} owner
+ * @param {string} repoName
+ * @param {(markdown: string|null) => void} [onUpdate]  called if a stale
+ *        cached copy was returned and the background refresh found changes
  * @returns {Promise<string|null>} raw markdown text, or null on failure
+ * @throws {RateLimitError} while the forge's quota is exhausted
  */
-export async function fetchReadme(owner, repoName) {
-  // Check build-time cache first
-  if (CACHED_DATA?.readmes && repoName in CACHED_DATA.readmes) {
-    return CACHED_DATA.readmes[repoName];
-  }
+export function fetchReadme(owner, repoName, onUpdate) {
+  return cachedPanelFetch(
+    'readmes', repoName, `${owner}/${repoName}`, CACHE_TTL.readme,
+    () => provider.fetchReadme(owner, repoName),
+    // null may be a transient failure; raw fetches are cheap enough to retry
+    { onUpdate, isValid: md => md !== null }
+  );
+}
 
-  const RAW = 'https://raw.githubusercontent.com';
-  // Try common README filenames (HEAD resolves to default branch)
-  for (const name of ['README.md', 'readme.md', 'Readme.md', 'README.rst', 'README.txt', 'README']) {
-    try {
-      const res = await fetch(`${RAW}/${owner}/${repoName}/HEAD/${name}`);
-      if (res.ok) return await res.text();
-    } catch { /* try next */ }
-  }
-  return null;
+/**
+ * Fetch the recursive file tree for a repo.
+ * @param {(tree: import('./schema.js').FileTree|null) => void} [onUpdate]  see fetchReadme
+ * @returns {Promise<import('./schema.js').FileTree|null>}
+ * @throws {RateLimitError} while the forge's quota is exhausted
+ */
+export function fetchFileTree(owner, repoName, onUpdate) {
+  return cachedPanelFetch(
+    'fileTrees', repoName, `v${SCHEMA_VERSION}:${owner}/${repoName}`, CACHE_TTL.fileTree,
+    () => provider.fetchFileTree(owner, repoName), { onUpdate }
+  );
 }
 
 /**
- * Fetch the top-level file tree for a repo via the Contents API.
- * @returns {Promise<Array<{path:string,type:string}>|null>}
+ * Fetch one file's text at HEAD for the source viewer. Featured files from the
+ * build cache are served without the network.
+ * @param {string} owner
+ * @param {string} repoName
+ * @param {string} path  repo-relative
+ * @param {(text: string|null) => void} [onUpdate]  see fetchReadme
+ * @returns {Promise<string|null>} null when the file could not be fetched
+ * @throws {RateLimitError} while the forge's quota is exhausted
  */
-export async function fetchFileTree(owner, repoName) {
+export async function fetchSourceFile(owner, repoName, path, onUpdate) {
   // Check build-time cache first
-  if (CACHED_DATA?.fileTrees && repoName in CACHED_DATA.fileTrees) {
-    return CACHED_DATA.fileTrees[repoName];
+  const cached = CACHED_DATA?.files?.[repoName];
+  if (cached && path in cached) return cached[path];
+
+  return cachedFetch(
+    `file:${providerKey}:${owner}/${repoName}:${path}`, CACHE_TTL.file,
+    () => provider.fetchFile(owner, repoName, path),
+    { onUpdate, isValid: text => text !== null }
+  );
+}
+
+/**
+ * Fetch recent commits for a repo.
+ * @param {string} owner
+ * @param {string} repoName
+ * @param {number} limit
+ * @param {(commits: object[]) => void} [onUpdate]  see fetchReadme
+ * @returns {Promise<Array<{sha:string, message:string, date:string, author:string}>|null>}
+ * @throws {RateLimitError} while the forge's quota is exhausted
+ */
+export function fetchCommits(owner, repoName, limit = 10, onUpdate) {
+  return cachedPanelFetch(
+    'commits', repoName, `${owner}/${repoName}:${limit}`, CACHE_TTL.commits,
+    () => provider.fetchCommits(owner, repoName, limit), { onUpdate }
+  );
+}
+
+/**
+ * Fetch the newest releases for a repo (its tags when it publishes none).
+ * @param {string} owner
+ * @param {string} repoName
+ * @param {number} limit
+ * @param {(releases: import('./schema.js').Release[]) => void} [onUpdate]  see fetchReadme
+ * @returns {Promise<import('./schema.js').Release[]|null>}
+ * @throws {RateLimitError} while the forge's quota is exhausted
+ */
+export function fetchReleases(owner, repoName, limit = 5, onUpdate) {
+  return cachedPanelFetch(
+    'releases', repoName, `${owner}/${repoName}:${limit}`, CACHE_TTL.releases,
+    () => provider.fetchReleases(owner, repoName, limit), { onUpdate }
+  );
+}
+
+/**
+ * Fetch recently updated issues and pull requests for a repo's project board.
+ * The build cache's snapshot is used as is unless `refresh` is set; then the
+ * board comes from the live API like any uncached panel, and the snapshot is
+ * only the fallback when that fails.
+ * @param {string} owner
+ * @param {string} repoName
+ * @param {number} limit
+ * @param {(items: import('./schema.js').WorkItem[]) => void} [onUpdate]  see fetchReadme
+ * @param {{ refresh?: boolean }} [options]
+ * @returns {Promise<import('./schema.js').WorkItem[]|null>}
+ * @throws {RateLimitError} while the forge's quota is exhausted
+ */
+export async function fetchActivity(owner, repoName, limit = 30, onUpdate, { refresh = false } = {}) {
+  const key     = `${owner}/${repoName}:${limit}`;
+  const fetcher = () => provider.fetchActivity(owner, repoName, limit);
+  // Local-git caches have no live source to refresh from
+  if (!refresh || CACHED_DATA?.provider === 'local') {
+    return cachedPanelFetch('activity', repoName, key, CACHE_TTL.activity, fetcher, { onUpdate });
   }
 
   try {
-    const res = await fetch(`${GH_API}/repos/${owner}/${repoName}/contents/`, {
-      headers: GH_HEADERS,
-    });
-    if (!res.ok) return null;
-    const data = await res.json();
-    if (!Array.isArray(data)) return null;
-    // Normalize to same shape as Trees API (type: 'tree' for dirs, 'blob' for files)
-    return data.map(e => ({ path: e.name, type: e.type === 'dir' ? 'tree' : 'blob' }));
-  } catch {
+    return await cachedFetch(`activity:${providerKey}:${key}`, CACHE_TTL.activity, fetcher, { onUpdate });
+  } catch (err) {
+    const built = CACHED_DATA?.activity?.[repoName];
+    if (built !== undefined) return built;
+    if (err instanceof RateLimitError) throw err;
     return null;
   }
 }
 
 /**
- * Fetch recent commits for a repo.
+ * Fetch a repo's top contributors. From the build cache, avatars point at the
+ * images embedded in it, so portraits need no network either.
  * @param {string} owner
  * @param {string} repoName
  * @param {number} limit
- * @returns {Promise<Array<{sha:string, message:string, date:string, author:string}>|null>}
+ * @param {(contributors: import('./schema.js').Contributor[]) => void} [onUpdate]  see fetchReadme
+ * @returns {Promise<import('./schema.js').Contributor[]|null>}
+ * @throws {RateLimitError} while the forge's quota is exhausted
+ */
+export function fetchContributors(owner, repoName, limit = 8, onUpdate) {
+  return cachedPanelFetch(
+    'contributors', repoName, `${owner}/${repoName}:${limit}`, CACHE_TTL.contributors,
+    () => provider.fetchContributors(owner, repoName, limit),
+    {
+      onUpdate,
+      fromCache: people => people?.map(c => ({
+        ...c, avatar_url: CACHED_DATA.avatars[c.avatar_url] || c.avatar_url,
+      })) ?? null,
+    }
+  );
+}
+
+/**
+ * Fetch a repo's commit counts per day for the past year, grouped by week.
+ * Build caches age, so callers line the weeks up against today themselves.
+ * Live, only GitHub's ready-made stats are used: while GitHub is still
+ * computing them (or on forges without them) this is null, and nothing is
+ * stored, so the next visit asks again.
+ * @param {string} owner
+ * @param {string} repoName
+ * @param {(weeks: import('./schema.js').ActivityWeek[]) => void} [onUpdate]  see fetchReadme
+ * @returns {Promise<import('./schema.js').ActivityWeek[]|null>}
+ * @throws {RateLimitError} while the forge's quota is exhausted
+ */
+export function fetchCommitActivity(owner, repoName, onUpdate) {
+  return cachedPanelFetch(
+    'commitActivity', repoName, `${owner}/${repoName}`, CACHE_TTL.weekly,
+    () => provider.fetchCommitActivity(owner, repoName),
+    { onUpdate, isValid: weeks => weeks !== null }
+  );
+}
+
+/**
+ * Fetch how many stars a repo gained each month. Without a build cache only
+ * the oldest LIVE_STAR_LIMIT stars are read, and only with a token.
+ * @param {string} owner
+ * @param {string} repoName
+ * @param {(months: import('./schema.js').StarMonth[]) => void} [onUpdate]  see fetchReadme
+ * @returns {Promise<import('./schema.js').StarMonth[]|null>}  null when the forge has no star dates
+ *          or there is no token
+ * @throws {RateLimitError} while the forge's quota is exhausted
  */
-export async function fetchCommits(owner, repoName, limit = 10) {
+export function fetchStarHistory(owner, repoName, onUpdate) {
+  return cachedPanelFetch(
+    'starHistory', repoName, `${owner}/${repoName}:${LIVE_STAR_LIMIT}`, CACHE_TTL.stars,
+    async () => (hasToken ? provider.fetchStarHistory(owner, repoName, LIVE_STAR_LIMIT) : null),
+    { onUpdate, isValid: months => months !== null }
+  );
+}
+
+/**
+ * What every room panel fetch above has in common: the build cache's copy
+ * when it has the repo, otherwise the live API through the IndexedDB cache.
+ * @param {string} kind  build-cache map to read (readmes, fileTrees, …), also
+ *        the IndexedDB key prefix
+ * @param {string} repoName
+ * @param {string} key  rest of the IndexedDB key: the repo and any limit
+ * @param {number} ttl
+ * @param {() => Promise<any>} fetcher  the live fetch
+ * @param {object} [options]
+ * @param {(value: any) => void} [options.onUpdate]  see cachedFetch
+ * @param {(value: any) => boolean} [options.isValid]  see cachedFetch
+ * @param {(value: any) => any} [options.fromCache]  adapts the build cache's copy
+ * @returns {Promise<any>} null when the live fetch failed
+ * @throws {RateLimitError} while the forge's quota is exhausted
+ */
+async function cachedPanelFetch(kind, repoName, key, ttl, fetcher, {
+  onUpdate, isValid, fromCache = value => value,
+} = {}) {
   // Check build-time cache first
-  if (CACHED_DATA?.commits && repoName in CACHED_DATA.commits) {
-    return CACHED_DATA.commits[repoName];
+  if (CACHED_DATA?.[kind] && repoName in CACHED_DATA[kind]) {
+    return fromCache(CACHED_DATA[kind][repoName]);
   }
 
   try {
-    const res = await fetch(
-      `${GH_API}/repos/${owner}/${repoName}/commits?per_page=${limit}`,
-      { headers: GH_HEADERS }
-    );
-    if (!res.ok) return null;
-    const data = await res.json();
-    return data.map(c => ({
-      sha: c.sha.slice(0, 7),
-      message: (c.commit.message || '').split('\n')[0].slice(0, 80),
-      date: c.commit.author?.date || '',
-      author: c.commit.author?.name || c.author?.login || '',
-    }));
-  } catch {
+    return await cachedFetch(`${kind}:${providerKey}:${key}`, ttl, fetcher, { onUpdate, isValid });
+  } catch (err) {
+    if (err instanceof RateLimitError) throw err;
     return null;
   }
 }
@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+import { localBounds } from './batching.js';
+
+/**
+ * Walkable ground, for a museum with more than one storey. Meshes tagged
+ * `userData.isFloor` are surfaces the player can stand on: flat slabs, pitched
+ * ramps (a staircase walks as the invisible ramp under its steps) and moving
+ * elevator platforms (`userData.moving`). The top face of whatever is under
+ * the player is sampled each frame, so the camera follows the floor instead
+ * of being pinned to one height. Where there is no surface, the ground is y = 0.
+ */
+
+export const STEP_UP = 0.45;  // highest ledge the player steps up onto; lower walls don't block
+const SNAP_DOWN = 0.35;       // ground this far below the feet is stepped down to, further is a fall
+const GRAVITY   = 18;         // units/sec²
+
+export function createGround() {
+  const surfaces = [];
+  const local    = new THREE.Vector3();
+  let fallSpeed  = 0;
+
+  function refresh(surface) {
+    const { mesh, box } = surface;
+    surface.point.set((box.min.x + box.max.x) / 2, box.max.y, (box.min.z + box.max.z) / 2).applyMatrix4(mesh.matrixWorld);
+    surface.normal.set(0, 1, 0).transformDirection(mesh.matrixWorld);
+    surface.inverse.copy(mesh.matrixWorld).invert();
+  }
+
+  const ground = {
+    /**
+     * Register every `isFloor` mesh under `root` (or the collider batching left
+     * in its place). Call once its matrices are up to date.
+     */
+    addFrom(root) {
+      root.traverse(obj => {
+        if (!obj.userData.isFloor) return;
+        const surface = {
+          mesh:    obj,
+          box:     localBounds(obj),
+          point:   new THREE.Vector3(),
+          normal:  new THREE.Vector3(),
+          inverse: new THREE.Matrix4(),
+        };
+        refresh(surface);
+        surfaces.push(surface);
+      });
+    },
+
+    /** Forget the surfaces under `root`, before it is removed from the scene. */
+    removeFrom(root) {
+      const gone = new Set();
+      root.traverse(obj => gone.add(obj));
+      for (let i = surfaces.length - 1; i >= 0; i--) if (gone.has(surfaces[i].mesh)) surfaces.splice(i, 1);
+    },
+
+    /**
+     * Height of the highest surface under (x, z) whose top is no higher than `maxY`.
+     * @returns {number}
+     */
+    heightAt(x, z, maxY = Infinity) {
+      let best = -Infinity;
+      for (const surface of surfaces) {
+        if (surface.mesh.userData.moving) refresh(surface);
+        const { point, normal, box } = surface;
+        if (normal.y < 0.5) continue; // steeper than 60°, or upside down
+        const y = point.y - (normal.x * (x - point.x) + normal.z * (z - point.z)) / normal.y;
+        if (y > maxY || y <= best) continue;
+        local.set(x, y, z).applyMatrix4(surface.inverse);
+        if (local.x >= box.min.x && local.x <= box.max.x && local.z >= box.min.z && local.z <= box.max.z) best = y;
+      }
+      return best === -Infinity ? 0 : best;
+    },
+
+    /**
+     * Move `position` (the eye, `height` above the feet) onto the ground under
+     * it: step up ledges and down small drops, fall further ones.
+     * @param {THREE.Vector3} position
+     * @param {number} height
+     * @param {number} delta  seconds
+     */
+    follow(position, height, delta) {
+      const feet  = position.y - height;
+      const floor = ground.heightAt(position.x, position.z, feet + STEP_UP);
+      if (floor >= feet - SNAP_DOWN) {
+        fallSpeed  = 0;
+        position.y = floor + height;
+        return;
+      }
+      fallSpeed += GRAVITY * delta;
+      const next = feet - fallSpeed * delta;
+      if (next <= floor) fallSpeed = 0;
+      position.y = Math.max(next, floor) + height;
+    },
+  };
+  return ground;
+}
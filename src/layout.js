@@ -0,0 +1,344 @@
+/**
+ * Museum layouts — where each room goes, the corridors that reach it and the
+ * doorways between the two. buildMuseum builds from a layout, and the minimap,
+ * room detection and teleports read positions back from it, so nothing else
+ * needs to know how rooms are arranged.
+ *
+ * A room placement is the frame buildRoom builds in: centred on (x, z), turned
+ * by `rotation` (yaw) and with its doorway in the wall at local
+ * x = -side * rw / 2. Corridors are straight halls from a to b, `width` wide,
+ * or polygonal hubs. Doorways are the gaps in corridor walls: one per room,
+ * one for the annex and one wherever two corridors meet.
+ */
+
+export const LAYOUT_TYPES = ['linear', 'grid', 'rotunda', 'tree', 'wings'];
+
+const GAP          = 2;  // clearance between neighbouring rooms
+const GRID_COLUMNS = 2;  // rooms per side of each half-street in a grid
+const TREE_ROOMS   = 4;  // rooms along each branch of a tree
+const MIN_HUB_SIDES = 6;
+
+/**
+ * @typedef {object} RoomPlacement
+ * @property {number} x
+ * @property {number} z
+ * @property {number} rotation  yaw of the room
+ * @property {1|-1}   side      the doorway is in the wall at local x = -side * rw / 2
+ * @property {number} rw
+ * @property {number} rd
+ *
+ * @typedef {{ kind: 'hall', ax: number, az: number, bx: number, bz: number, width: number, caps: [boolean, boolean] }
+ *         | { kind: 'hub', x: number, z: number, radius: number, sides: number }} Corridor
+ *         caps — whether the start / end of a hall is walled off (open ends join the lobby or another corridor);
+ *         a hub is a regular polygon with an edge (not a corner) facing +z
+ *
+ * @typedef {object} Layout
+ * @property {RoomPlacement[]} rooms     in the order the rooms were given
+ * @property {Corridor[]}      corridors
+ * @property {{ x: number, z: number, width: number }[]} doorways  centres of the gaps, on corridor walls
+ * @property {{ x: number, z: number, rotation: number }|null} annex  where a wing attaches: the doorway
+ *           centre, turned so local +x leads away from the corridor
+ * @property {{ name: string, x: number, z: number, rotation: number }[]} wings  the mouths of the
+ *           wings layout's wings, framed like `annex`; empty for other layouts
+ */
+
+/**
+ * Lay out rooms along corridors starting at `origin` (the lobby's hallway
+ * opening) and leading away from it along `direction` (−1: towards −Z).
+ * @param {string} type  one of LAYOUT_TYPES
+ * @param {{ rw: number, rd: number, group?: string }[]} rooms  width (away from the corridor) and
+ *        depth (along it); the wings layout gives each group of rooms its own wing
+ * @param {object} options
+ * @param {number} options.hallWidth    corridor half-width
+ * @param {number} options.hallLength   spacing between doorways along a hall
+ * @param {{ x: number, z: number }} [options.origin]
+ * @param {1|-1} [options.direction]
+ * @param {{ door: number, span: number, length: number }|null} [options.annex]
+ *        an extra wing (the gists wing) taking the slot after the last room: its doorway width,
+ *        its footprint along the corridor and how far it reaches away from it
+ * @returns {Layout}
+ */
+export function computeLayout(type, rooms, { annex = null, ...options }) {
+  const build = BUILDERS[type];
+  if (!build) throw new Error(`Unknown museum layout: ${type} (expected ${LAYOUT_TYPES.join(', ')})`);
+
+  const items = annex ? [...rooms, { rw: annex.length, rd: annex.span }] : rooms;
+  const { places, corridors, junctions, wings = [] } = build(items, { origin: { x: 0, z: 0 }, direction: -1, ...options });
+
+  const doorways = places.map((place, i) => ({
+    ...doorPoint(place),
+    width: annex && i === rooms.length ? annex.door : items[i].rd,
+  }));
+  const wing = annex ? places[rooms.length] : null;
+
+  return {
+    rooms:     places.slice(0, rooms.length),
+    corridors,
+    doorways:  [...doorways, ...junctions],
+    annex:     wing && { ...doorPoint(wing), rotation: wing.side > 0 ? wing.rotation : wing.rotation + Math.PI },
+    wings,
+  };
+}
+
+/**
+ * Whether (x, z) is inside a placed room.
+ * @param {RoomPlacement} room
+ */
+export function insideRoom(room, x, z) {
+  const { lx, lz } = toLocal(room, x, z);
+  return Math.abs(lx) < room.rw / 2 && Math.abs(lz) < room.rd / 2;
+}
+
+/**
+ * Where to stand on arriving in a room — just inside the doorway — and the yaw
+ * that faces the far wall.
+ * @param {RoomPlacement} room
+ * @returns {{ x: number, z: number, yaw: number }}
+ */
+export function roomEntrance(room) {
+  const { x, z } = toWorld(room, -room.side * (room.rw / 2 - 1.5), 0);
+  const cos = Math.cos(room.rotation), sin = Math.sin(room.rotation);
+  return { x, z, yaw: Math.atan2(-room.side * cos, room.side * sin) };
+}
+
+// ── Layouts ──────────────────────────────────────────────────
+
+const BUILDERS = {
+  // One hall with rooms alternating sides, or paired across it
+  linear(items, { hallWidth, hallLength, origin, direction, lead = hallLength, pitch = hallLength, tail = 2 * hallLength, paired = false }) {
+    const d     = { x: 0, z: direction };
+    const slots = paired ? Math.ceil(items.length / 2) : items.length;
+    const len   = lead + (slots - 1) * pitch + tail;
+
+    const places = items.map((item, i) => {
+      const t = lead + (paired ? Math.floor(i / 2) : i) * pitch;
+      return placeBeside(origin, d, t, i % 2 === 0 ? 1 : -1, hallWidth, item);
+    });
+    return { places, corridors: [hall(origin, d, len, hallWidth * 2, [false, true])], junctions: [] };
+  },
+
+  // A spine with cross streets; each street runs both ways from the spine and
+  // has rooms on both sides
+  grid(items, { hallWidth, hallLength, origin }) {
+    const width    = hallWidth * 2;
+    const frontage = Math.max(0, ...items.map(item => item.rd)) + GAP;
+    const perRow   = GRID_COLUMNS * 4;
+    const places    = [];
+    const corridors = [];
+    const junctions = [];
+
+    // Slot j of a row: column outward from the spine, then east/west, then north/south
+    const slotOf = j => ({ column: Math.floor(j / 4), east: j % 2 === 0 ? 1 : -1, north: j % 4 < 2 ? 1 : -1 });
+    const rows = [];
+    for (let i = 0; i < items.length; i += perRow) rows.push(items.slice(i, i + perRow));
+    const reach = (row, north) => Math.max(0, ...row.filter((_, j) => slotOf(j).north === north).map(item => item.rw));
+
+    let z = origin.z - hallLength + hallWidth;
+    rows.forEach((row, r) => {
+      z -= (r === 0 ? 0 : reach(rows[r - 1], -1) + GAP) + reach(row, 1) + width;
+      for (const east of [1, -1]) {
+        const columns = Math.ceil(row.filter((_, j) => slotOf(j).east === east).length / 2);
+        if (!columns) continue;
+        const start = { x: origin.x + east * hallWidth, z };
+        corridors.push(hall(start, { x: east, z: 0 }, columns * frontage + GAP, width, [false, true]));
+        junctions.push({ ...start, width });
+      }
+      row.forEach((item, j) => {
+        const { column, east, north } = slotOf(j);
+        const t = GAP / 2 + (column + 0.5) * frontage;
+        places.push(placeBeside({ x: origin.x + east * hallWidth, z }, { x: east, z: 0 }, t, north * east, hallWidth, item));
+      });
+    });
+
+    const spineLen = origin.z - z + (rows.length ? hallWidth : hallLength);
+    corridors.unshift(hall(origin, { x: 0, z: -1 }, spineLen, width, [false, true]));
+    return { places, corridors, junctions };
+  },
+
+  // A short entry hall into a polygonal rotunda, one room off each other edge
+  rotunda(items, { hallWidth, hallLength, origin }) {
+    const sides    = Math.max(MIN_HUB_SIDES, items.length + 1);
+    const frontage = Math.max(0, ...items.map(item => item.rd)) + GAP;
+    const radius   = Math.max(hallLength, frontage / (2 * Math.sin(Math.PI / sides)));
+    const apothem  = radius * Math.cos(Math.PI / sides);
+
+    // Edge k faces outward along (sin α, cos α); edge 0 faces the entry hall.
+    // Rooms beside the entry reach back towards the lobby, so the entry hall
+    // is long enough to keep them clear of it
+    const place = (entry) => {
+      const center = { x: origin.x, z: origin.z - entry - apothem };
+      const places = items.map((item, k) => {
+        const a = (2 * Math.PI * (k + 1)) / sides;
+        const onWall = { x: center.x + apothem * Math.sin(a), z: center.z + apothem * Math.cos(a) };
+        return placeBeside(onWall, { x: Math.cos(a), z: -Math.sin(a) }, 0, 1, 0, item);
+      });
+      return { center, places };
+    };
+    const reach = ({ places }) => Math.max(-Infinity, ...places.map(p =>
+      p.z + Math.abs(p.rw / 2 * Math.sin(p.rotation)) + Math.abs(p.rd / 2 * Math.cos(p.rotation))));
+    const entry = hallLength + Math.max(0, reach(place(hallLength)) - (origin.z - GAP));
+    const { center, places } = place(entry);
+    const mouth = { x: origin.x, z: origin.z - entry };
+
+    return {
+      places,
+      corridors: [
+        hall(origin, { x: 0, z: -1 }, entry, hallWidth * 2, [false, false]),
+        { kind: 'hub', x: center.x, z: center.z, radius, sides },
+      ],
+      junctions: [{ ...mouth, width: hallWidth * 2 }],
+    };
+  },
+
+  // A trunk that forks in two at its end, each branch forking again, until
+  // every room has a place. Branches run −Z, joined by cross halls at the forks
+  tree(items, { hallWidth, hallLength, origin }) {
+    const width = hallWidth * 2;
+    const nodes = [];
+    for (let i = 0; i < Math.max(1, items.length); i += TREE_ROOMS) {
+      nodes.push({ items: items.slice(i, i + TREE_ROOMS), first: i });
+    }
+    const children = n => [2 * n + 1, 2 * n + 2].filter(c => c < nodes.length);
+
+    // Footprint widths, leaves first, so sibling subtrees never overlap
+    for (let n = nodes.length - 1; n >= 0; n--) {
+      const own  = 2 * (hallWidth + Math.max(0, ...nodes[n].items.map(item => item.rw)) + GAP / 2);
+      const kids = children(n).map(c => nodes[c].footprint);
+      nodes[n].footprint = Math.max(own, kids.reduce((sum, w) => sum + w, 0) + GAP * (kids.length - 1));
+    }
+
+    const places    = [];
+    const corridors = [];
+    const junctions = [];
+    const maxRd     = Math.max(0, ...items.map(item => item.rd));
+    const visit = (n, top) => {
+      const node = nodes[n];
+      const kids = children(n);
+      node.items.forEach((item, j) => {
+        places[node.first + j] = placeBeside(top, { x: 0, z: -1 }, (j + 1) * hallLength, j % 2 === 0 ? 1 : -1, hallWidth, item);
+      });
+
+      if (!kids.length) {
+        corridors.push(hall(top, { x: 0, z: -1 }, (node.items.length + 1) * hallLength, width, [false, true]));
+        return;
+      }
+      // Down to the fork's cross hall, which spans the children's branches
+      const len   = node.items.length * hallLength + maxRd / 2 + GAP / 2;
+      const forkZ = top.z - len - hallWidth;
+      corridors.push(hall(top, { x: 0, z: -1 }, len, width, [false, false]));
+      junctions.push({ x: top.x, z: top.z - len, width });
+
+      const span = kids.reduce((sum, c) => sum + nodes[c].footprint, 0) + GAP * (kids.length - 1);
+      let left = top.x - span / 2;
+      const xs = kids.map(c => {
+        const x = kids.length === 1 ? top.x : left + nodes[c].footprint / 2;
+        left += nodes[c].footprint + GAP;
+        return x;
+      });
+      const west = Math.min(...xs) - hallWidth;
+      const east = Math.max(...xs, top.x) + hallWidth;
+      corridors.push(hall({ x: Math.min(west, top.x - hallWidth), z: forkZ }, { x: 1, z: 0 },
+        Math.max(east, top.x + hallWidth) - Math.min(west, top.x - hallWidth), width, [true, true]));
+      kids.forEach((c, k) => {
+        const childTop = { x: xs[k], z: forkZ - hallWidth };
+        junctions.push({ ...childTop, width });
+        visit(c, childTop);
+      });
+    };
+    visit(0, origin);
+    return { places, corridors, junctions };
+  },
+
+  // A main hall with a side wing per group of rooms, wings alternating east
+  // and west; rooms line both sides of their wing. Ungrouped items (the
+  // annex) sit beside the main hall itself
+  wings(items, { hallWidth, hallLength, origin }) {
+    const width = hallWidth * 2;
+    const down  = { x: 0, z: -1 };
+    const blocks = [];
+    items.forEach((item, i) => {
+      const block = item.group != null && blocks.find(b => b.name === item.group);
+      if (block) block.members.push(i);
+      else blocks.push({ name: item.group ?? null, members: [i] });
+    });
+
+    const places    = [];
+    const corridors = [];
+    const junctions = [];
+    const wings     = [];
+    // Per side, how far towards +z the next block may reach
+    const limit = { [1]: origin.z - hallLength, [-1]: origin.z - hallLength };
+    let z   = origin.z;
+    let end = origin.z - 2 * hallLength;
+    blocks.forEach((block, k) => {
+      const side    = k % 2 === 0 ? 1 : -1;
+      const members = block.members.map(i => items[i]);
+      // Wing rooms alternate north (+z) and south of their hall
+      const reach = north => hallWidth + Math.max(0, ...members.filter((_, j) => (j % 2 === 0 ? 1 : -1) === north).map(m => m.rw));
+      const plus  = block.name === null ? members[0].rd / 2 : reach(1);
+      const minus = block.name === null ? members[0].rd / 2 : reach(-1);
+      z = Math.min(z - hallLength, limit[side] - plus);
+      limit[side] = z - minus - GAP;
+
+      if (block.name === null) {
+        places[block.members[0]] = placeBeside(origin, down, origin.z - z, side, hallWidth, members[0]);
+        end = Math.min(end, z - Math.max(hallLength, members[0].rd / 2 + GAP));
+        return;
+      }
+      const mouth    = { x: origin.x + side * hallWidth, z };
+      const d        = { x: side, z: 0 };
+      const frontage = Math.max(...members.map(m => m.rd)) + GAP;
+      corridors.push(hall(mouth, d, Math.ceil(members.length / 2) * frontage + GAP, width, [false, true]));
+      junctions.push({ ...mouth, width });
+      wings.push({ name: block.name, ...mouth, rotation: side > 0 ? 0 : Math.PI });
+      block.members.forEach((i, j) => {
+        const t = GAP / 2 + (Math.floor(j / 2) + 0.5) * frontage;
+        places[i] = placeBeside(mouth, d, t, (j % 2 === 0 ? 1 : -1) * side, hallWidth, items[i]);
+      });
+      end = Math.min(end, z - Math.max(hallLength, hallWidth + GAP));
+    });
+
+    corridors.unshift(hall(origin, down, origin.z - end, width, [false, true]));
+    return { places, corridors, junctions, wings };
+  },
+};
+
+// ── Helpers ──────────────────────────────────────────────────
+
+function hall(a, d, len, width, caps) {
+  return { kind: 'hall', ax: a.x, az: a.z, bx: a.x + d.x * len, bz: a.z + d.z * len, width, caps };
+}
+
+/**
+ * Place a room `t` along a hall from `a` heading `d`, on its right (side 1) or
+ * left (side −1), its doorway in the wall `halfWidth` from the centre line.
+ * The room is turned with the hall, so side −1 mirrors rather than rotates it.
+ */
+function placeBeside(a, d, t, side, halfWidth, { rw, rd }) {
+  const right = { x: -d.z, z: d.x };
+  const out   = side * (halfWidth + rw / 2);
+  return {
+    x: a.x + d.x * t + right.x * out,
+    z: a.z + d.z * t + right.z * out,
+    rotation: Math.atan2(-d.x, -d.z),
+    side,
+    rw,
+    rd,
+  };
+}
+
+/** Centre of a room's doorway, on the corridor wall. */
+function doorPoint(room) {
+  return toWorld(room, -room.side * room.rw / 2, 0);
+}
+
+function toWorld(room, lx, lz) {
+  const cos = Math.cos(room.rotation), sin = Math.sin(room.rotation);
+  return { x: room.x + lx * cos + lz * sin, z: room.z - lx * sin + lz * cos };
+}
+
+function toLocal(room, x, z) {
+  const cos = Math.cos(room.rotation), sin = Math.sin(room.rotation);
+  const dx = x - room.x, dz = z - room.z;
+  return { lx: dx * cos - dz * sin, lz: dx * sin + dz * cos };
+}
@@ -3,74 +3,49 @@ import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
 import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
 import fontJSON from 'three/examples/fonts/helvetiker_bold.typeface.json';
 import { LEVEL_COLORS, makeWallMaterial, makeMarbleFloorMaterial, makeMarbleCeilingMaterial } from './materials.js';
+import { batchStatic } from './batching.js';
 
-const WEEKS = 52;
-const DAYS  = 7;
-const TOTAL = WEEKS * DAYS; // 364
+const DAYS     = 7;
+const MORPH_S  = 1.2;  // seconds for the graph to morph between years
+const STAGGER  = 0.6;  // fraction of MORPH_S the wave takes to cross the graph
 
 /**
- * Build the lobby room with a 3D GitHub contribution graph.
- * @param {object[]} contributions  — array from jogruber.de API
+ * Build the lobby room with a 3D GitHub contribution graph. A row of year
+ * plaques on the back wall switches the graph between the past year and each
+ * calendar year in `contributions`.
+ * @param {object[]} contributions  — `{ date, count, level }` days, oldest first
  * @param {object}   config
  * @param {THREE.Scene} scene
- * @returns {THREE.Group}
+ * @param {{ login: string, name: string, avatar_url: string|null }|null} [profile]
+ *        organisation shown in place of the username (org galleries only)
+ * @param {{ backDoorWidth?: number }} [options]
+ *        backDoorWidth — cut a doorway this wide in the back wall (the grand hall entrance)
+ * @returns {THREE.Group}  the graph mesh carries `userData.update(delta)` for the main loop;
+ *          `userData.backZ` is the back wall's inner face
  */
-export function buildLobby(contributions, config, scene) {
+export function buildLobby(contributions, config, scene, profile = null, { backDoorWidth = 0 } = {}) {
   const group = new THREE.Group();
   group.name = 'lobby';
 
   const { cubeSize = 0.3, cubeGap = 0.08, maxHeight = 4, lobbyCenterZ = 8 } = config.lobby;
 
-  // Pad / trim to exactly 364 entries
-  const flat = flattenContributions(contributions);
+  // One view per selectable year, each a week-column grid like GitHub's
+  const views = buildViews(contributions);
+  const weeks = Math.max(...views.map(v => Math.ceil(v.cells.length / DAYS)));
 
   // ---- Instanced contribution cubes ----
   const size    = cubeSize;
   const spacing = size + cubeGap;
-  const geom    = new THREE.BoxGeometry(size, 1, size); // Y scaled per instance
-  const mat     = new THREE.MeshStandardMaterial({ roughness: 0.6, metalness: 0.1 });
 
-  const mesh = new THREE.InstancedMesh(geom, mat, TOTAL);
-  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(TOTAL * 3), 3);
-  mesh.name          = 'contrib-graph';
-
-  const dummy  = new THREE.Object3D();
-  const maxVal = Math.max(1, ...flat.map(d => d.count));
-
-  // Layout: weeks along X, days along Z (within lobby space)
+  // Layout: weeks along X, weekdays along Z (within lobby space)
   // Grid starts at negative X / positive Z, centered
-  const gridW = WEEKS * spacing;
+  const gridW = weeks * spacing;
   const gridD = DAYS * spacing;
   const startX = -gridW / 2 + spacing / 2;
   const startZ = lobbyCenterZ - gridD / 2 + spacing / 2;
 
-  for (let w = 0; w < WEEKS; w++) {
-    for (let d = 0; d < DAYS; d++) {
-      const idx  = w * DAYS + d;
-      const data = flat[idx];
-
-      const normalizedH = data.count > 0
-        ? Math.max(0.05, (data.count / maxVal))
-        : 0.02;
-      const height = normalizedH * maxHeight;
-
-      dummy.scale.set(1, height, 1);
-      dummy.position.set(
-        startX + w * spacing,
-        height / 2,            // sit on y=0 floor
-        startZ + d * spacing
-      );
-      dummy.updateMatrix();
-      mesh.setMatrixAt(idx, dummy.matrix);
-
-      const color = LEVEL_COLORS[data.level] || LEVEL_COLORS[0];
-      mesh.setColorAt(idx, color);
-    }
-  }
-
-  mesh.instanceMatrix.needsUpdate = true;
-  mesh.instanceColor.needsUpdate  = true;
-  group.add(mesh);
+  const graph = createContribGraph(weeks, { size, spacing, startX, startZ, maxHeight });
+  group.add(graph.mesh);
 
   // ---- Floor ----
   // Extend forward all the way to Z=0 so it connects with the museum hallway
@@ -82,6 +57,7 @@ export function buildLobby(contributions, config, scene) {
   const floorGeo = new THREE.BoxGeometry(floorW, 0.2, floorD);
   const floor = new THREE.Mesh(floorGeo, makeMarbleFloorMaterial(Math.ceil(floorW / 1.5), Math.ceil(floorD / 1.5)));
   floor.position.set(0, -0.1, floorCenterZ);
+  floor.userData.static = true;
   group.add(floor);
 
   // ---- Ceiling ----
@@ -91,19 +67,42 @@ export function buildLobby(contributions, config, scene) {
     makeMarbleCeilingMaterial(Math.ceil(floorW / 1.5), Math.ceil(floorD / 1.5))
   );
   ceiling.position.set(0, wallH, floorCenterZ);
+  ceiling.userData.static = true;
   group.add(ceiling);
 
   // ---- Walls (warm white to match museum) ----
   const lobbyWallMat = makeWallMaterial('#e8e2d8');
 
-  // Back wall
-  const backWall = new THREE.Mesh(
-    new THREE.BoxGeometry(floorW, wallH, 0.2),
-    lobbyWallMat
-  );
-  backWall.position.set(0, wallH / 2, floorBack + 0.1);
-  backWall.userData.isWall = true;
-  group.add(backWall);
+  // Back wall (optionally with the grand hall doorway)
+  const doorH = 3.4;
+  if (backDoorWidth > 0) {
+    const panelW = (floorW - backDoorWidth) / 2;
+    [-1, 1].forEach(side => {
+      const panel = new THREE.Mesh(
+        new THREE.BoxGeometry(panelW, wallH, 0.2),
+        lobbyWallMat
+      );
+      panel.position.set(side * (backDoorWidth / 2 + panelW / 2), wallH / 2, floorBack + 0.1);
+      panel.userData.isWall = true;
+      group.add(panel);
+    });
+    // Lintel over the doorway — overhead, so collisions pass under it
+    const lintel = new THREE.Mesh(
+      new THREE.BoxGeometry(backDoorWidth, wallH - doorH, 0.2),
+      lobbyWallMat
+    );
+    lintel.position.set(0, doorH + (wallH - doorH) / 2, floorBack + 0.1);
+    lintel.userData.isWall = true;
+    group.add(lintel);
+  } else {
+    const backWall = new THREE.Mesh(
+      new THREE.BoxGeometry(floorW, wallH, 0.2),
+      lobbyWallMat
+    );
+    backWall.position.set(0, wallH / 2, floorBack + 0.1);
+    backWall.userData.isWall = true;
+    group.add(backWall);
+  }
 
   // Side walls with windows to see the starfield
   const windowCount = 3;
@@ -156,6 +155,7 @@ export function buildLobby(contributions, config, scene) {
         lobbyWallMat
       );
       aboveWall.position.set(wx, aboveBottom + aboveH / 2, floorCenterZ);
+      aboveWall.userData.static = true;
       group.add(aboveWall);
     }
 
@@ -205,15 +205,15 @@ export function buildLobby(contributions, config, scene) {
       group.add(panel);
     });
     // Lintel above hallway opening
-    const lintelH = wallH - 3.4;
+    const lintelH = wallH - doorH;
     if (lintelH > 0) {
       const lintel = new THREE.Mesh(
         new THREE.BoxGeometry(hallWidth * 2, lintelH, 0.2),
         lobbyWallMat
       );
-      lintel.position.set(0, 3.4 + lintelH / 2, floorFront);
-      // Not tagged as wall — it's above player height and the 2D XZ collision
-      // code would project it down as an invisible barrier across the doorway.
+      lintel.position.set(0, doorH + lintelH / 2, floorFront);
+      // Collisions respect Y, so a wall above head height doesn't block the doorway
+      lintel.userData.isWall = true;
       group.add(lintel);
     }
   }
@@ -235,17 +235,48 @@ export function buildLobby(contributions, config, scene) {
     group.add(col);
   });
 
-  // ---- Lobby sign (back wall) ----
+  // ---- Lobby sign (back wall, shows the selected year's total) ----
   const signCanvas  = makeSignCanvas('Git Gallery', '#39d353');
   const signTex     = new THREE.CanvasTexture(signCanvas);
   const signMat     = new THREE.MeshBasicMaterial({ map: signTex, side: THREE.FrontSide });
   const sign        = new THREE.Mesh(new THREE.PlaneGeometry(3, 0.8), signMat);
-  sign.position.set(0, wallH - 1, lobbyCenterZ + floorD / 2 - 0.3);
+  sign.position.set(0, wallH - 1, floorBack - 0.05);
   sign.rotation.y = Math.PI;
   group.add(sign);
 
+  // ---- Year total on the floor, between the graph and the name ----
+  const totalCanvas = makeFloorTotalCanvas();
+  const totalTex    = new THREE.CanvasTexture(totalCanvas);
+  const totalLabel  = new THREE.Mesh(
+    new THREE.PlaneGeometry(4, 0.5),
+    new THREE.MeshBasicMaterial({ map: totalTex, transparent: true, depthWrite: false })
+  );
+  totalLabel.rotation.x = -Math.PI / 2;
+  totalLabel.position.set(0, 0.01, startZ - spacing / 2 - 0.7);
+  group.add(totalLabel);
+
+  // ---- Year plaques (back wall, below the sign — above the doorway when there is one) ----
+  const plaqueY = backDoorWidth > 0 ? (doorH + wallH - 1.4) / 2 : 1.5;
+  const plaques = createYearPlaques(group, views, floorW, floorBack, plaqueY);
+
+  function selectView(index) {
+    const view = views[index];
+    graph.show(view);
+    plaques.setActive(index);
+    const summary = `${view.total.toLocaleString()} contributions ${view.key === 'last' ? 'in the past year' : `in ${view.label}`}`;
+    drawSignCanvas(signCanvas, 'Git Gallery', '#39d353', summary);
+    signTex.needsUpdate = true;
+    drawFloorTotalCanvas(totalCanvas, summary);
+    totalTex.needsUpdate = true;
+  }
+  plaques.onSelect(selectView);
+  selectView(views.length - 1); // past year
+
   // ---- 3D username text (floating above contribution graph) ----
-  const username = config.username || 'github-user';
+  // Org galleries show the organisation instead. The bundled font is
+  // ASCII-only, so non-ASCII display names fall back to the login.
+  const orgName  = profile && (/^[\x20-\x7e]+$/.test(profile.name) ? profile.name : profile.login);
+  const username = orgName || config.username || 'github-user';
   const font     = new FontLoader().parse(fontJSON);
   const textGeo  = new TextGeometry(username, {
     font,
@@ -281,6 +312,11 @@ export function buildLobby(contributions, config, scene) {
   textGlow.position.set(0, 1.0, 1.5);
   group.add(textGlow);
 
+  // ---- Organisation avatar (framed, standing left of the name) ----
+  if (profile?.avatar_url) {
+    createAvatarFrame(group, profile.avatar_url, -textW / 2 - 1.3, 1.5);
+  }
+
   // ---- Lights ----
   const ambientLight = new THREE.AmbientLight(0x1a2030, 1.5);
   group.add(ambientLight);
@@ -298,44 +334,264 @@ export function buildLobby(contributions, config, scene) {
     group.add(light);
   });
 
+  // Walls, floor and ceiling drawn as one batch (see batching.js)
+  batchStatic(group);
+
+  group.userData.backZ = floorBack;
   scene.add(group);
   return group;
 }
 
 // ---- Helpers ----
 
-function flattenContributions(contributions) {
-  // jogruber.de returns an array of { date, count, level }
-  const result = [];
+/**
+ * Selectable graph views: every calendar year in the data, oldest first, then
+ * the rolling past year. Each view's `cells` run from the Sunday on or before
+ * its first day, one per day, and are null outside the view's range.
+ */
+function buildViews(contributions) {
+  const days   = (contributions || []).filter(d => d && d.date);
+  const byDate = new Map(days.map(d => [d.date, d]));
+  const today  = days.length ? days[days.length - 1].date : isoDate(new Date());
+
+  const views = [];
+  if (days.length) {
+    const firstYear = Number(days[0].date.slice(0, 4));
+    const lastYear  = Number(today.slice(0, 4));
+    for (let year = firstYear; year <= lastYear; year++) {
+      const end = `${year}-12-31` < today ? `${year}-12-31` : today;
+      views.push(makeView(String(year), String(year), `${year}-01-01`, end, byDate));
+    }
+  }
+  const yearAgo = new Date(`${today}T00:00:00Z`);
+  yearAgo.setUTCDate(yearAgo.getUTCDate() - 364);
+  views.push(makeView('last', 'Past year', isoDate(yearAgo), today, byDate));
+  return views;
+}
+
+function makeView(key, label, from, to, byDate) {
+  const day = new Date(`${from}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - day.getUTCDay()); // back to Sunday
+
+  const cells = [];
+  let total = 0;
+  for (let date = isoDate(day); date <= to; day.setUTCDate(day.getUTCDate() + 1), date = isoDate(day)) {
+    if (date < from) { cells.push(null); continue; }
+    const entry = byDate.get(date);
+    const cell  = { count: entry?.count ?? 0, level: entry?.level ?? 0 };
+    total += cell.count;
+    cells.push(cell);
+  }
+  return { key, label, cells, total };
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The contribution cubes as one InstancedMesh. `show(view)` starts a morph to
+ * that view's heights and colours — a wave rolling from the oldest week to the
+ * newest — which `mesh.userData.update(delta)` advances each frame. A view's
+ * `cells` run week by week, Sunday first; null cells are hidden. Also used by
+ * the per-repo activity graphs in museum.js.
+ */
+export function createContribGraph(weeks, { size, spacing, startX, startZ, maxHeight }) {
+  const count = weeks * DAYS;
+  const geom  = new THREE.BoxGeometry(size, 1, size); // Y scaled per instance
+  const mat   = new THREE.MeshStandardMaterial({ roughness: 0.6, metalness: 0.1 });
+
+  const mesh = new THREE.InstancedMesh(geom, mat, count);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3);
+  mesh.name          = 'contrib-graph';
 
-  if (!contributions || contributions.length === 0) {
-    return Array.from({ length: TOTAL }, () => ({ count: 0, level: 0 }));
+  // Per cube: height and footprint (0 hides cubes outside the view's range)
+  const from = { height: new Float32Array(count), scale: new Float32Array(count), color: [] };
+  const to   = { height: new Float32Array(count), scale: new Float32Array(count), color: [] };
+  const cur  = { height: new Float32Array(count), scale: new Float32Array(count), color: [] };
+  for (let i = 0; i < count; i++) {
+    for (const state of [from, to, cur]) state.color.push(LEVEL_COLORS[0].clone());
   }
 
-  // Take last TOTAL entries, pad with zeros at front if needed
-  const src = contributions.slice(-TOTAL);
-  const pad = TOTAL - src.length;
-  for (let i = 0; i < pad; i++) result.push({ count: 0, level: 0 });
-  src.forEach(d => result.push({ count: d.count ?? 0, level: d.level ?? 0 }));
+  const dummy = new THREE.Object3D();
+  let progress = 1;
 
-  return result;
+  function apply() {
+    for (let i = 0; i < count; i++) {
+      const w = Math.floor(i / DAYS);
+      const d = i % DAYS;
+      // Each week column starts a little after the one before it
+      const local = THREE.MathUtils.clamp((progress * (1 + STAGGER) - (w / weeks) * STAGGER), 0, 1);
+      const t     = THREE.MathUtils.smootherstep(local, 0, 1);
+
+      cur.height[i] = THREE.MathUtils.lerp(from.height[i], to.height[i], t);
+      cur.scale[i]  = THREE.MathUtils.lerp(from.scale[i],  to.scale[i],  t);
+      cur.color[i].lerpColors(from.color[i], to.color[i], t);
+
+      const s = Math.max(cur.scale[i], 0.0001);
+      dummy.scale.set(s, Math.max(cur.height[i], 0.0001), s);
+      dummy.position.set(
+        startX + w * spacing,
+        cur.height[i] / 2,     // sit on y=0 floor
+        startZ + d * spacing
+      );
+      dummy.updateMatrix();
+      mesh.setMatrixAt(i, dummy.matrix);
+      mesh.setColorAt(i, cur.color[i]);
+    }
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate  = true;
+  }
+
+  function show(view) {
+    const maxVal = Math.max(1, ...view.cells.map(c => c?.count ?? 0));
+    for (let i = 0; i < count; i++) {
+      from.height[i] = cur.height[i];
+      from.scale[i]  = cur.scale[i];
+      from.color[i].copy(cur.color[i]);
+
+      const cell = view.cells[i];
+      const normalizedH = cell && cell.count > 0
+        ? Math.max(0.05, (cell.count / maxVal))
+        : 0.02;
+      to.height[i] = cell ? normalizedH * maxHeight : 0;
+      to.scale[i]  = cell ? 1 : 0;
+      to.color[i].copy(LEVEL_COLORS[cell?.level] || LEVEL_COLORS[0]);
+    }
+    progress = 0;
+    apply();
+  }
+
+  mesh.userData.update = (delta) => {
+    if (progress >= 1) return;
+    progress = Math.min(1, progress + delta / MORPH_S);
+    apply();
+  };
+
+  return { mesh, show };
+}
+
+/**
+ * A row of clickable year plaques along the back wall, newest on the right
+ * as seen from inside the lobby.
+ */
+function createYearPlaques(group, views, floorW, floorBack, y) {
+  const pitch  = Math.min(0.9, (floorW - 2) / views.length);
+  const width  = pitch - 0.1;
+  const height = width / 2;
+  let onSelect = () => {};
+
+  const plaques = views.map((view, i) => {
+    const canvas = document.createElement('canvas');
+    canvas.width  = 256;
+    canvas.height = 128;
+    const tex  = new THREE.CanvasTexture(canvas);
+    const mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(width, height),
+      new THREE.MeshBasicMaterial({ map: tex })
+    );
+    // Facing into the room (−Z), so the viewer's left is +X
+    mesh.position.set(((views.length - 1) / 2 - i) * pitch, y, floorBack - 0.05);
+    mesh.rotation.y = Math.PI;
+    mesh.userData.tooltip    = `${view.label} — ${view.total.toLocaleString()} contributions`;
+    mesh.userData.onActivate = () => onSelect(i);
+    group.add(mesh);
+    return { view, canvas, tex };
+  });
+
+  return {
+    onSelect(fn) { onSelect = fn; },
+    setActive(index) {
+      plaques.forEach(({ view, canvas, tex }, i) => {
+        drawPlaqueCanvas(canvas, view.label, i === index);
+        tex.needsUpdate = true;
+      });
+    },
+  };
+}
+
+function drawPlaqueCanvas(canvas, label, active) {
+  const { width: w, height: h } = canvas;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = active ? '#0e4429' : '#0d1117';
+  ctx.fillRect(0, 0, w, h);
+  ctx.strokeStyle = active ? '#39d353' : '#30363d';
+  ctx.lineWidth   = 8;
+  ctx.strokeRect(4, 4, w - 8, h - 8);
+
+  ctx.font         = `bold ${label.length > 4 ? 40 : 56}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
+  ctx.fillStyle    = active ? '#39d353' : '#8b949e';
+  ctx.textAlign    = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, w / 2, h / 2);
+}
+
+function makeFloorTotalCanvas() {
+  const canvas = document.createElement('canvas');
+  canvas.width  = 1024;
+  canvas.height = 128;
+  return canvas;
+}
+
+function drawFloorTotalCanvas(canvas, text) {
+  const { width: w, height: h } = canvas;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, w, h);
+  ctx.font         = 'bold 64px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+  ctx.fillStyle    = '#39d353';
+  ctx.textAlign    = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, w / 2, h / 2);
+}
+
+function createAvatarFrame(group, url, x, z) {
+  const size = 1.6;
+
+  const frame = new THREE.Mesh(
+    new THREE.BoxGeometry(size + 0.16, size + 0.16, 0.08),
+    new THREE.MeshStandardMaterial({ color: '#39d353', emissive: '#39d353', emissiveIntensity: 0.4 })
+  );
+  frame.position.set(x, size / 2 + 0.1, z - 0.05);
+  group.add(frame);
+
+  const loader = new THREE.TextureLoader();
+  loader.setCrossOrigin('anonymous');
+  const tex = loader.load(url, undefined, undefined, () => {
+    console.warn('Failed to load organisation avatar:', url);
+  });
+  tex.colorSpace = THREE.SRGBColorSpace;
+  const avatar = new THREE.Mesh(
+    new THREE.PlaneGeometry(size, size),
+    new THREE.MeshBasicMaterial({ map: tex })
+  );
+  avatar.position.set(x, size / 2 + 0.1, z);
+  group.add(avatar);
 }
 
 function makeSignCanvas(text, color) {
-  const w = 512, h = 128;
   const canvas = document.createElement('canvas');
-  canvas.width  = w;
-  canvas.height = h;
+  canvas.width  = 512;
+  canvas.height = 128;
+  drawSignCanvas(canvas, text, color);
+  return canvas;
+}
+
+function drawSignCanvas(canvas, text, color, subtitle = '') {
+  const { width: w, height: h } = canvas;
   const ctx = canvas.getContext('2d');
 
   ctx.fillStyle = '#0d1117';
   ctx.fillRect(0, 0, w, h);
 
-  ctx.font      = 'bold 72px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+  ctx.font      = `bold ${subtitle ? 56 : 72}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
   ctx.fillStyle = color;
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
-  ctx.fillText(text, w / 2, h / 2);
+  ctx.fillText(text, w / 2, subtitle ? h * 0.38 : h / 2);
 
-  return canvas;
+  if (subtitle) {
+    ctx.font      = '24px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+    ctx.fillStyle = '#8b949e';
+    ctx.fillText(subtitle, w / 2, h * 0.78);
+  }
 }
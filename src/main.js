@@ -1,44 +1,24 @@
 import * as THREE from 'three';
-import { fetchAllData, fetchReadme, fetchFileTree, fetchCommits } from './github.js';
+import {
+  configureProvider, fetchAllData, fetchReadme, fetchFileTree, fetchCommits, fetchReleases, fetchActivity,
+  fetchContributors, fetchCommitActivity, fetchStarHistory, fetchSourceFile, getRawBaseUrl,
+  RateLimitError, onRateLimitChange, describeRateLimit,
+} from './github.js';
 import { buildLobby }   from './lobby.js';
-import { buildMuseum, renderReadmeToRoom, showReadmePlaceholder, renderFileTree, renderCommitTimeline } from './museum.js';
+import { insideRoom }   from './layout.js';
+import { createGround, STEP_UP } from './ground.js';
+import { localBounds } from './batching.js';
+import {
+  buildMuseum, ensureRoomBuilt, disposeRoom, GRAND_HALL_W, renderReadmeToRoom, showReadmePlaceholder, renderFileTree, renderCommitTimeline,
+  renderReleases, renderBoard, renderContributors, renderCommitActivity, renderStarHistory, renderSourceFile, showSourcePlaceholder, showPanelMessage,
+} from './museum.js';
 import { createControls } from './controls.js';
-import { initUI, setLoading, hideLoading, showInstructions, hideInstructions, showTooltip, hideTooltip, updateMinimap, showDirectory, hideDirectory, isDirectoryVisible } from './ui.js';
+import { initUI, setLoading, hideLoading, showInstructions, hideInstructions, showTooltip, hideTooltip, updateMinimap, showDirectory, hideDirectory, isDirectoryVisible, setRateLimitNotice, toggleStats, isStatsVisible, updateStats } from './ui.js';
 import { createStarfield } from './starfield.js';
 import { createAudioManager } from './audio.js';
 import { parseHash, setHash, teleportToRoom, teleportToLobby } from './router.js';
 import { isTouchDevice, createMobileControls } from './mobile.js';
-
-// ============================================================
-//  CONFIG — change `username` to explore any GitHub user
-// ============================================================
-export const CONFIG = {
-  username: 'usr-wwelsh',
-
-  player: {
-    height:        1.7,
-    speed:         6,     // units/sec walking speed
-    runMultiplier: 2.2,
-    damping:       12,    // higher = snappier response
-  },
-
-  roomHeight: 6.5,
-
-  lobby: {
-    cubeSize:     0.3,
-    cubeGap:      0.07,
-    maxHeight:    3.5,
-    lobbyCenterZ: 9,
-  },
-
-  museum: {
-    hallWidth:     4,
-    hallLength:    10,
-    roomDepth:     10,
-    roomHeight:    6.5,
-    baseRoomWidth: 10,
-  },
-};
+import { CONFIG } from './config.js';
 
 // ============================================================
 //  Scene setup
@@ -67,11 +47,13 @@ scene.add(new THREE.AmbientLight(0xffffff, 1.8));
 createStarfield(scene);
 
 // ============================================================
-//  Raycaster for tooltips
+//  Raycaster for tooltips and interaction
 // ============================================================
 const raycaster  = new THREE.Raycaster();
 const center     = new THREE.Vector2(0, 0);
 let portalMeshes = [];
+let interactables = []; // meshes with userData.onActivate(hit) / onScroll(rows), or hover-only tooltips
+let aimed        = null; // raycast hit on the interactable under the crosshair
 
 // ============================================================
 //  Resize handler
@@ -87,19 +69,29 @@ window.addEventListener('resize', () => {
 // ============================================================
 initUI();
 setLoading('Connecting to GitHub…', 0);
+onRateLimitChange(state => setRateLimitNotice(state, describeRateLimit(state.resetAt)));
 
 let controls;
 let artifacts    = [];
+let animated     = [];  // objects with userData.update(delta)
 let floatingText = null;
 let roomMeta     = [];
-let wallBoxes    = [];  // collision AABBs
+let gistWing     = null; // side corridor of gist alcoves, when gists are enabled
+let corridors    = [];  // the layout's halls and hubs, for the minimap
+let wings        = [];  // wing mouths of the wings layout, for the minimap
+let wallBoxes    = [];  // collision boxes, oriented in XZ (see wallBox)
+let movingBoxes  = [];  // the wallBoxes of moving walls (elevator car gates), refreshed each frame
+let storeys      = null; // { count, height, core } when the museum has more than one floor
 let clock       = new THREE.Clock();
 let currentRoom = null; // room the player is currently inside
+let statsFrames = 0;    // frames and seconds since the stats overlay last updated
+let statsTime   = 0;
 
 const audio = createAudioManager();
 const isMobile = isTouchDevice();
 
 const PLAYER_RADIUS = 0.35;
+const ground = createGround();
 
 /** Get the player's world position (works for both desktop and mobile controls). */
 function getPlayerPos() {
@@ -107,55 +99,53 @@ function getPlayerPos() {
 }
 
 async function init() {
+  configureProvider(CONFIG.provider);
+
   // Fetch data
-  const { repos, languages, contributions } = await fetchAllData(
+  const { repos, languages, contributions, profile, gists, pinned } = await fetchAllData(
     CONFIG.username,
-    (status, pct) => setLoading(status, pct)
+    (status, pct) => setLoading(status, pct),
+    { org: CONFIG.org, select: CONFIG.repos, gists: CONFIG.gists.enabled ? CONFIG.gists.maxCount : 0 }
   );
 
   setLoading('Building lobby…', 92);
 
-  // Build lobby
-  buildLobby(contributions, CONFIG, scene);
+  // Build lobby — with a doorway in its back wall to the grand hall of pinned repos
+  const lobby = buildLobby(contributions, CONFIG, scene, profile, {
+    backDoorWidth: pinned.length ? GRAND_HALL_W * 2 : 0,
+  });
 
   setLoading('Building museum…', 95);
 
   // Build museum
-  const result = buildMuseum(repos, languages, CONFIG, scene);
+  const result = buildMuseum(repos, languages, CONFIG, scene, { gists, pinned, grandHallZ: lobby.userData.backZ });
   roomMeta = result.roomMeta;
-
-  // Collect portal meshes for raycasting
-  portalMeshes = roomMeta.map(rm => rm.doorMesh).filter(Boolean);
-
-  // Collect animated meshes
-  scene.traverse(obj => {
-    if (obj.isMesh && obj.userData.isArtifact) artifacts.push(obj);
-    if (obj.isMesh && obj.userData.isFloatingText) floatingText = obj;
-  });
-
-  // Build collision boxes from all tagged walls
+  gistWing = result.gistWing;
+  corridors = result.corridors;
+  wings     = result.wings;
+  storeys   = result.storeys;
+  roomMeta.forEach(room => { room.onOpenFile = path => openSourceFile(room, path); });
+
+  // Collision boxes, walkable floors and animated meshes of the lobby and
+  // halls; rooms add theirs as they're built, starting with those in view
   scene.updateMatrixWorld(true);
-  scene.traverse(obj => {
-    if (obj.isMesh && obj.userData.isWall) {
-      const box = new THREE.Box3();
-      box.setFromObject(obj);
-      wallBoxes.push(box);
-    }
-  });
+  addToWorld(scene);
+  streamRooms(getPlayerPos(), Infinity);
 
   setLoading('Entering gallery…', 100);
 
   // Create controls (mobile or desktop)
   if (isMobile) {
-    controls = createMobileControls(camera, CONFIG.player);
+    controls = createMobileControls(camera, CONFIG.player, ground);
     scene.add(controls.getObject());
     controls.addEventListener('lock', () => {
       audio.resume();
       hideInstructions();
     });
     controls.addEventListener('unlock', () => {});
+    controls.addEventListener('tap', activateAimed);
   } else {
-    controls = createControls(camera, renderer.domElement, CONFIG.player);
+    controls = createControls(camera, renderer.domElement, CONFIG.player, ground);
     scene.add(controls.getObject());
     controls.addEventListener('lock', () => {
       if (!isDirectoryVisible()) hideInstructions();
@@ -174,7 +164,8 @@ async function init() {
       if (room) {
         teleportToRoom(camera, controls, room, CONFIG);
         setHash('room', room.repoName);
-        if (room.roomGroup) room.roomGroup.visible = true;
+        buildRoomNow(room);
+        room.roomGroup.visible = true;
         currentRoom = room;
         if (!room.readmeLoaded) {
           showReadmePlaceholder(room);
@@ -188,13 +179,22 @@ async function init() {
     });
   }
 
-  // T key for room directory (desktop)
+  // T key for room directory, click or E to use what's under the crosshair,
+  // I for render stats (desktop)
   if (!isMobile) {
     document.addEventListener('keydown', (e) => {
+      if (e.code === 'KeyI' && controls.isLocked) toggleStats();
       if (e.code === 'KeyT' && controls.isLocked) {
         e.preventDefault();
         openDirectory();
       }
+      if (e.code === 'KeyE' && controls.isLocked) activateAimed();
+    });
+    document.addEventListener('mousedown', (e) => {
+      if (e.button === 0 && controls.isLocked) activateAimed();
+    });
+    document.addEventListener('wheel', (e) => {
+      if (controls.isLocked) aimed?.object.userData.onScroll?.(Math.sign(e.deltaY) * 3);
     });
   }
 
@@ -231,7 +231,8 @@ async function init() {
     const targetRoom = roomMeta.find(rm => rm.repoName === initialHash.repoName);
     if (targetRoom) {
       teleportToRoom(camera, controls, targetRoom, CONFIG);
-      if (targetRoom.roomGroup) targetRoom.roomGroup.visible = true;
+      buildRoomNow(targetRoom);
+      targetRoom.roomGroup.visible = true;
       currentRoom = targetRoom;
       if (!targetRoom.readmeLoaded) {
         showReadmePlaceholder(targetRoom);
@@ -247,7 +248,8 @@ async function init() {
       const rm = roomMeta.find(r => r.repoName === h.repoName);
       if (rm) {
         teleportToRoom(camera, controls, rm, CONFIG);
-        if (rm.roomGroup) rm.roomGroup.visible = true;
+        buildRoomNow(rm);
+        rm.roomGroup.visible = true;
         currentRoom = rm;
         if (!rm.readmeLoaded) { showReadmePlaceholder(rm); loadRoomContent(rm); }
       }
@@ -285,9 +287,10 @@ function loop() {
     const maxStep = PLAYER_RADIUS / (CONFIG.player.speed * CONFIG.player.runMultiplier);
     const steps = Math.ceil(delta / maxStep);
     const subDelta = delta / steps;
+    movingBoxes.forEach(box => Object.assign(box, wallBox(box.mesh)));
     for (let s = 0; s < steps; s++) {
       controls.updateMovement(subDelta);
-      if (controls.isLocked) resolveCollisions(getPlayerPos(), wallBoxes, PLAYER_RADIUS);
+      if (controls.isLocked) resolveCollisions(getPlayerPos(), wallBoxes, PLAYER_RADIUS, CONFIG.player.height);
     }
   }
 
@@ -296,6 +299,9 @@ function loop() {
     audio.update(!!controls.isMoving, !!controls.isRunning, delta);
   }
 
+  // Build rooms coming into range, dispose ones left far behind
+  streamRooms(getPlayerPos(), 1);
+
   // Frustum culling — distance-based room visibility
   updateRoomVisibility(getPlayerPos(), roomMeta, 35);
 
@@ -306,14 +312,23 @@ function loop() {
     art.position.y  = art.userData.baseY + Math.sin(elapsed * 1.2 + i * 0.7) * 0.18;
   });
 
+  // Self-animating objects (lobby contribution graph, elevator), and the
+  // instance pools drawing the artifacts just moved
+  animated.forEach(obj => obj.userData.update(delta));
+
   // Username text on floor — no animation needed (static floor text)
 
   // Tooltip raycasting
+  aimed = null;
   if (controls && controls.isLocked) {
     raycaster.setFromCamera(center, camera);
-    const hits = raycaster.intersectObjects(portalMeshes, false);
-    if (hits.length > 0 && hits[0].distance < 8) {
-      const tip = hits[0].object.userData.tooltip;
+    // Raycasts hit hidden meshes too (empty release shelf slots, unloaded panels)
+    const hit = raycaster.intersectObjects([...portalMeshes, ...interactables], false)
+      .find(h => isShown(h.object));
+    if (hit && hit.distance < 8) {
+      const target = hit.object;
+      if (target.userData.onActivate) aimed = hit;
+      const tip = target.userData.tooltip;
       if (tip) showTooltip(tip); else hideTooltip();
     } else {
       hideTooltip();
@@ -322,7 +337,7 @@ function loop() {
 
   // Room entry detection → lazy README + file tree + commits load
   const playerPos = getPlayerPos();
-  const detectedRoom = getPlayerRoom(playerPos, roomMeta, CONFIG.museum);
+  const detectedRoom = getPlayerRoom(playerPos, roomMeta);
   if (detectedRoom !== currentRoom) {
     currentRoom = detectedRoom;
     if (currentRoom) {
@@ -337,155 +352,328 @@ function loop() {
   }
 
   // Minimap
-  updateMinimap(playerPos, roomMeta, CONFIG.museum);
+  updateMinimap(playerPos, roomMeta, corridors, gistWing, wings, storeys);
 
   renderer.render(scene, camera);
+
+  // Stats overlay, twice a second: what the frame just drawn cost
+  statsFrames++;
+  statsTime += delta;
+  if (statsTime >= 0.5) {
+    if (isStatsVisible()) {
+      updateStats({
+        fps:   statsFrames / statsTime,
+        ...renderer.info.render,
+        ...renderer.info.memory,
+        built: roomMeta.filter(rm => rm.roomGroup).length,
+        rooms: roomMeta.length,
+      });
+    }
+    statsFrames = statsTime = 0;
+  }
 }
 
 // ============================================================
 //  Room helpers
 // ============================================================
 
+/** Use the interactable under the crosshair, if any (click, E, or tap). */
+function activateAimed() {
+  if (aimed) aimed.object.userData.onActivate(aimed);
+}
+
+/** Whether a mesh and every group above it are visible. */
+function isShown(obj) {
+  for (let o = obj; o; o = o.parent) if (!o.visible) return false;
+  return true;
+}
+
+/**
+ * Index what's under `root` once its matrices are up to date: wall collision
+ * boxes, walkable floors, animated meshes and what can be aimed at.
+ */
+function addToWorld(root) {
+  root.traverse(obj => {
+    if (obj.userData.isArtifact) artifacts.push(obj);
+    if (obj.isMesh && obj.userData.isFloatingText) floatingText = obj;
+    if (obj.userData.update) animated.push(obj);
+    if (obj.isMesh && (obj.userData.onActivate || obj.userData.hoverable)) interactables.push(obj);
+    if (obj.userData.isWall) {
+      const box = wallBox(obj);
+      wallBoxes.push(box);
+      if (obj.userData.moving) movingBoxes.push(box);
+    }
+  });
+  ground.addFrom(root);
+}
+
+/** Forget everything addToWorld indexed under `root`, before it's disposed. */
+function removeFromWorld(root) {
+  const gone = new Set();
+  root.traverse(obj => gone.add(obj));
+  const kept = obj => !gone.has(obj);
+  artifacts     = artifacts.filter(kept);
+  animated      = animated.filter(kept);
+  interactables = interactables.filter(kept);
+  portalMeshes  = portalMeshes.filter(kept);
+  wallBoxes     = wallBoxes.filter(box => kept(box.mesh));
+  movingBoxes   = movingBoxes.filter(box => kept(box.mesh));
+  ground.removeFrom(root);
+}
+
+/** Build a room now if it isn't yet (teleports, or coming into range), and index it. */
+function buildRoomNow(room) {
+  if (!ensureRoomBuilt(room)) return;
+  room.roomGroup.updateMatrixWorld(true);
+  addToWorld(room.roomGroup);
+  portalMeshes.push(room.doorMesh);
+}
+
+/**
+ * Rooms are only built near the player: build up to `budget` of the nearest
+ * unbuilt rooms within `buildDistance` (one a frame keeps walking smooth), and
+ * dispose the ones beyond `disposeDistance` — further out, so a room isn't
+ * rebuilt and disposed over and over at the edge.
+ */
+function streamRooms(pos, budget) {
+  const { buildDistance, disposeDistance } = CONFIG.museum;
+  const near = [];
+  for (const rm of roomMeta) {
+    const distSq = rm.position.distanceToSquared(pos);
+    if (!rm.roomGroup) {
+      if (distSq < buildDistance * buildDistance) near.push({ rm, distSq });
+    } else if (distSq > disposeDistance * disposeDistance && rm !== currentRoom) {
+      removeFromWorld(rm.roomGroup);
+      disposeRoom(rm);
+    }
+  }
+  near.sort((a, b) => a.distSq - b.distSq);
+  near.slice(0, budget).forEach(({ rm }) => buildRoomNow(rm));
+}
+
 /**
  * Distance-based room visibility culling.
  * Hides room groups beyond `maxDist` units from camera (squared distance, no sqrt).
  */
 function updateRoomVisibility(pos, rooms, maxDist) {
   const maxDistSq = maxDist * maxDist;
-  const cx = pos.x;
-  const cz = pos.z;
   for (const rm of rooms) {
     if (!rm.roomGroup) continue;
-    const dx = rm.position.x - cx;
-    const dz = rm.position.z - cz;
-    rm.roomGroup.visible = (dx * dx + dz * dz) < maxDistSq;
+    rm.roomGroup.visible = rm.position.distanceToSquared(pos) < maxDistSq;
   }
 }
 
 /**
- * Push the player out of any overlapping wall AABBs (circle-vs-AABB in XZ).
+ * A wall's collision box: its geometry's bounds (kept on the collider when the
+ * wall was batched), turned with the mesh (yaw only), so walls of rotated
+ * rooms and rotunda edges collide along their faces.
+ * Gates (`userData.gate`) only collide while shown.
+ * @returns {{ cx: number, cz: number, ux: number, uz: number, hw: number, hd: number, y0: number, y1: number, mesh: THREE.Object3D }}
+ *          centre, the box's local +x in world XZ, half extents along local x / z, and its world Y span
+ */
+function wallBox(mesh) {
+  const { min, max } = localBounds(mesh);
+  const center = new THREE.Vector3().addVectors(min, max).multiplyScalar(0.5).applyMatrix4(mesh.matrixWorld);
+  const axis   = new THREE.Vector3(1, 0, 0).transformDirection(mesh.matrixWorld);
+  const scale  = new THREE.Vector3().setFromMatrixScale(mesh.matrixWorld);
+  const len    = Math.hypot(axis.x, axis.z) || 1;
+  return {
+    cx: center.x,
+    cz: center.z,
+    ux: axis.x / len,
+    uz: axis.z / len,
+    hw: (max.x - min.x) / 2 * scale.x,
+    hd: (max.z - min.z) / 2 * scale.z,
+    y0: center.y - (max.y - min.y) / 2 * scale.y,
+    y1: center.y + (max.y - min.y) / 2 * scale.y,
+    mesh,
+  };
+}
+
+/**
+ * Push the player out of any overlapping wall boxes (circle-vs-box in XZ, in
+ * each box's own frame). Only walls spanning the player's body count: ones low
+ * enough to step over, lintels overhead and other storeys are passed by.
  * Runs multiple iterations to handle corners cleanly.
  */
-function resolveCollisions(pos, boxes, radius) {
+function resolveCollisions(pos, boxes, radius, height) {
+  const feet = pos.y - height + STEP_UP;
+  const head = pos.y + 0.1;
   for (let iter = 0; iter < 3; iter++) {
     for (const box of boxes) {
-      // Nearest point on AABB to player (XZ plane only)
-      const nearX = Math.max(box.min.x, Math.min(pos.x, box.max.x));
-      const nearZ = Math.max(box.min.z, Math.min(pos.z, box.max.z));
+      if (box.y1 <= feet || box.y0 >= head) continue;
+      if (box.mesh.userData.gate && !box.mesh.visible) continue;
 
-      const dx = pos.x - nearX;
-      const dz = pos.z - nearZ;
-      const distSq = dx * dx + dz * dz;
+      // Player in the box's frame: local x along (ux, uz), local z along (−uz, ux)
+      const rx = pos.x - box.cx;
+      const rz = pos.z - box.cz;
+      const lx = rx * box.ux + rz * box.uz;
+      const lz = -rx * box.uz + rz * box.ux;
 
-      if (distSq < radius * radius) {
-        if (distSq > 0.0001) {
-          // Player circle overlaps the box edge — push outward
-          const dist    = Math.sqrt(distSq);
-          const overlap = radius - dist;
-          pos.x += (dx / dist) * overlap;
-          pos.z += (dz / dist) * overlap;
-        } else {
-          // Player center is inside the box — push out along shortest axis
-          const cx = (box.min.x + box.max.x) / 2;
-          const cz = (box.min.z + box.max.z) / 2;
-          const hw = (box.max.x - box.min.x) / 2;
-          const hd = (box.max.z - box.min.z) / 2;
-
-          const ox = hw + radius - Math.abs(pos.x - cx);
-          const oz = hd + radius - Math.abs(pos.z - cz);
-
-          if (ox < oz) {
-            pos.x += pos.x > cx ? ox : -ox;
-          } else {
-            pos.z += pos.z > cz ? oz : -oz;
-          }
-        }
+      // Nearest point on the box to the player
+      const nearX = Math.max(-box.hw, Math.min(lx, box.hw));
+      const nearZ = Math.max(-box.hd, Math.min(lz, box.hd));
+
+      const dx = lx - nearX;
+      const dz = lz - nearZ;
+      const distSq = dx * dx + dz * dz;
+      if (distSq >= radius * radius) continue;
+
+      let px = 0, pz = 0; // push, in the box's frame
+      if (distSq > 0.0001) {
+        // Player circle overlaps the box edge — push outward
+        const dist    = Math.sqrt(distSq);
+        const overlap = radius - dist;
+        px = (dx / dist) * overlap;
+        pz = (dz / dist) * overlap;
+      } else {
+        // Player center is inside the box — push out along shortest axis
+        const ox = box.hw + radius - Math.abs(lx);
+        const oz = box.hd + radius - Math.abs(lz);
+        if (ox < oz) px = lx > 0 ? ox : -ox;
+        else         pz = lz > 0 ? oz : -oz;
       }
+      pos.x += px * box.ux - pz * box.uz;
+      pos.z += px * box.uz + pz * box.ux;
     }
   }
 }
 
 /** Returns the room the player is currently inside, or null. */
-function getPlayerRoom(pos, rooms, museumCfg) {
-  const rd = museumCfg.roomDepth  || 10;
-  const px = pos.x;
-  const pz = pos.z;
+function getPlayerRoom(pos, rooms) {
+  const feet = pos.y - CONFIG.player.height;
+  return rooms.find(rm => Math.abs(feet - rm.position.y) < rm.rh && insideRoom(rm.placement, pos.x, pos.z)) || null;
+}
 
-  for (const rm of rooms) {
-    const cx = rm.position.x;
-    const cz = rm.position.z; // slotZ (world)
-    const hw = rm.rw / 2;
-    // Room spans: X ∈ [cx-hw, cx+hw], Z ∈ [cz-rd/2, cz+rd/2]
-    if (
-      px > cx - hw && px < cx + hw &&
-      pz > cz - rd / 2 && pz < cz + rd / 2
-    ) {
-      return rm;
-    }
+/**
+ * What a room shows, fetched in parallel as the player walks in:
+ *  - fetch(owner, repo, onUpdate)  the data (see github.js)
+ *  - render(data, room, rawBaseUrl)
+ *  - has(data)     whether there is anything to render (default: any data)
+ *  - panel         wall panel that says so when the fetch hit the rate limit
+ *  - empty         its message when there is nothing to render
+ *  - onEmpty(room) otherwise, what to do instead
+ */
+const ROOM_PANELS = [
+  {
+    fetch:  fetchReadme,
+    render: renderReadmeToRoom,
+    panel: 'readme', empty: 'No README found',
+  },
+  {
+    fetch:  fetchFileTree,
+    has:    tree => tree.entries.length > 0,
+    render: renderFileTree,
+    panel: 'fileTree', empty: 'No files found',
+  },
+  {
+    fetch:  (owner, repo, onUpdate) => fetchCommits(owner, repo, 10, onUpdate),
+    has:    commits => commits.length > 0,
+    render: renderCommitTimeline,
+    panel: 'commits', onEmpty: room => { room.commitsLoaded = true; },
+  },
+  {
+    // The shelf stays empty for repos without releases (or while rate limited)
+    fetch:  (owner, repo, onUpdate) => fetchReleases(owner, repo, 5, onUpdate),
+    has:    releases => releases.length > 0,
+    render: renderReleases,
+  },
+  {
+    // Hidden for repos with no issues or PRs at all
+    fetch:  (owner, repo, onUpdate) => fetchActivity(owner, repo, 30, onUpdate, { refresh: CONFIG.board.liveRefresh }),
+    render: renderBoard,
+    panel: 'board',
+  },
+  {
+    // Portrait wall above the back-wall panels
+    fetch:  (owner, repo, onUpdate) => fetchContributors(owner, repo, 8, onUpdate),
+    render: renderContributors,
+  },
+  {
+    // Activity table in front of the front wall
+    fetch:  fetchCommitActivity,
+    render: renderCommitActivity,
+  },
+  {
+    // Star ribbon above the front-wall panels, for repos with stars
+    fetch:  fetchStarHistory,
+    render: renderStarHistory,
+  },
+];
+
+/** [owner, repo] for a room's API calls. */
+function repoCoords(room) {
+  // Split on the last slash — GitLab namespaces can be nested (group/subgroup/repo)
+  const slash = room.repoFullName.lastIndexOf('/');
+  return slash !== -1
+    ? [room.repoFullName.slice(0, slash), room.repoFullName.slice(slash + 1)]
+    : [CONFIG.username, room.repoName];
+}
+
+/** Fetch a file picked in the file tree and show it in the room's source viewer. */
+async function openSourceFile(room, path) {
+  const [owner, repo] = repoCoords(room);
+  room.sourceRequest = path; // a later click wins over a slower earlier fetch
+  showSourcePlaceholder(room, path);
+
+  let text = null, limitedMsg = null;
+  try {
+    text = await fetchSourceFile(owner, repo, path, fresh => {
+      if (fresh !== null && room.sourceRequest === path) renderSourceFile(fresh, path, room);
+    });
+  } catch (err) {
+    if (err instanceof RateLimitError) limitedMsg = describeRateLimit(err.resetAt);
+    else console.warn(`Failed to load ${path}:`, err);
   }
-  return null;
+  if (room.sourceRequest !== path) return;
+
+  if (text !== null) renderSourceFile(text, path, room);
+  else showPanelMessage(room, 'source', limitedMsg || 'Could not load file');
 }
 
-/** Fetch README and file tree for a room, render both onto walls. */
+/** Fetch everything in ROOM_PANELS for a room and render it onto the walls. */
 async function loadRoomContent(room) {
   // Guard: mark in-flight to prevent double-fetch
   room.readmeLoaded  = true;
   room.fileTreeLoaded = true;
 
-  const [owner, repo] = room.repoFullName.includes('/')
-    ? room.repoFullName.split('/')
-    : [CONFIG.username, room.repoName];
-
-  // Fetch README, file tree, and commits in parallel
-  const [markdown, tree, commits] = await Promise.all([
-    fetchReadme(owner, repo),
-    fetchFileTree(owner, repo),
-    fetchCommits(owner, repo),
-  ]);
-
-  // Render README panels
-  if (markdown) {
-    renderReadmeToRoom(markdown, room);
-  } else {
-    const canvas = room.readmePanelCanvases[0];
-    const ctx    = canvas.getContext('2d');
-    ctx.fillStyle = '#0d1117';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    ctx.strokeStyle = '#21262d'; ctx.lineWidth = 2;
-    ctx.strokeRect(1, 1, canvas.width - 2, canvas.height - 2);
-    ctx.font = '16px monospace'; ctx.fillStyle = '#484f58';
-    ctx.textAlign = 'center';
-    ctx.fillText('No README found', canvas.width / 2, canvas.height / 2);
-    ctx.textAlign = 'left';
-    room.readmePanelTextures[0].needsUpdate = true;
-    room.readmePanelMeshes[0].visible       = true;
-    room.readmePanelMeshes[1].visible       = false;
-    room.readmePanelMeshes[2].visible       = false;
-  }
-
-  // Render file tree panel
-  if (tree && tree.length > 0) {
-    renderFileTree(tree, room);
-  } else {
-    // Show "no files" instead of hiding the panel
-    const ftCtx = room.fileTreeCanvas.getContext('2d');
-    ftCtx.fillStyle = '#0d1117';
-    ftCtx.fillRect(0, 0, room.fileTreeCanvas.width, room.fileTreeCanvas.height);
-    ftCtx.strokeStyle = '#21262d'; ftCtx.lineWidth = 2;
-    ftCtx.strokeRect(1, 1, room.fileTreeCanvas.width - 2, room.fileTreeCanvas.height - 2);
-    ftCtx.font = '16px monospace'; ftCtx.fillStyle = '#484f58';
-    ftCtx.textAlign = 'center';
-    ftCtx.fillText('No files found', room.fileTreeCanvas.width / 2, room.fileTreeCanvas.height / 2);
-    ftCtx.textAlign = 'left';
-    room.fileTreeTexture.needsUpdate = true;
+  const [owner, repo] = repoCoords(room);
+  const rawBaseUrl = getRawBaseUrl(owner, repo);
+  const has = (panel, data) => data && (!panel.has || panel.has(data));
+
+  // The room may be disposed, or built again, while requests are in flight:
+  // only draw into the build they were made for
+  const build = room.roomGroup;
+  const live  = () => room.roomGroup === build;
+
+  // Cached copies render at once; the callbacks redraw a panel if a background
+  // refresh finds changes
+  const results = await Promise.allSettled(ROOM_PANELS.map(panel =>
+    panel.fetch(owner, repo, fresh => {
+      if (has(panel, fresh) && live()) panel.render(fresh, room, rawBaseUrl);
+    })
+  ));
+  if (!live()) return;
+
+  // Panels that hit the rate limit say so; once the quota resets the room
+  // reloads the next time the player walks in
+  const rateLimit = results.find(r => r.status === 'rejected' && r.reason instanceof RateLimitError)?.reason;
+  if (rateLimit) {
+    setTimeout(() => { room.readmeLoaded = false; }, rateLimit.resetAt - Date.now());
   }
 
-  // Render commit timeline
-  if (commits && commits.length > 0) {
-    renderCommitTimeline(commits, room);
-  } else {
-    room.commitsLoaded = true;
-  }
+  ROOM_PANELS.forEach((panel, i) => {
+    const { status, value, reason } = results[i];
+    if (status === 'fulfilled' && has(panel, value)) {
+      panel.render(value, room, rawBaseUrl);
+    } else if (panel.panel && reason instanceof RateLimitError) {
+      showPanelMessage(room, panel.panel, describeRateLimit(reason.resetAt));
+    } else if (panel.empty) {
+      showPanelMessage(room, panel.panel, panel.empty);
+    } else {
+      panel.onEmpty?.(room);
+    }
+  });
 }
 
 // ============================================================
@@ -45,6 +45,7 @@ function getMarbleFloorTex() {
   const canvas = makeMarbleTileCanvas('#eee8de', 'rgba(180,168,155,0.55)');
   _marbleFloorTex = new THREE.CanvasTexture(canvas);
   _marbleFloorTex.wrapS = _marbleFloorTex.wrapT = THREE.RepeatWrapping;
+  _marbleFloorTex.userData.shared = true; // cached materials' clones share it
   return _marbleFloorTex;
 }
 
@@ -53,11 +54,17 @@ function getMarbleCeilingTex() {
   const canvas = makeMarbleTileCanvas('#f5f1ec', 'rgba(195,185,172,0.4)');
   _marbleCeilingTex = new THREE.CanvasTexture(canvas);
   _marbleCeilingTex.wrapS = _marbleCeilingTex.wrapT = THREE.RepeatWrapping;
+  _marbleCeilingTex.userData.shared = true; // cached materials' clones share it
   return _marbleCeilingTex;
 }
 
+// Cached materials are shared between rooms: disposing a room leaves them be
 function cached(key, factory) {
-  if (!_cache.has(key)) _cache.set(key, factory());
+  if (!_cache.has(key)) {
+    const material = factory();
+    material.userData.shared = true;
+    _cache.set(key, material);
+  }
   return _cache.get(key);
 }
 
@@ -142,30 +149,35 @@ export function makeCeilingMaterial(colorHex = '#0d1117') {
   );
 }
 
-// repeatX/Y: how many tiles to show across the surface
+// repeatX/Y: how many tiles to show across the surface. Cached per repeat,
+// so same-sized floors share a material and batch together (see batching.js)
 export function makeMarbleFloorMaterial(repeatX = 5, repeatY = 5) {
-  const tex = getMarbleFloorTex().clone();
-  tex.repeat.set(repeatX, repeatY);
-  tex.needsUpdate = true;
-  return new THREE.MeshStandardMaterial({
-    map: tex,
-    color: 0xffffff,
-    roughness: 0.28,
-    metalness: 0.0,
+  return cached(`marbleFloor_${repeatX}x${repeatY}`, () => {
+    const tex = getMarbleFloorTex().clone();
+    tex.repeat.set(repeatX, repeatY);
+    tex.needsUpdate = true;
+    return new THREE.MeshStandardMaterial({
+      map: tex,
+      color: 0xffffff,
+      roughness: 0.28,
+      metalness: 0.0,
+    });
   });
 }
 
 export function makeMarbleCeilingMaterial(repeatX = 4, repeatY = 4) {
-  const tex = getMarbleCeilingTex().clone();
-  tex.repeat.set(repeatX, repeatY);
-  tex.needsUpdate = true;
-  return new THREE.MeshStandardMaterial({
-    map: tex,
-    color: 0xffffff,
-    roughness: 0.18,
-    metalness: 0.0,
-    emissive: 0xf5f1ec,
-    emissiveIntensity: 0.08,
+  return cached(`marbleCeiling_${repeatX}x${repeatY}`, () => {
+    const tex = getMarbleCeilingTex().clone();
+    tex.repeat.set(repeatX, repeatY);
+    tex.needsUpdate = true;
+    return new THREE.MeshStandardMaterial({
+      map: tex,
+      color: 0xffffff,
+      roughness: 0.18,
+      metalness: 0.0,
+      emissive: 0xf5f1ec,
+      emissiveIntensity: 0.08,
+    });
   });
 }
 
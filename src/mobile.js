@@ -9,9 +9,11 @@ export function isTouchDevice() {
 
 /**
  * Create mobile-friendly touch controls that match the PointerLockControls interface.
- * Left half: movement joystick. Right half: camera look (touch drag).
+ * Left half: movement joystick. Right half: camera look (touch drag); a quick
+ * tap there emits 'tap', the touch equivalent of clicking what's under the crosshair.
+ * The player follows `ground` (see ground.js) up ramps, stairs and elevators.
  */
-export function createMobileControls(camera, config) {
+export function createMobileControls(camera, config, ground) {
   const { speed, runMultiplier, height, damping } = config;
 
   // Yaw wrapper (like PointerLockControls)
@@ -39,6 +41,8 @@ export function createMobileControls(camera, config) {
   let lookTouchId = null;
   let lookLastX = 0;
   let lookLastY = 0;
+  let lookMoved = 0;   // px dragged since touchstart
+  let lookStart = 0;   // touchstart timestamp
 
   const velocity = new THREE.Vector3();
   const listeners = {};
@@ -47,6 +51,8 @@ export function createMobileControls(camera, config) {
   const lookSensitivity = 0.015;
   const joystickDeadzone = 10;
   const joystickMaxRadius = 60;
+  const tapMaxMove = 10;     // px
+  const tapMaxTime = 300;    // ms
 
   // Create overlay UI
   const overlay = document.createElement('div');
@@ -132,6 +138,8 @@ export function createMobileControls(camera, config) {
     lookTouchId = touch.identifier;
     lookLastX = touch.clientX;
     lookLastY = touch.clientY;
+    lookMoved = 0;
+    lookStart = performance.now();
     e.preventDefault();
   }, { passive: false });
 
@@ -142,6 +150,7 @@ export function createMobileControls(camera, config) {
       const dy = touch.clientY - lookLastY;
       lookLastX = touch.clientX;
       lookLastY = touch.clientY;
+      lookMoved += Math.hypot(dx, dy);
 
       // Rotate yaw and pitch
       yawObject.rotation.y -= dx * lookSensitivity;
@@ -155,6 +164,9 @@ export function createMobileControls(camera, config) {
     for (const touch of e.changedTouches) {
       if (touch.identifier !== lookTouchId) continue;
       lookTouchId = null;
+      if (e.type === 'touchend' && lookMoved < tapMaxMove && performance.now() - lookStart < tapMaxTime) {
+        emit('tap');
+      }
     }
   };
   lookZone.addEventListener('touchend', endLook);
@@ -228,7 +240,7 @@ export function createMobileControls(camera, config) {
         velocity.z *= (1 - t);
       }
 
-      yawObject.position.y = height;
+      ground.follow(yawObject.position, height, delta);
     },
 
     dispose() {
@@ -4,6 +4,10 @@ import {
   makeWallMaterial, makePortalMaterial, makeArtifactMaterial,
   makeMarbleFloorMaterial, makeMarbleCeilingMaterial,
 } from './materials.js';
+import { highlight, languageForPath } from './syntax.js';
+import { createContribGraph } from './lobby.js';
+import { computeLayout } from './layout.js';
+import { batchStatic, createInstancePool } from './batching.js';
 
 const ARTIFACT_GEOS = [
   () => new THREE.OctahedronGeometry(0.45),
@@ -17,10 +21,60 @@ const README_W  = 512;
 const README_H  = 740;
 const FILETREE_W = 400;
 const FILETREE_H = 680;
+const TREE_TOP   = 38;   // canvas y where the first file tree row starts
+const TREE_ROW_H = 18;
 const LANGPANEL_W = 400;
 const LANGPANEL_H = 680;
 const COMMIT_W = 400;
 const COMMIT_H = 680;
+const SOURCE_W = 600;
+const SOURCE_H = 640;
+const SOURCE_LINE_H    = 14;
+const SOURCE_PAGE      = Math.floor((SOURCE_H - 44 - 28) / SOURCE_LINE_H); // lines per page
+const SOURCE_MAX_LINES = 5000;  // longer files are cut off with a note
+const RELEASE_W = 640;
+const RELEASE_H = 480;
+const RELEASE_SLOTS = 5;        // plinths on the release shelf, newest nearest the door
+const BOARD_W = 768;
+const BOARD_H = 560;
+const BOARD_RECENT_DAYS = 30;   // how far back the "Recently merged" column reaches
+const PODIUM_H = 1.0;
+const PODIUM_R = 0.5;
+const PORTRAIT_SLOTS = 8;
+const PORTRAIT_PX    = 128;
+const ACTIVITY_WEEKS = 52;
+const STAR_MILESTONES = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000];
+const STAR_LABELS     = 4;     // most milestones labelled on one sculpture
+const GIST_HALL_W  = 4;         // gists corridor width
+const GIST_ENTRY   = 1.5;       // corridor length before the first alcoves
+const ALCOVE_W     = 3.6;       // along the corridor
+const ALCOVE_D     = 2.8;
+const ALCOVE_H     = 3.6;
+const GIST_LIST_W  = 400;
+const GIST_LIST_H  = 440;
+const GIST_ROW_H   = 22;
+const GIST_LIST_TOP = 96;       // canvas y where the gist's file rows start, below its description
+const GIST_LIST_ROWS = Math.floor((GIST_LIST_H - GIST_LIST_TOP - 6) / GIST_ROW_H); // file rows shown; the rest are "+ N more"
+const GIST_COLOR   = '#d2a8ff';
+export const GRAND_HALL_W = 5;  // grand hall half-width (pinned repos), like hallWidth
+const GRAND_ENTRY   = 3;        // hall length before the first pair of rooms and after the last
+const GRAND_ROOM_D  = 15;
+const GRAND_SLOT    = 18;       // z pitch between room pairs; the gaps hold columns
+const GRAND_HEIGHT  = 1.5;      // × roomHeight
+const GRAND_README_PANELS = 5;
+const GRAND_WALL    = '#2d2a3e';
+const GRAND_CARPET  = '#6e1423';
+const OTHER_WING    = 'Other';  // wings layout: groups too small for a wing of their own
+const SLAB_GAP      = 0.4;      // between one storey's ceiling and the next one's floor
+const FLIGHT_W      = 3;        // core: width of the ramp / stair band each side of the walkway
+const LIFT_D        = 4;        // core: elevator shaft length, at the lobby end
+const LANDING       = 2.5;      // core: flat run at each end of a flight
+const FLIGHT_RUN    = 20;       // core: horizontal run of each ramp or staircase
+const STEP_RISE     = 0.18;
+const RAIL_H        = 1.1;
+const LIFT_SPEED    = 2;        // units/sec
+const LIFT_DWELL    = 3;        // seconds the elevator waits at each floor
+const CORE_WALL     = '#d8d2c8';
 
 // Inner-wall doorway dimensions (shared between build + portal)
 const INNER_DOOR_W = 2.6;
@@ -29,7 +83,25 @@ const INNER_DOOR_H = 3.2;
 // ─────────────────────────────────────────────────────────────
 //  Main build function
 // ─────────────────────────────────────────────────────────────
-export function buildMuseum(repos, languages, config, scene) {
+/**
+ * Build the museum: the repo rooms along the layout's corridors leading −Z
+ * from the lobby — on floors stacked above it, past `roomsPerFloor` rooms —
+ * the optional gists wing past the last room and, when there are pinned
+ * repos, the grand hall running +Z from the lobby's back wall.
+ * @param {object[]} repos
+ * @param {Record<string, Record<string, number>>} languages
+ * @param {object} config
+ * @param {THREE.Scene} scene
+ * @param {{ gists?: object[], pinned?: string[], grandHallZ?: number }} [options]
+ *        pinned — repo names for the grand hall, in display order;
+ *        grandHallZ — the lobby back wall (see buildLobby's `backDoorWidth`)
+ * @returns {{ museumGroup: THREE.Group, roomMeta: object[], gistWing: object|null, corridors: object[], wings: object[], storeys: object|null }}
+ *          roomMeta lists the grand hall's rooms first, then each wing's rooms together; corridors
+ *          are the layouts' (see layout.js); wings are the wings layout's { name, color, x, z, rotation };
+ *          corridors, wings, rooms and the gists wing carry the `floor` they are on, and storeys is
+ *          { count, height, core } when there is more than one
+ */
+export function buildMuseum(repos, languages, config, scene, { gists = [], pinned = [], grandHallZ = 0 } = {}) {
   const group = new THREE.Group();
   group.name = 'museum';
 
@@ -39,233 +111,879 @@ export function buildMuseum(repos, languages, config, scene) {
     roomDepth    = 10,
     roomHeight   = 5,
     baseRoomWidth = 8,
+    layout: layoutType = 'linear',
+    wingsBy      = 'language',
+    minWingRooms = 2,
+    roomsPerFloor = 0,
   } = config.museum;
 
   const rd      = roomDepth;
   const wallH   = config.roomHeight || roomHeight;
-  const totalSlots = repos.length;
-  const hallLen = (totalSlots + 2) * hallLength;
 
-  // ── Hallway floor & ceiling (marble) ──────────────────────
-  const hallFloor = new THREE.Mesh(
-    new THREE.BoxGeometry(hallWidth * 2, 0.2, hallLen),
-    makeMarbleFloorMaterial(Math.ceil(hallWidth * 2 / 1.5), Math.ceil(hallLen / 1.5))
-  );
-  hallFloor.position.set(0, -0.1, -(hallLen / 2));
-  group.add(hallFloor);
+  // Pinned repos leave the hallway for the grand hall
+  const grandRepos = pinned.map(name => repos.find(r => r.name === name)).filter(Boolean);
+  let hallRepos    = repos.filter(r => !grandRepos.includes(r));
+
+  // Wings layout: one wing per language or topic, its rooms kept together
+  const wingOf = new Map();
+  if (layoutType === 'wings') {
+    const names = wingNames(hallRepos, wingsBy, minWingRooms);
+    hallRepos.forEach((repo, i) => wingOf.set(repo, names[i]));
+    const order = [...new Set(names)].sort((a, b) => (a === OTHER_WING) - (b === OTHER_WING));
+    hallRepos = hallRepos.slice().sort((a, b) => order.indexOf(wingOf.get(a)) - order.indexOf(wingOf.get(b)));
+  }
+  const wingColor = name => (wingsBy === 'topic' && name !== OTHER_WING ? topicColor(name) : getLangColor(name));
+
+  // ── Storeys: past roomsPerFloor rooms, the hallway rooms go up a floor,
+  //    each floor laid out beyond a core of ramps, stairs and an elevator ──
+  const perFloor = roomsPerFloor > 0 ? roomsPerFloor : Math.max(1, hallRepos.length);
+  const floors   = Math.max(1, Math.ceil(hallRepos.length / perFloor));
+  const storeyH  = wallH + SLAB_GAP;
+  const core     = floors > 1 ? buildCore(group, { floors, storeyH, wallH, hallWidth }) : null;
+  const origin   = { x: 0, z: core ? -core.length : 0 };
+
+  // ── Podiums and artifacts: drawn for every room at once ──
+  const pools = createRoomPools(group, [...grandRepos, ...hallRepos]);
+
+  // ── Grand hall (pinned repos) ──────────────────────────────
+  const grand    = grandRepos.length
+    ? buildGrandHall(group, grandRepos, languages, config, { z: grandHallZ + 0.2, wallH, baseRoomWidth, pools })
+    : null;
+  const roomMeta  = grand ? grand.rooms : [];
+  const corridors = grand ? [...grand.corridors] : [];
+  const wings     = [];
+  let gistWing    = null;
 
-  const hallCeiling = new THREE.Mesh(
-    new THREE.BoxGeometry(hallWidth * 2, 0.2, hallLen),
-    makeMarbleCeilingMaterial(Math.ceil(hallWidth * 2 / 1.5), Math.ceil(hallLen / 1.5))
-  );
-  hallCeiling.position.set(0, wallH, -(hallLen / 2));
-  group.add(hallCeiling);
+  const wallMat = makeWallMaterial('#e8e2d8');
+  for (let f = 0; f < floors; f++) {
+    const storey = new THREE.Group();
+    storey.name = `floor_${f}`;
+    storey.position.y = f * storeyH;
+    group.add(storey);
+
+    // ── Layout: room placements, corridors and the doorways between them ──
+    const floorRepos = hallRepos.slice(f * perFloor, (f + 1) * perFloor);
+    const layout = computeLayout(layoutType,
+      floorRepos.map(repo => ({
+        rw:    baseRoomWidth * roomWidthMult(repo.stargazers_count),
+        rd,
+        group: wingOf.get(repo),
+      })),
+      {
+        hallWidth,
+        hallLength,
+        origin,
+        annex: gists.length && f === floors - 1
+          ? { door: GIST_HALL_W, span: GIST_HALL_W + ALCOVE_D * 2, length: gistWingLength(gists.length) }
+          : null,
+      });
+
+    // ── Corridors (marble floor & ceiling, white walls with doorway gaps) ──
+    for (const corridor of layout.corridors) {
+      buildCorridor(storey, corridor, layout.doorways, { wallH, wallMat, lightEvery: hallLength * 3 });
+      corridors.push({ ...corridor, floor: f });
+    }
 
-  // ── Hallway corridor lights (every 3 slots) ─────────────────
-  for (let i = 0; i <= totalSlots + 1; i += 3) {
-    const light = new THREE.PointLight(0xfff5e0, 1.2, 25);
-    light.position.set(0, wallH - 0.4, -(i * hallLength));
-    group.add(light);
+    // ── Per-repo rooms ───────────────────────────────────────
+    floorRepos.forEach((repo, i) => {
+      const wing = wingOf.get(repo);
+      roomMeta.push(roomSlot(storey, repo, languages[repo.name] || {}, config, {
+        ...layout.rooms[i], y: f * storeyH, floor: f, rh: wallH, hallWidth, pools,
+        wing: wing ? { name: wing, color: wingColor(wing) } : null,
+      }));
+    });
+
+    // ── Wing headers, over each wing's mouth ─────────────────
+    for (const wing of layout.wings) {
+      const color = wingColor(wing.name);
+      const rooms = floorRepos.filter(repo => wingOf.get(repo) === wing.name).length;
+      buildWingHeader(storey, { ...wing, color, rooms }, wallH);
+      wings.push({ ...wing, color, floor: f });
+    }
+
+    // ── Gists wing: the top floor's annex, the slot after its last room ──
+    if (layout.annex) gistWing = { ...buildGistWing(storey, gists, { ...layout.annex, wallH }), floor: f };
+
+    batchStatic(storey);
   }
+  // What's left: the grand hall, built straight into the museum group
+  batchStatic(group);
 
-  // ── End-cap wall ──────────────────────────────────────────
-  const endWall = new THREE.Mesh(
-    new THREE.BoxGeometry(hallWidth * 2 + 0.4, wallH, 0.2),
-    makeWallMaterial('#e8e2d8')
-  );
-  endWall.position.set(0, wallH / 2, -(hallLen + 0.1));
-  endWall.userData.isWall = true;
-  group.add(endWall);
+  scene.add(group);
+  return {
+    museumGroup: group,
+    roomMeta,
+    gistWing,
+    corridors,
+    wings,
+    storeys: core && { count: floors, height: storeyH, core: core.bounds },
+  };
+}
 
-  // ── Hallway side walls (white, with room-opening gaps) ────
-  buildHallwaySideWalls(group, repos, hallWidth, hallLength, rd, wallH, hallLen);
+/**
+ * The wing each repo belongs to in the wings layout: its primary language, or
+ * the topic it shares with the most other repos. Groups smaller than
+ * `minRooms` share an "Other" wing.
+ * @param {object[]} repos
+ * @param {'language'|'topic'} by
+ * @returns {string[]} a wing name per repo
+ */
+function wingNames(repos, by, minRooms) {
+  let names;
+  if (by === 'topic') {
+    const counts = new Map();
+    repos.forEach(repo => repo.topics.forEach(topic => counts.set(topic, (counts.get(topic) || 0) + 1)));
+    names = repos.map(repo => repo.topics.reduce((best, topic) => (!best || counts.get(topic) > counts.get(best) ? topic : best), null));
+  } else {
+    names = repos.map(repo => repo.language);
+  }
+  const sizes = new Map();
+  names.forEach(name => sizes.set(name, (sizes.get(name) || 0) + 1));
+  return names.map(name => (name && sizes.get(name) >= minRooms ? name : OTHER_WING));
+}
 
-  // ── Per-repo rooms ─────────────────────────────────────────
-  const roomMeta = [];
+/** Topics have no linguist colour — hash the name to a stable hue instead. */
+function topicColor(topic) {
+  let hash = 0;
+  for (const ch of topic) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+  return `#${new THREE.Color().setHSL((hash % 360) / 360, 0.65, 0.6).getHexString()}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Rooms are built on demand: roomMeta holds a slot per repo with
+//  what the minimap, directory and router need, and the app builds
+//  the rooms near the player and disposes far ones (see main.js)
+// ─────────────────────────────────────────────────────────────
+const slots = new WeakMap(); // room → { build, keys }: its builder, and the keys it had before its first build
+
+/**
+ * A room's roomMeta entry, not yet built: placement and repo facts only.
+ * `buildRoom` fills in the rest when `ensureRoomBuilt` is called.
+ * @returns {object}
+ */
+function roomSlot(parent, repo, langData, config, options) {
+  const { x, z, rotation = 0, side, rw, rd, rh, grand = false, wing = null, y = 0, floor = 0 } = options;
+  const lang = repo.language || 'default';
+  const room = {
+    repo,
+    roomGroup:    null,
+    position:     new THREE.Vector3(x, y, z),
+    repoName:     repo.name,
+    repoFullName: repo.full_name || `${config.username}/${repo.name}`,
+    repoDesc:     repo.description || '',
+    stars:        repo.stargazers_count || 0,
+    lang,
+    langColor:    getLangColor(lang),
+    rw,
+    rd,
+    rh,
+    side,
+    placement:    { x, z, rotation, side, rw, rd },
+    grand,
+    wing,         // { name, color } in the wings layout
+    floor,
+    onOpenFile:   null, // (path) => void, set by the app to fetch the file
+  };
+  slots.set(room, { build: () => buildRoom(parent, repo, langData, options, room), keys: null });
+  return room;
+}
+
+/**
+ * Build a room slot's meshes, panels and lights into its storey.
+ * @returns {boolean} whether it was built now (false if it already was)
+ */
+export function ensureRoomBuilt(room) {
+  if (room.roomGroup) return false;
+  const slot = slots.get(room);
+  slot.keys ??= new Set(Object.keys(room));
+  slot.build();
+  return true;
+}
+
+/**
+ * Take a built room out of the scene and free everything it holds on the
+ * GPU and in memory: geometries, materials, textures and their canvases.
+ * Shared materials and textures (see materials.js) are left alone. The room
+ * goes back to a slot; its content loads again when it is next built.
+ */
+export function disposeRoom(room) {
+  const group = room.roomGroup;
+  if (!group) return;
+  group.removeFromParent();
+
+  const canvases = new Set();
+  group.traverse(obj => {
+    obj.userData.pool?.remove(obj);
+    obj.geometry?.dispose();
+    for (const material of [].concat(obj.material || [])) {
+      if (material.userData.shared) continue;
+      for (const value of Object.values(material)) {
+        if (!value?.isTexture || value.userData.shared) continue;
+        if (isCanvas(value.image)) canvases.add(value.image);
+        value.dispose();
+      }
+      material.dispose();
+    }
+    if (obj.isLight || obj.isInstancedMesh) obj.dispose();
+  });
+  // Offscreen canvases the room keeps for redrawing panels
+  for (const value of Object.values(room)) {
+    for (const item of [].concat(value)) if (isCanvas(item)) canvases.add(item);
+  }
+  // Zero-sized, a canvas gives its backing store up before it is collected
+  for (const canvas of canvases) canvas.width = canvas.height = 0;
 
-  repos.forEach((repo, i) => {
-    const side      = i % 2 === 0 ? 1 : -1;
-    const slotZ     = -((i + 1) * hallLength);
-    const lang      = repo.language || 'default';
-    const langColor = getLangColor(lang);
-    const wallColor = darkenHex(langColor, 0.5);
-    const langHex   = '#' + wallColor.getHexString();
+  const { keys } = slots.get(room);
+  for (const key of Object.keys(room)) if (!keys.has(key)) delete room[key];
+  room.roomGroup = null;
+}
 
-    const stars     = repo.stargazers_count || 0;
-    const widthMult = Math.min(2.5, 1 + Math.log1p(stars) * 0.15);
-    const rw        = baseRoomWidth * widthMult;
-    const rh        = wallH;
+function isCanvas(value) {
+  return typeof value?.getContext === 'function';
+}
 
-    const roomGroup = new THREE.Group();
-    roomGroup.name  = `room_${repo.name}`;
+/**
+ * Build one repo's room at a layout placement (see layout.js): centred at
+ * (x, z), turned by `rotation`, with its doorway in the wall at local
+ * x = -side * rw / 2. Grand rooms (pinned repos) pass a larger size, more
+ * README panels and get a spotlight on the artifact.
+ * @param {object} room  the slot (see roomSlot) to fill in
+ * @returns {object} the room's roomMeta entry
+ */
+function buildRoom(parent, repo, langData, { x, z, rotation = 0, side, rw, rd, rh, hallWidth, readmePanels = 3, grand = false, pools }, room) {
+  const { lang, langColor, stars } = room;
+  const wallColor = darkenHex(langColor, 0.5);
+  const langHex   = '#' + wallColor.getHexString();
 
-    const roomCenterX = side * (hallWidth + rw / 2);
-    const wallMat     = makeWallMaterial(langHex);
+  const roomGroup = new THREE.Group();
+  roomGroup.name  = `room_${repo.name}`;
 
-    // Back wall (lang colored)
-    addBox(roomGroup, rw, rh, 0.2, wallMat, 0, rh / 2, -rd / 2 - 0.1);
+  const wallMat = makeWallMaterial(langHex);
 
-    // Outer side wall (lang colored, full depth)
-    addBox(roomGroup, 0.2, rh, rd, wallMat, side * rw / 2, rh / 2, 0);
+  // Back wall (lang colored)
+  addBox(roomGroup, rw, rh, 0.2, wallMat, 0, rh / 2, -rd / 2 - 0.1);
 
-    // Front wall — SOLID (no doorway on this face)
-    addBox(roomGroup, rw, rh, 0.2, wallMat, 0, rh / 2, rd / 2);
+  // Outer side wall (lang colored, full depth)
+  addBox(roomGroup, 0.2, rh, rd, wallMat, side * rw / 2, rh / 2, 0);
 
-    // Inner side wall with doorway opening (centered at z=0)
-    buildInnerSideWall(roomGroup, wallMat, rw, rh, rd, side);
+  // Front wall — SOLID (no doorway on this face)
+  addBox(roomGroup, rw, rh, 0.2, wallMat, 0, rh / 2, rd / 2);
 
-    // Room floor (marble)
-    const roomFloor = new THREE.Mesh(
-      new THREE.BoxGeometry(rw, 0.2, rd),
-      makeMarbleFloorMaterial(Math.ceil(rw / 1.5), Math.ceil(rd / 1.5))
-    );
-    roomFloor.position.set(0, -0.1, 0);
-    roomGroup.add(roomFloor);
+  // Inner side wall with doorway opening (centered at z=0)
+  buildInnerSideWall(roomGroup, wallMat, rw, rh, rd, side);
 
-    // Room ceiling (marble)
-    const roomCeiling = new THREE.Mesh(
-      new THREE.BoxGeometry(rw, 0.2, rd),
-      makeMarbleCeilingMaterial(Math.ceil(rw / 1.5), Math.ceil(rd / 1.5))
-    );
-    roomCeiling.position.set(0, rh, 0);
-    roomGroup.add(roomCeiling);
-
-    // ── Portal plane at inner wall doorway (tooltip detection) ──
-    const portalMat  = makePortalMaterial(langColor);
-    const portalMesh = new THREE.Mesh(
-      new THREE.PlaneGeometry(INNER_DOOR_W, INNER_DOOR_H),
-      portalMat
-    );
-    portalMesh.position.set(-side * rw / 2, INNER_DOOR_H / 2, 0);
-    portalMesh.rotation.y = side > 0 ? -Math.PI / 2 : Math.PI / 2;
-    portalMesh.userData.tooltip  = `${repo.name} — ${stars} ⭐`;
-    portalMesh.userData.isPortal = true;
-    roomGroup.add(portalMesh);
-
-    // ── Info panel: inner side wall ──
-    const infoCanvas = makeInfoCanvas(repo, lang, langColor);
-    const infoTex    = new THREE.CanvasTexture(infoCanvas);
-    const infoMat    = new THREE.MeshBasicMaterial({ map: infoTex, side: THREE.FrontSide });
-    const infoPanelW = Math.min(rw - 1, 3.5);
-    const infoPanel  = new THREE.Mesh(new THREE.PlaneGeometry(infoPanelW, 2.5), infoMat);
-    const infoX      = -side * (rw / 2 - 0.15);
-    infoPanel.position.set(infoX, rh / 2, -rd * 0.6);
-    infoPanel.rotation.y = side > 0 ? -Math.PI / 2 : Math.PI / 2;
-    roomGroup.add(infoPanel);
-
-    // ── Languages panel: front wall ──
-    const langData = languages[repo.name] || {};
-    createLangPanel(roomGroup, langData, rw, rh, rd, langColor);
-
-    // ── File tree panel: back wall (first thing you see) ──
-    const { mesh: ftMesh, canvas: ftCanvas, texture: ftTex } =
-      createFileTreePanel(roomGroup, rw, rh, rd, langColor);
-
-    // ── README panels: outer side wall (lazy loaded) ──
-    const { meshes: readmeMeshes, canvases: readmeCanvases, textures: readmeTextures } =
-      createReadmePanels(roomGroup, rw, rh, rd, side);
-
-    // ── Commit timeline panel: inner side wall (forward half) ──
-    const { mesh: commitMesh, canvas: commitCanvas, texture: commitTex } =
-      createCommitPanel(roomGroup, rw, rh, rd, side, langColor);
-
-    // ── Neon blade sign: juts from inner wall into hallway ──
-    createNeonSign(roomGroup, repo.name, lang, langColor, rw, rh, rd, side, hallWidth);
-
-    // ── Podium + floating artifact ──
-    const podiumH = 1.0;
-    const podiumR = 0.5;
-    const podiumZ = -rd / 2 + rd * 0.45;
-    const podiumGeo = new THREE.CylinderGeometry(podiumR, podiumR * 1.15, podiumH, 24);
-    const podiumMat = new THREE.MeshStandardMaterial({
-      color: 0x2a2a2a,
-      roughness: 0.2,
-      metalness: 0.1,
-    });
-    const podium = new THREE.Mesh(podiumGeo, podiumMat);
-    podium.position.set(0, podiumH / 2, podiumZ);
-    roomGroup.add(podium);
-
-    const geoIdx   = langHashIndex(lang, ARTIFACT_GEOS.length);
-    const artGeo   = ARTIFACT_GEOS[geoIdx]();
-    const artColor = new THREE.Color(langColor);
-    const artifact = new THREE.Mesh(artGeo, makeArtifactMaterial('#' + artColor.getHexString()));
-    const baseY    = podiumH + 0.6;
-    artifact.position.set(0, baseY, podiumZ);
-    artifact.userData.isArtifact = true;
-    artifact.userData.baseY      = baseY;
-    roomGroup.add(artifact);
-
-    // Room light
-    const roomLight = new THREE.PointLight(new THREE.Color(langColor), 1.2, rd * 1.5);
-    roomLight.position.set(0, rh * 0.7, -rd * 0.25);
-    roomGroup.add(roomLight);
-
-    roomGroup.position.set(roomCenterX, 0, slotZ);
-    group.add(roomGroup);
-
-    roomMeta.push({
-      roomGroup,
-      doorMesh:           portalMesh,
-      position:           new THREE.Vector3(roomCenterX, 0, slotZ),
-      repoName:           repo.name,
-      repoFullName:       repo.full_name || `${config.username}/${repo.name}`,
-      repoDesc:           repo.description || '',
-      stars,
-      lang,
-      langColor,
-      rw,
-      readmePanelMeshes:   readmeMeshes,
-      readmePanelCanvases: readmeCanvases,
-      readmePanelTextures: readmeTextures,
-      readmeLoaded: false,
-      fileTreeMesh:    ftMesh,
-      fileTreeCanvas:  ftCanvas,
-      fileTreeTexture: ftTex,
-      fileTreeLoaded: false,
-      commitMesh:    commitMesh,
-      commitCanvas:  commitCanvas,
-      commitTexture: commitTex,
-      commitsLoaded: false,
-    });
+  // Room floor (marble)
+  const roomFloor = new THREE.Mesh(
+    new THREE.BoxGeometry(rw, 0.2, rd),
+    makeMarbleFloorMaterial(Math.ceil(rw / 1.5), Math.ceil(rd / 1.5))
+  );
+  roomFloor.position.set(0, -0.1, 0);
+  roomFloor.userData.isFloor = true;
+  roomGroup.add(roomFloor);
+
+  // Room ceiling (marble)
+  const roomCeiling = new THREE.Mesh(
+    new THREE.BoxGeometry(rw, 0.2, rd),
+    makeMarbleCeilingMaterial(Math.ceil(rw / 1.5), Math.ceil(rd / 1.5))
+  );
+  roomCeiling.position.set(0, rh, 0);
+  roomCeiling.userData.static = true;
+  roomGroup.add(roomCeiling);
+
+  // ── Portal plane at inner wall doorway (tooltip detection) ──
+  const portalMat  = makePortalMaterial(langColor);
+  const portalMesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(INNER_DOOR_W, INNER_DOOR_H),
+    portalMat
+  );
+  portalMesh.position.set(-side * rw / 2, INNER_DOOR_H / 2, 0);
+  portalMesh.rotation.y = side > 0 ? -Math.PI / 2 : Math.PI / 2;
+  portalMesh.userData.tooltip  = `${repo.name} — ${stars} ⭐`;
+  portalMesh.userData.isPortal = true;
+  roomGroup.add(portalMesh);
+
+  // ── Info panel: inner side wall ──
+  const infoCanvas = makeInfoCanvas(repo, lang, langColor);
+  const infoTex    = new THREE.CanvasTexture(infoCanvas);
+  const infoMat    = new THREE.MeshBasicMaterial({ map: infoTex, side: THREE.FrontSide });
+  const infoPanelW = Math.min(rw - 1, 3.5);
+  const infoPanel  = new THREE.Mesh(new THREE.PlaneGeometry(infoPanelW, 2.5), infoMat);
+  const infoX      = -side * (rw / 2 - 0.15);
+  infoPanel.position.set(infoX, rh / 2, -rd * 0.6);
+  infoPanel.rotation.y = side > 0 ? -Math.PI / 2 : Math.PI / 2;
+  roomGroup.add(infoPanel);
+
+  // ── Languages panel: front wall ──
+  createLangPanel(roomGroup, langData, rw, rh, rd, langColor);
+
+  // ── File tree panel: back wall (first thing you see) ──
+  const { mesh: ftMesh, canvas: ftCanvas, texture: ftTex } =
+    createFileTreePanel(roomGroup, rw, rh, rd, langColor);
+
+  // ── README panels: outer side wall (lazy loaded) ──
+  const { meshes: readmeMeshes, canvases: readmeCanvases, textures: readmeTextures } =
+    createReadmePanels(roomGroup, rw, rh, rd, side, readmePanels);
+
+  // ── Commit timeline panel: inner side wall (forward half) ──
+  const { mesh: commitMesh, canvas: commitCanvas, texture: commitTex } =
+    createCommitPanel(roomGroup, rw, rh, rd, side, langColor);
+
+  // ── Release shelf + notes panel: inner wall, front segment (filled when releases load) ──
+  const { slots: releaseSlots, mesh: notesMesh, canvas: notesCanvas, texture: notesTex } =
+    createReleaseShelf(roomGroup, rw, rh, rd, side, langColor);
+
+  // ── Project board: inner wall, rear segment (filled when issues + PRs load) ──
+  const { mesh: boardMesh, canvas: boardCanvas, texture: boardTex } =
+    createBoardPanel(roomGroup, rw, rh, rd, side);
+
+  // ── Contributor portraits: back wall, above the panels (filled when contributors load) ──
+  const portraitSlots = createPortraitSlots(roomGroup, rd);
+
+  // ── Commit activity graph: table in front of the front wall (filled when activity loads) ──
+  const activityTable = createActivityTable(roomGroup, rd);
+
+  // ── Star history ribbon: front wall, above the panels (filled when star history loads) ──
+  const starSculpture = createStarSculpture(roomGroup, rw, rh, rd, langColor);
+
+  // ── Source viewer: front wall, beside the commits (files picked in the tree) ──
+  const { mesh: srcMesh, canvas: srcCanvas, texture: srcTex } =
+    createSourcePanel(roomGroup, rw, rh, rd, side);
+
+  // ── Neon blade sign: juts from inner wall into hallway ──
+  createNeonSign(roomGroup, repo.name, lang, langColor, rw, rh, rd, side, hallWidth);
+
+  // ── Podium + floating artifact: stand-ins, drawn by the museum's pools ──
+  const podiumZ = -rd / 2 + rd * 0.45;
+  const podium  = new THREE.Object3D();
+  podium.position.set(0, PODIUM_H / 2, podiumZ);
+  roomGroup.add(podium);
+  pools.podium.add(podium);
+
+  const artifact = new THREE.Object3D();
+  const baseY    = PODIUM_H + 0.6;
+  artifact.position.set(0, baseY, podiumZ);
+  artifact.userData.isArtifact = true;
+  artifact.userData.baseY      = baseY;
+  roomGroup.add(artifact);
+  pools.artifacts.get(lang).add(artifact);
+
+  // Room light
+  const roomLight = new THREE.PointLight(new THREE.Color(langColor), 1.2, rd * 1.5);
+  roomLight.position.set(0, rh * 0.7, -rd * 0.25);
+  roomGroup.add(roomLight);
+
+  if (grand) createSpotlight(roomGroup, artifact, rh, podiumZ);
+
+  roomGroup.position.set(x, 0, z);
+  roomGroup.rotation.y = rotation;
+  batchStatic(roomGroup);
+  parent.add(roomGroup);
+
+  Object.assign(room, {
+    roomGroup,
+    doorMesh:           portalMesh,
+    infoCanvas,
+    infoTexture:         infoTex,
+    readmePanelMeshes:   readmeMeshes,
+    readmePanelCanvases: readmeCanvases,
+    readmePanelTextures: readmeTextures,
+    readmeLoaded: false,
+    fileTreeMesh:    ftMesh,
+    fileTreeCanvas:  ftCanvas,
+    fileTreeTexture: ftTex,
+    fileTreeLoaded: false,
+    fileTreeState:  null,
+    commitMesh:    commitMesh,
+    commitCanvas:  commitCanvas,
+    commitTexture: commitTex,
+    commitsLoaded: false,
+    sourceMesh:    srcMesh,
+    sourceCanvas:  srcCanvas,
+    sourceTexture: srcTex,
+    sourceState:   null,
+    releaseSlots,
+    releaseNotesMesh:    notesMesh,
+    releaseNotesCanvas:  notesCanvas,
+    releaseNotesTexture: notesTex,
+    releaseState:        null,
+    boardMesh,
+    boardCanvas,
+    boardTexture:        boardTex,
+    portraitSlots,
+    activityTable,
+    starSculpture,
+    portraitRequest: null,
   });
+  ftMesh.userData.onActivate  = hit => clickFileTree(room, hit);
+  ftMesh.userData.onScroll    = rows => scrollFileTree(room, rows);
+  srcMesh.userData.onActivate = hit => pageSource(room, hit.uv && hit.uv.x < 0.5 ? -1 : 1);
+  srcMesh.userData.onScroll   = rows => pageSource(room, Math.sign(rows));
+  releaseSlots.forEach((slot, i) => {
+    for (const mesh of slot.meshes) mesh.userData.onActivate = () => showReleaseNotes(room, i);
+  });
+  notesMesh.userData.onActivate = hit => pageReleaseNotes(room, hit.uv && hit.uv.x < 0.5 ? -1 : 1);
+  notesMesh.userData.onScroll   = rows => pageReleaseNotes(room, Math.sign(rows));
+  return room;
+}
 
-  scene.add(group);
-  return { museumGroup: group, roomMeta };
+/**
+ * Instance pools for what every room has: a podium, and an artifact shaped and
+ * coloured by the room's language, so a language's artifacts share one pool.
+ * @returns {{ podium: object, artifacts: Map<string, object> }} see createInstancePool
+ */
+function createRoomPools(group, repos) {
+  const podium = createInstancePool(
+    new THREE.CylinderGeometry(PODIUM_R, PODIUM_R * 1.15, PODIUM_H, 24),
+    new THREE.MeshStandardMaterial({ color: 0x2a2a2a, roughness: 0.2, metalness: 0.1 }),
+    repos.length
+  );
+  group.add(podium.mesh);
+
+  const perLang = new Map();
+  for (const repo of repos) {
+    const lang = repo.language || 'default';
+    perLang.set(lang, (perLang.get(lang) || 0) + 1);
+  }
+  const artifacts = new Map();
+  for (const [lang, count] of perLang) {
+    const geometry = ARTIFACT_GEOS[langHashIndex(lang, ARTIFACT_GEOS.length)]();
+    const pool     = createInstancePool(geometry, makeArtifactMaterial('#' + new THREE.Color(getLangColor(lang)).getHexString()), count);
+    group.add(pool.mesh);
+    artifacts.set(lang, pool);
+  }
+  return { podium, artifacts };
 }
 
 // ─────────────────────────────────────────────────────────────
-//  Hallway side walls with room-opening gaps
+//  Corridors: a layout's halls and hubs, with doorway gaps
 // ─────────────────────────────────────────────────────────────
-function buildHallwaySideWalls(group, repos, hallWidth, hallLength, rd, wallH, hallLen) {
-  const wallMat = makeWallMaterial('#e8e2d8');
+function buildCorridor(group, corridor, doorways, { wallH, wallMat, lightEvery }) {
+  if (corridor.kind === 'hub') {
+    buildHub(group, corridor, doorways, { wallH, wallMat });
+    return;
+  }
+
+  // Built along local −Z from a, like the original hallway
+  const { ax, az, bx, bz, width, caps } = corridor;
+  const len = Math.hypot(bx - ax, bz - az);
+  const dx  = (bx - ax) / len;
+  const dz  = (bz - az) / len;
+  const hall = new THREE.Group();
+  hall.position.set(ax, 0, az);
+  hall.rotation.y = Math.atan2(-dx, -dz);
+
+  const floor = new THREE.Mesh(
+    new THREE.BoxGeometry(width, 0.2, len),
+    makeMarbleFloorMaterial(Math.ceil(width / 1.5), Math.ceil(len / 1.5))
+  );
+  floor.position.set(0, -0.1, -len / 2);
+  floor.userData.isFloor = true;
+  const ceiling = new THREE.Mesh(
+    new THREE.BoxGeometry(width, 0.2, len),
+    makeMarbleCeilingMaterial(Math.ceil(width / 1.5), Math.ceil(len / 1.5))
+  );
+  ceiling.position.set(0, wallH, -len / 2);
+  ceiling.userData.static = true;
+  hall.add(floor, ceiling);
 
+  // Side walls: local +x is the right of the direction of travel
   for (const side of [1, -1]) {
-    const wx = side * hallWidth;
-
-    const openings = repos
-      .map((repo, i) => {
-        const roomSide = i % 2 === 0 ? 1 : -1;
-        if (roomSide !== side) return null;
-        const slotZ = -((i + 1) * hallLength);
-        return { zStart: slotZ + rd / 2, zEnd: slotZ - rd / 2 };
+    const openings = doorways
+      .map(door => {
+        const rx = door.x - ax, rz = door.z - az;
+        const t  = rx * dx + rz * dz;
+        const across = -rx * dz + rz * dx;
+        if (Math.abs(across - side * width / 2) > 0.3 || t < 0 || t > len) return null;
+        return { zStart: -(t - door.width / 2), zEnd: -(t + door.width / 2) };
       })
-      .filter(Boolean)
-      .sort((a, b) => b.zStart - a.zStart);
-
-    let zCursor = 0;
-    for (const opening of openings) {
-      const segLen = Math.abs(zCursor - opening.zStart);
-      if (segLen > 0.05) {
-        addHallWallSeg(group, wallMat, wx, wallH, segLen, (zCursor + opening.zStart) / 2);
-      }
-      zCursor = opening.zEnd;
+      .filter(Boolean);
+    buildWallRun(hall, wallMat, side * width / 2, wallH, 0, -len, openings);
+  }
+  if (caps[0]) addBox(hall, width + 0.4, wallH, 0.2, wallMat, 0, wallH / 2, 0.1);
+  if (caps[1]) addBox(hall, width + 0.4, wallH, 0.2, wallMat, 0, wallH / 2, -(len + 0.1));
+
+  for (let t = 0; t <= len; t += lightEvery) {
+    const light = new THREE.PointLight(0xfff5e0, 1.2, 25);
+    light.position.set(0, wallH - 0.4, -t);
+    hall.add(light);
+  }
+
+  group.add(hall);
+}
+
+/** A polygonal hub (the rotunda): one wall per edge, an edge facing +z. */
+function buildHub(group, { x, z, radius, sides }, doorways, { wallH, wallMat }) {
+  const hub = new THREE.Group();
+  hub.position.set(x, 0, z);
+
+  const reps  = Math.ceil(radius * 2 / 1.5);
+  const floor = new THREE.Mesh(
+    new THREE.CylinderGeometry(radius, radius, 0.2, sides),
+    makeMarbleFloorMaterial(reps, reps)
+  );
+  floor.position.y = -0.1;
+  floor.userData.isFloor = true;
+  const ceiling = new THREE.Mesh(
+    new THREE.CylinderGeometry(radius, radius, 0.2, sides),
+    makeMarbleCeilingMaterial(reps, reps)
+  );
+  ceiling.position.y = wallH;
+  ceiling.userData.static = true;
+  floor.rotation.y = ceiling.rotation.y = Math.PI / sides; // corners off the axes
+  hub.add(floor, ceiling);
+
+  const apothem = radius * Math.cos(Math.PI / sides);
+  const edgeLen = 2 * radius * Math.sin(Math.PI / sides);
+  for (let k = 0; k < sides; k++) {
+    // Edge k faces outward along (sin a, cos a); its wall runs along local z
+    const a   = (2 * Math.PI * k) / sides;
+    const out = { x: Math.sin(a), z: Math.cos(a) };
+    const mid = { x: x + apothem * out.x, z: z + apothem * out.z };
+    const openings = doorways
+      .map(door => {
+        const rx = door.x - mid.x, rz = door.z - mid.z;
+        const t  = rx * out.z - rz * out.x; // along the edge, towards (cos a, −sin a)
+        if (Math.abs(rx * out.x + rz * out.z) > 0.3 || Math.abs(t) > edgeLen / 2) return null;
+        return { zStart: t - door.width / 2, zEnd: t + door.width / 2 };
+      })
+      .filter(Boolean);
+
+    const edge = new THREE.Group();
+    edge.position.set(apothem * out.x, 0, apothem * out.z);
+    edge.rotation.y = a + Math.PI / 2;
+    buildWallRun(edge, wallMat, 0, wallH, -edgeLen / 2 - 0.1, edgeLen / 2 + 0.1, openings);
+    hub.add(edge);
+  }
+
+  // A ring of lights, and one in the middle
+  const ring = Math.max(1, Math.round(sides / 3));
+  for (let i = 0; i <= ring; i++) {
+    const light = new THREE.PointLight(0xfff5e0, 1.2, 25);
+    const a = (2 * Math.PI * i) / ring;
+    const r = i === ring ? 0 : apothem * 0.6;
+    light.position.set(r * Math.sin(a), wallH - 0.4, r * Math.cos(a));
+    hub.add(light);
+  }
+
+  group.add(hub);
+}
+
+/**
+ * A straight wall along Z at `x`, from `zFrom` to `zTo` (either direction),
+ * broken by `{ zStart, zEnd }` openings.
+ */
+function buildWallRun(group, mat, x, h, zFrom, zTo, openings) {
+  const gaps = openings
+    .map(o => [Math.min(o.zStart, o.zEnd), Math.max(o.zStart, o.zEnd)])
+    .sort((a, b) => a[0] - b[0]);
+
+  let zCursor = Math.min(zFrom, zTo);
+  for (const [lo, hi] of [...gaps, [Math.max(zFrom, zTo), Infinity]]) {
+    const segLen = lo - zCursor;
+    if (segLen > 0.05) addHallWallSeg(group, mat, x, h, segLen, (zCursor + lo) / 2);
+    zCursor = Math.max(zCursor, hi);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Grand hall — pinned repos, running +Z from the lobby's back wall
+// ─────────────────────────────────────────────────────────────
+/**
+ * A taller, darker hall with a carpet runner and columns, its rooms paired on
+ * both sides. Grand rooms are deeper and at least 1.4× as wide as a hallway
+ * room, with five README panels and a spotlit artifact.
+ * @returns {object[]} roomMeta entries, in pin order
+ */
+function buildGrandHall(group, repos, languages, config, { z, wallH, baseRoomWidth, pools }) {
+  const W       = GRAND_HALL_W;
+  const hallH   = wallH * GRAND_HEIGHT;
+  const wallMat = makeWallMaterial(GRAND_WALL);
+
+  // A linear layout running +Z, its rooms in pairs across the hall
+  const layout = computeLayout('linear',
+    repos.map(repo => ({ rw: baseRoomWidth * Math.max(1.4, roomWidthMult(repo.stargazers_count)), rd: GRAND_ROOM_D })),
+    {
+      hallWidth:  W,
+      hallLength: GRAND_SLOT,
+      origin:     { x: 0, z },
+      direction:  1,
+      lead:       GRAND_ENTRY + GRAND_ROOM_D / 2,
+      tail:       GRAND_ROOM_D / 2 + GRAND_ENTRY,
+      paired:     true,
+    });
+  const [corridor] = layout.corridors;
+  buildCorridor(group, corridor, layout.doorways, { wallH: hallH, wallMat, lightEvery: GRAND_SLOT });
+  const hallLen = corridor.bz - corridor.az;
+
+  const carpet = new THREE.Mesh(
+    new THREE.PlaneGeometry(2.2, hallLen - 0.6),
+    new THREE.MeshStandardMaterial({ color: GRAND_CARPET, roughness: 0.95 })
+  );
+  carpet.rotation.x = -Math.PI / 2;
+  carpet.position.set(0, 0.01, z + hallLen / 2);
+  carpet.userData.static = true;
+  group.add(carpet);
+
+  // The strip above the lobby's ceiling closing the entrance
+  const header = new THREE.Mesh(new THREE.BoxGeometry(W * 2, hallH - wallH, 0.2), wallMat);
+  header.position.set(0, wallH + (hallH - wallH) / 2, z - 0.1);
+  header.userData.static = true;
+  group.add(header);
+
+  // Columns in the gaps before, between and after the room pairs
+  const colGeo = new THREE.CylinderGeometry(0.3, 0.36, hallH, 16);
+  const colMat = makeWallMaterial('#d5cfc5');
+  const pairZs = layout.rooms.filter((_, i) => i % 2 === 0).map(room => room.z);
+  const edges  = [z, ...pairZs.flatMap(c => [c - GRAND_ROOM_D / 2, c + GRAND_ROOM_D / 2]), z + hallLen];
+  for (let e = 0; e < edges.length; e += 2) {
+    for (const side of [1, -1]) {
+      const col = new THREE.Mesh(colGeo, colMat);
+      col.position.set(side * (W - 0.6), hallH / 2, (edges[e] + edges[e + 1]) / 2);
+      col.userData.isWall = true;
+      group.add(col);
+    }
+  }
+
+  const rooms = repos.map((repo, i) => roomSlot(group, repo, languages[repo.name] || {}, config, {
+    ...layout.rooms[i], rh: hallH, hallWidth: W, readmePanels: GRAND_README_PANELS, grand: true, pools,
+  }));
+  return { rooms, corridors: layout.corridors.map(corridor => ({ ...corridor, grand: true })) };
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Core — ramps, stairs and an elevator between the storeys
+// ─────────────────────────────────────────────────────────────
+/**
+ * The core every storey's layout starts from, between the lobby and the
+ * ground floor's first room. A walkway runs through it on each floor, with
+ * an elevator shaft beside its lobby end and flights up to the next floor in
+ * the bands either side, alternating: a ramp east, then stairs west. The
+ * bands are open up to the roof; railings keep each floor's walkway.
+ * @returns {{ length: number, bounds: { x0: number, x1: number, z0: number, z1: number } }}
+ */
+function buildCore(group, { floors, storeyH, wallH, hallWidth }) {
+  const core   = new THREE.Group();
+  core.name    = 'core';
+  const hw     = hallWidth;
+  const outer  = hw + FLIGHT_W;
+  const length = LIFT_D + 2 * LANDING + FLIGHT_RUN;
+  const totalH = (floors - 1) * storeyH + wallH;
+  const wallMat  = makeWallMaterial(CORE_WALL);
+  const railMat  = new THREE.MeshStandardMaterial({ color: 0x9fd3e6, transparent: true, opacity: 0.22, roughness: 0.1 });
+  const flightMat = new THREE.MeshStandardMaterial({ color: 0xb8b0a4, roughness: 0.8 });
+  const flightZ0 = -LIFT_D - LANDING;            // foot of each flight's slope
+  const flightZ1 = -length + LANDING;            // head of it
+  const flightSide = k => (k % 2 === 0 ? 1 : -1); // flight k leads from floor k to k + 1
+
+  const marble = (w, d) => makeMarbleFloorMaterial(Math.ceil(w / 1.5), Math.ceil(d / 1.5));
+
+  // Shell: ground floor, roof, outer walls, the wall above the lobby's
+  // hallway opening and the back wall around each floor's way on
+  core.add(slabAt(outer * 2, length, 0, 0, -length / 2, marble(outer * 2, length)));
+  const roof = new THREE.Mesh(
+    new THREE.BoxGeometry(outer * 2, 0.2, length),
+    makeMarbleCeilingMaterial(Math.ceil(outer * 2 / 1.5), Math.ceil(length / 1.5))
+  );
+  roof.position.set(0, totalH + 0.1, -length / 2);
+  roof.userData.static = true;
+  core.add(roof);
+  for (const side of [1, -1]) {
+    addBox(core, 0.2, totalH, length, wallMat, side * (outer + 0.1), totalH / 2, -length / 2);
+    addBox(core, FLIGHT_W, totalH, 0.2, wallMat, side * (hw + FLIGHT_W / 2), totalH / 2, -length - 0.1);
+  }
+  addBox(core, outer * 2 + 0.4, totalH - 3.4, 0.2, wallMat, 0, (3.4 + totalH) / 2, -0.1);
+  // Elevator shaft, closed off from the ramp band
+  addBox(core, FLIGHT_W, totalH, 0.2, wallMat, hw + FLIGHT_W / 2, totalH / 2, -LIFT_D + 0.1);
+
+  for (let f = 0; f < floors; f++) {
+    const storey = new THREE.Group();
+    storey.position.y = f * storeyH;
+    core.add(storey);
+
+    if (f > 0) {
+      // The walkway, and the landing opposite the elevator
+      storey.add(
+        slabAt(hw * 2, length, 0, 0, -length / 2, marble(hw * 2, length)),
+        slabAt(FLIGHT_W, LIFT_D, -(hw + FLIGHT_W / 2), 0, -LIFT_D / 2, marble(FLIGHT_W, LIFT_D))
+      );
+    }
+    if (f < floors - 1) {
+      addBox(storey, hw * 2, SLAB_GAP, 0.2, wallMat, 0, wallH + SLAB_GAP / 2, -length - 0.1);
     }
-    const finalLen = Math.abs(zCursor - (-hallLen));
-    if (finalLen > 0.05) {
-      addHallWallSeg(group, wallMat, wx, wallH, finalLen, (zCursor + (-hallLen)) / 2);
+
+    // Railings along the walkway, open onto this floor's flight up and the
+    // one arriving from below
+    for (const side of [1, -1]) {
+      const openings = [];
+      if (f < floors - 1 && flightSide(f) === side) openings.push({ zStart: -LIFT_D, zEnd: flightZ0 });
+      if (f > 0 && flightSide(f - 1) === side) openings.push({ zStart: flightZ1, zEnd: -length });
+      buildWallRun(storey, railMat, side * hw, RAIL_H, -LIFT_D, -length, openings);
+    }
+    // Across the west band where no flight starts: it drops to the flight below
+    if (flightSide(f) !== -1 || f === floors - 1) {
+      addBox(storey, FLIGHT_W, RAIL_H, 0.1, railMat, -(hw + FLIGHT_W / 2), RAIL_H / 2, -LIFT_D - 0.05);
+    }
+    const light = new THREE.PointLight(0xfff5e0, 1.2, 25);
+    light.position.set(0, wallH - 0.4, -length / 2);
+    storey.add(light);
+
+    if (f < floors - 1) {
+      buildFlight(storey, {
+        side: flightSide(f), to: f + 1, stairs: flightSide(f) < 0,
+        storeyH, hw, flightZ0, flightZ1, railMat, flightMat, marble,
+      });
     }
   }
+
+  buildElevator(core, { floors, storeyH, hw, railMat });
+  batchStatic(core);
+  group.add(core);
+  return { length, bounds: { x0: -outer, x1: outer, z0: -length, z1: 0 } };
+}
+
+/**
+ * One flight up a storey in a core band: landings at both ends, entered from
+ * the walkway's side, and between them a ramp or a staircase (which walks as
+ * an invisible ramp under its steps). A glass balustrade runs beside it.
+ */
+function buildFlight(storey, { side, to, storeyH, hw, flightZ0, flightZ1, stairs, railMat, flightMat, marble }) {
+  const x     = side * (hw + FLIGHT_W / 2);
+  const run   = flightZ0 - flightZ1;
+  const pitch = Math.atan2(storeyH, run);
+  const len   = Math.hypot(run, storeyH);
+
+  if (to > 1) storey.add(slabAt(FLIGHT_W, LANDING, x, 0, flightZ0 + LANDING / 2, marble(FLIGHT_W, LANDING)));
+  storey.add(slabAt(FLIGHT_W, LANDING, x, storeyH, flightZ1 - LANDING / 2, marble(FLIGHT_W, LANDING)));
+
+  // Local −z rises once pitched about x; the top face runs between the landings
+  const slope = new THREE.Mesh(new THREE.BoxGeometry(FLIGHT_W, 0.2, len), flightMat);
+  slope.rotation.x = pitch;
+  slope.position.set(x, storeyH / 2 - 0.1 * Math.cos(pitch), (flightZ0 + flightZ1) / 2 - 0.1 * Math.sin(pitch));
+  slope.userData.isFloor = true;
+  storey.add(slope);
+
+  if (stairs) {
+    slope.visible = false;
+    const steps = Math.ceil(storeyH / STEP_RISE);
+    const rise  = storeyH / steps;
+    const tread = run / steps;
+    const stepGeo = new THREE.BoxGeometry(FLIGHT_W, rise, tread);
+    for (let i = 0; i < steps; i++) {
+      const step = new THREE.Mesh(stepGeo, flightMat);
+      step.position.set(x, (i + 0.5) * rise, flightZ0 - (i + 0.5) * tread);
+      step.userData.static = true;
+      storey.add(step);
+    }
+  }
+
+  addBox(storey, 0.1, storeyH + RAIL_H, run, railMat, side * hw, (storeyH + RAIL_H) / 2, (flightZ0 + flightZ1) / 2);
+
+  // Neon sign at the foot, facing the walkway
+  const sign = new THREE.Mesh(
+    new THREE.PlaneGeometry(2.0, 0.58),
+    new THREE.MeshBasicMaterial({
+      map: new THREE.CanvasTexture(makeNeonSignCanvas(`↑ Floor ${to}`, '#58a6ff')),
+      side: THREE.DoubleSide,
+    })
+  );
+  sign.position.set(side * (hw - 0.05), 3.0, flightZ0 + LANDING / 2);
+  sign.rotation.y = -side * Math.PI / 2;
+  sign.userData.tooltip   = `${stairs ? 'Stairs' : 'Ramp'} up to floor ${to}`;
+  sign.userData.hoverable = true;
+  storey.add(sign);
+}
+
+/**
+ * An elevator platform in the shaft beside the core's walkway, stopping at
+ * every floor in turn. Each floor's gate, and the platform's own, only open
+ * while it is standing at that floor.
+ */
+function buildElevator(core, { floors, storeyH, hw, railMat }) {
+  const x = hw + FLIGHT_W / 2;
+  const platform = new THREE.Mesh(
+    new THREE.BoxGeometry(FLIGHT_W - 0.3, 0.2, LIFT_D - 0.6),
+    new THREE.MeshStandardMaterial({ color: 0x30363d, roughness: 0.4, metalness: 0.6 })
+  );
+  platform.position.set(x, -0.1, -LIFT_D / 2 + 0.1);
+  platform.userData.isFloor = true;
+  platform.userData.moving  = true;
+  core.add(platform);
+
+  const gateMat = new THREE.MeshStandardMaterial({ color: 0xd29922, transparent: true, opacity: 0.55 });
+  const carGate = new THREE.Mesh(new THREE.BoxGeometry(0.1, RAIL_H, LIFT_D - 0.6), gateMat);
+  carGate.position.set(-(FLIGHT_W - 0.3) / 2, 0.1 + RAIL_H / 2, 0);
+  Object.assign(carGate.userData, { isWall: true, gate: true, moving: true });
+  carGate.visible = false;
+  platform.add(carGate);
+
+  const gates = [];
+  for (let f = 0; f < floors; f++) {
+    const gate = addBox(core, 0.1, RAIL_H, LIFT_D - 0.4, gateMat, hw, f * storeyH + RAIL_H / 2, -LIFT_D / 2 + 0.1);
+    gate.userData.gate = true;
+    gate.visible = f !== 0;
+    gates.push(gate);
+
+    const sign = new THREE.Mesh(
+      new THREE.PlaneGeometry(2.0, 0.58),
+      new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(makeNeonSignCanvas('Elevator', '#d29922')), side: THREE.DoubleSide })
+    );
+    sign.position.set(hw - 0.05, f * storeyH + 3.0, -LIFT_D / 2);
+    sign.rotation.y = -Math.PI / 2;
+    sign.userData.tooltip   = 'Elevator — stops at every floor';
+    sign.userData.hoverable = true;
+    core.add(sign);
+  }
+
+  // Stop, wait, then on to the next floor: up to the top, then back down
+  let at = 0, target = 0, dir = 1, wait = LIFT_DWELL;
+  platform.userData.update = (delta) => {
+    if (wait > 0) {
+      wait -= delta;
+      if (wait > 0) return;
+      if (at + dir < 0 || at + dir >= floors) dir = -dir;
+      target = at + dir;
+      gates.forEach(gate => { gate.visible = true; });
+      carGate.visible = true;
+    }
+    const goal = target * storeyH - 0.1;
+    const y    = platform.position.y;
+    platform.position.y = y + Math.sign(goal - y) * Math.min(Math.abs(goal - y), LIFT_SPEED * delta);
+    platform.updateMatrixWorld();
+    if (platform.position.y === goal) {
+      at   = target;
+      wait = LIFT_DWELL;
+      gates[at].visible = false;
+      carGate.visible   = false;
+    }
+  };
+}
+
+function slabAt(w, d, x, y, z, mat) {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, 0.2, d), mat);
+  mesh.position.set(x, y - 0.1, z);
+  mesh.userData.isFloor = true;
+  return mesh;
+}
+
+/** A spotlight from the ceiling onto a grand room's artifact, with a faint visible beam. */
+function createSpotlight(roomGroup, artifact, rh, podiumZ) {
+  const top   = rh - 0.3;
+  const angle = 0.2;
+  const spot  = new THREE.SpotLight(0xfff4e0, 30, rh + 2, angle, 0.4);
+  spot.position.set(0, top, podiumZ);
+  spot.target = artifact;
+  roomGroup.add(spot);
+
+  const beamH = top - 1.0; // down to the podium top
+  const beam  = new THREE.Mesh(
+    new THREE.ConeGeometry(Math.tan(angle) * beamH, beamH, 24, 1, true),
+    new THREE.MeshBasicMaterial({
+      color: 0xfff4e0, transparent: true, opacity: 0.07,
+      blending: THREE.AdditiveBlending, depthWrite: false, side: THREE.DoubleSide,
+    })
+  );
+  beam.position.set(0, 1.0 + beamH / 2, podiumZ);
+  roomGroup.add(beam);
 }
 
 function addHallWallSeg(group, mat, x, h, len, centerZ) {
@@ -287,15 +1005,9 @@ function buildInnerSideWall(roomGroup, wallMat, rw, rh, rd, side) {
   addBox(roomGroup, 0.2, rh, segLen, wallMat, wx, rh / 2, -(rd / 2 - segLen / 2));
   // Front solid segment
   addBox(roomGroup, 0.2, rh, segLen, wallMat, wx, rh / 2, rd / 2 - segLen / 2);
-  // Lintel above the opening (NOT tagged as wall — the 2D XZ collision
-  // code would project it down as an invisible barrier across the doorway)
+  // Lintel above the opening (a wall too: collisions skip what is overhead)
   if (lintelH > 0) {
-    const lintel = new THREE.Mesh(
-      new THREE.BoxGeometry(0.2, lintelH, INNER_DOOR_W),
-      wallMat
-    );
-    lintel.position.set(wx, INNER_DOOR_H + lintelH / 2, 0);
-    roomGroup.add(lintel);
+    addBox(roomGroup, 0.2, lintelH, INNER_DOOR_W, wallMat, wx, INNER_DOOR_H + lintelH / 2, 0);
   }
 }
 
@@ -344,6 +1056,26 @@ function makeNeonSignCanvas(name, langColor) {
   return canvas;
 }
 
+// ─────────────────────────────────────────────────────────────
+//  Wing header — a larger neon sign over a wing's mouth
+// ─────────────────────────────────────────────────────────────
+/**
+ * Hang a wing's neon header in its mouth, facing the main hall.
+ * @param {{ name: string, color: string, rooms: number, x: number, z: number, rotation: number }} wing
+ *        framed like the gists wing: local +x leads into the wing
+ */
+function buildWingHeader(museumGroup, { name, color, rooms, x, z, rotation }, wallH) {
+  const sign = new THREE.Mesh(
+    new THREE.PlaneGeometry(3.0, 0.87),
+    new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(makeNeonSignCanvas(name, color)), side: THREE.DoubleSide })
+  );
+  sign.position.set(x, wallH * 0.75, z);
+  sign.rotation.y = rotation - Math.PI / 2;
+  sign.userData.tooltip   = `${name} wing — ${rooms} room${rooms === 1 ? '' : 's'}`;
+  sign.userData.hoverable = true;
+  museumGroup.add(sign);
+}
+
 // ─────────────────────────────────────────────────────────────
 //  File tree panel (outer side wall)
 // ─────────────────────────────────────────────────────────────
@@ -369,15 +1101,98 @@ function createFileTreePanel(roomGroup, rw, rh, rd, langColor) {
   return { mesh, canvas, texture: tex };
 }
 
-export function renderFileTree(treeEntries, room) {
+/**
+ * Show a repo's file tree. Directories start collapsed; a background refresh
+ * keeps whatever the visitor had expanded and their scroll position.
+ * @param {import('./schema.js').FileTree} fileTree
+ * @param {object} room
+ */
+export function renderFileTree(fileTree, room) {
   if (!room.fileTreeCanvas) return;
-  drawFileTree(room.fileTreeCanvas, treeEntries, room.langColor);
-  room.fileTreeTexture.needsUpdate = true;
+  const prev = room.fileTreeState;
+  room.fileTreeState = {
+    children:  indexFileTree(fileTree.entries),
+    truncated: fileTree.truncated,
+    expanded:  prev?.expanded || new Set(),
+    scroll:    prev?.scroll || 0,
+    selected:  prev?.selected || null, // path open in the source viewer
+    rows:      [], // what each drawn row does when clicked
+  };
+  redrawFileTree(room);
   room.fileTreeMesh.visible        = true;
+  room.fileTreeMesh.userData.tooltip = 'Click a folder to open it, a file to read it · scroll for more';
   room.fileTreeLoaded              = true;
 }
 
-function drawFileTree(canvas, entries, langColor) {
+/** Directory path ('' for the root) → its entries, folders first. */
+function indexFileTree(entries) {
+  const children = new Map([['', []]]);
+  for (const entry of entries) {
+    const slash  = entry.path.lastIndexOf('/');
+    const parent = slash === -1 ? '' : entry.path.slice(0, slash);
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(entry);
+  }
+  for (const list of children.values()) {
+    list.sort((a, b) => {
+      if (a.type !== b.type) return a.type === 'tree' ? -1 : 1;
+      return a.path.localeCompare(b.path);
+    });
+  }
+  return children;
+}
+
+/** Every row of the listing with the current folders expanded, top to bottom. */
+function fileTreeRows(state) {
+  const rows = [];
+  const walk = (dir, depth) => {
+    for (const entry of state.children.get(dir) || []) {
+      const isDir = entry.type === 'tree';
+      rows.push({ entry, depth, isDir });
+      if (!isDir || !state.expanded.has(entry.path)) continue;
+      // Git has no empty directories: no children means the listing was cut short
+      if (state.children.has(entry.path)) walk(entry.path, depth + 1);
+      else rows.push({ depth: depth + 1, note: '(not listed)' });
+    }
+  };
+  walk('', 0);
+  return rows;
+}
+
+function redrawFileTree(room) {
+  drawFileTree(room.fileTreeCanvas, room.fileTreeState, room.langColor);
+  room.fileTreeTexture.needsUpdate = true;
+}
+
+function clickFileTree(room, hit) {
+  const state = room.fileTreeState;
+  if (!state || !hit.uv) return;
+  const y   = (1 - hit.uv.y) * FILETREE_H;
+  const row = state.rows[Math.floor((y - TREE_TOP) / TREE_ROW_H)];
+  if (!row) return;
+
+  if (row.scroll) {
+    state.scroll += row.scroll;
+  } else if (row.entry?.type === 'tree') {
+    const { path } = row.entry;
+    if (state.expanded.has(path)) state.expanded.delete(path);
+    else state.expanded.add(path);
+  } else if (row.entry) {
+    state.selected = row.entry.path;
+    room.onOpenFile?.(row.entry.path);
+  } else {
+    return;
+  }
+  redrawFileTree(room);
+}
+
+function scrollFileTree(room, rows) {
+  if (!room.fileTreeState) return;
+  room.fileTreeState.scroll += rows;
+  redrawFileTree(room);
+}
+
+function drawFileTree(canvas, state, langColor) {
   const ctx = canvas.getContext('2d');
   const W = canvas.width, H = canvas.height;
   const PX = 14;
@@ -388,22 +1203,48 @@ function drawFileTree(canvas, entries, langColor) {
 
   ctx.font = 'bold 15px monospace'; ctx.fillStyle = langColor;
   ctx.fillText('/ file tree', PX, 26);
+  if (state.truncated) {
+    ctx.font = '11px monospace'; ctx.fillStyle = '#8b949e'; ctx.textAlign = 'right';
+    ctx.fillText('truncated listing', W - PX, 26);
+    ctx.textAlign = 'left';
+  }
   ctx.fillStyle = '#21262d'; ctx.fillRect(PX, 34, W - PX * 2, 1);
 
-  const sorted = [...entries].sort((a, b) => {
-    if (a.type !== b.type) return a.type === 'tree' ? -1 : 1;
-    return a.path.localeCompare(b.path);
-  });
+  // Long listings scroll; the first / last row turn into ▲ / ▼ page buttons
+  const all      = fileTreeRows(state);
+  const capacity = Math.floor((H - TREE_TOP - 6) / TREE_ROW_H);
+  const maxScroll = all.length <= capacity ? 0 : all.length - (capacity - 1);
+  state.scroll = Math.max(0, Math.min(state.scroll, maxScroll));
+
+  const up    = state.scroll > 0;
+  let   slots = capacity - (up ? 1 : 0);
+  const down  = all.length - state.scroll > slots;
+  if (down) slots--;
+  const shown = all.slice(state.scroll, state.scroll + slots);
+
+  state.rows = [
+    ...(up ? [{ scroll: -slots, label: `▲ ${state.scroll} more` }] : []),
+    ...shown,
+    ...(down ? [{ scroll: slots, label: `▼ ${all.length - state.scroll - slots} more` }] : []),
+  ];
 
-  let y = 52;
   ctx.font = '12px monospace';
-  for (const entry of sorted) {
-    if (y > H - 12) break;
-    const isDir = entry.type === 'tree';
-    ctx.fillStyle = isDir ? '#58a6ff' : '#c9d1d9';
-    ctx.fillText((isDir ? '▸ ' : '  ') + (entry.path + (isDir ? '/' : '')).slice(0, 42), PX, y);
-    y += 18;
-  }
+  state.rows.forEach((row, i) => {
+    const y = TREE_TOP + i * TREE_ROW_H + 14;
+    if (row.label || row.note) {
+      ctx.fillStyle = '#8b949e';
+      ctx.fillText(row.label || row.note, PX + (row.depth || 0) * 12, y);
+      return;
+    }
+    const name   = row.entry.path.slice(row.entry.path.lastIndexOf('/') + 1) + (row.isDir ? '/' : '');
+    const marker = row.isDir ? (state.expanded.has(row.entry.path) ? '▾ ' : '▸ ') : '  ';
+    const maxLen = 42 - row.depth * 2;
+    if (row.entry.path === state.selected) {
+      ctx.fillStyle = '#1f2937'; ctx.fillRect(PX - 4, y - 13, W - PX * 2 + 8, TREE_ROW_H);
+    }
+    ctx.fillStyle = row.isDir ? '#58a6ff' : row.entry.path === state.selected ? langColor : '#c9d1d9';
+    ctx.fillText(marker + (name.length > maxLen ? name.slice(0, maxLen - 1) + '…' : name), PX + row.depth * 12, y);
+  });
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -505,18 +1346,18 @@ function drawLangPanel(canvas, langData, langColor) {
 // ─────────────────────────────────────────────────────────────
 //  README panels (back wall, lazy loaded)
 // ─────────────────────────────────────────────────────────────
-function createReadmePanels(roomGroup, rw, rh, rd, side) {
+function createReadmePanels(roomGroup, rw, rh, rd, side, count = 3) {
   const gap     = 0.3;                              // gap between panels and from walls
   const usableZ = rd - gap * 2;                     // Z space inside front/back walls
-  const panelW  = Math.min((usableZ - gap * 2) / 3, 2.5); // fit 3 panels with gaps between
+  const panelW  = Math.min((usableZ - gap * (count - 1)) / count, 2.5); // fit the panels with gaps between
   const panelH  = Math.min(rh * 0.68, 3.0);
   const meshes  = [], canvases = [], textures = [];
 
-  // Evenly distribute 3 panels along usable Z range
-  const totalSpan = panelW * 3 + gap * 2;           // 3 panels + 2 gaps between them
+  // Evenly distribute the panels along usable Z range
+  const totalSpan = panelW * count + gap * (count - 1);
   const startZ    = -totalSpan / 2 + panelW / 2;    // center of first panel (centered in room)
 
-  for (let p = 0; p < 3; p++) {
+  for (let p = 0; p < count; p++) {
     const canvas = document.createElement('canvas');
     canvas.width = README_W; canvas.height = README_H;
     drawPlaceholderCanvas(canvas, '');
@@ -525,8 +1366,8 @@ function createReadmePanels(roomGroup, rw, rh, rd, side) {
     const mat  = new THREE.MeshBasicMaterial({ map: tex, side: THREE.FrontSide });
     const mesh = new THREE.Mesh(new THREE.PlaneGeometry(panelW, panelH), mat);
     // Outer side wall — facing inward toward the room
-    // Flip Z order for left-side rooms so panels read 1→3 left-to-right
-    const idx = side < 0 ? (2 - p) : p;
+    // Flip Z order for left-side rooms so panels read left-to-right
+    const idx = side < 0 ? (count - 1 - p) : p;
     const z = startZ + idx * (panelW + gap);
     mesh.position.set(side * (rw / 2 - 0.15), panelH / 2 + 0.8, z);
     mesh.rotation.y = side > 0 ? -Math.PI / 2 : Math.PI / 2;
@@ -538,15 +1379,17 @@ function createReadmePanels(roomGroup, rw, rh, rd, side) {
   return { meshes, canvases, textures };
 }
 
-export async function renderReadmeToRoom(markdownText, room) {
+export async function renderReadmeToRoom(
+  markdownText, room, baseUrl = `https://raw.githubusercontent.com/${room.repoFullName}/HEAD`
+) {
   const { readmePanelCanvases, readmePanelTextures, readmePanelMeshes } = room;
-  const baseUrl = `https://raw.githubusercontent.com/${room.repoFullName}/HEAD`;
-  const styled    = parseMarkdown(markdownText.slice(0, 9000), baseUrl);
+  const styled    = parseMarkdown(markdownText.slice(0, 3000 * readmePanelMeshes.length), baseUrl);
   const imageMap  = await loadAllImages(styled);
+  if (room.readmePanelMeshes !== readmePanelMeshes) return; // disposed while images loaded
   const pages     = paginateStyledLines(styled, 670, imageMap);
-  const numPanels = Math.min(pages.length, 3);
+  const numPanels = Math.min(pages.length, readmePanelMeshes.length);
 
-  for (let p = 0; p < 3; p++) {
+  for (let p = 0; p < readmePanelMeshes.length; p++) {
     if (p < numPanels) {
       drawReadmePage(readmePanelCanvases[p], pages[p], p, numPanels, imageMap);
       readmePanelTextures[p].needsUpdate = true;
@@ -561,9 +1404,42 @@ export async function renderReadmeToRoom(markdownText, room) {
 export function showReadmePlaceholder(room) {
   drawPlaceholderCanvas(room.readmePanelCanvases[0], 'Loading README…');
   room.readmePanelTextures[0].needsUpdate = true;
-  room.readmePanelMeshes[0].visible       = true;
-  room.readmePanelMeshes[1].visible       = false;
-  room.readmePanelMeshes[2].visible       = false;
+  room.readmePanelMeshes.forEach((mesh, p) => { mesh.visible = p === 0; });
+}
+
+/**
+ * Replace a room panel's contents with a centred status message
+ * ("No README found", "Rate limited until 14:32", …).
+ * @param {object} room
+ * @param {'readme'|'fileTree'|'commits'|'board'|'source'} panel
+ * @param {string} message
+ */
+export function showPanelMessage(room, panel, message) {
+  if (panel === 'readme') {
+    drawPlaceholderCanvas(room.readmePanelCanvases[0], message);
+    room.readmePanelTextures[0].needsUpdate = true;
+    room.readmePanelMeshes.forEach((mesh, p) => { mesh.visible = p === 0; });
+  } else if (panel === 'fileTree') {
+    room.fileTreeState = null;
+    delete room.fileTreeMesh.userData.tooltip;
+    drawPlaceholderCanvas(room.fileTreeCanvas, message);
+    room.fileTreeTexture.needsUpdate = true;
+    room.fileTreeMesh.visible        = true;
+  } else if (panel === 'commits') {
+    drawPlaceholderCanvas(room.commitCanvas, message);
+    room.commitTexture.needsUpdate = true;
+    room.commitMesh.visible        = true;
+  } else if (panel === 'board') {
+    delete room.boardMesh.userData.tooltip;
+    drawPlaceholderCanvas(room.boardCanvas, message);
+    room.boardTexture.needsUpdate = true;
+    room.boardMesh.visible        = true;
+  } else if (panel === 'source') {
+    room.sourceState = null;
+    delete room.sourceMesh.userData.tooltip;
+    drawPlaceholderCanvas(room.sourceCanvas, message);
+    room.sourceTexture.needsUpdate = true;
+  }
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -885,6 +1761,1061 @@ export function renderCommitTimeline(commits, room) {
   room.commitsLoaded             = true;
 }
 
+// ─────────────────────────────────────────────────────────────
+//  Release shelf (inner wall, between the doorway and the front wall)
+// ─────────────────────────────────────────────────────────────
+function createReleaseShelf(roomGroup, rw, rh, rd, side, langColor) {
+  const segLen  = (rd - INNER_DOOR_W) / 2;
+  const wallX   = -side * (rw / 2 - 0.15);
+  const facing  = side > 0 ? Math.PI / 2 : -Math.PI / 2; // into the room
+  const plinthH = 0.6;
+
+  // One plinth per release, from beside the doorway towards the front wall
+  const firstZ = INNER_DOOR_W / 2 + 0.45;
+  const step   = (rd / 2 - 0.45 - firstZ) / (RELEASE_SLOTS - 1);
+  const plinthMat = new THREE.MeshStandardMaterial({ color: 0x2a2a2a, roughness: 0.2, metalness: 0.1 });
+  const plinthGeo = new THREE.BoxGeometry(0.45, plinthH, 0.45);
+  const gemGeo    = new THREE.OctahedronGeometry(0.14);
+  const labelGeo  = new THREE.PlaneGeometry(0.62, 0.24);
+
+  const slots = [];
+  for (let i = 0; i < RELEASE_SLOTS; i++) {
+    const slotGroup = new THREE.Group();
+    slotGroup.position.set(-side * (rw / 2 - 0.45), 0, firstZ + i * step);
+    slotGroup.visible = false;
+
+    const plinth = new THREE.Mesh(plinthGeo, plinthMat);
+    plinth.position.y = plinthH / 2;
+
+    const gem = new THREE.Mesh(gemGeo, makeArtifactMaterial(langColor));
+    gem.position.y = plinthH + 0.25;
+    gem.userData.update = delta => { gem.rotation.y += delta * 0.6; };
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 256; canvas.height = 100;
+    const tex   = new THREE.CanvasTexture(canvas);
+    const label = new THREE.Mesh(labelGeo, new THREE.MeshBasicMaterial({ map: tex, side: THREE.FrontSide }));
+    label.position.y = plinthH + 0.6;
+    label.rotation.y = facing;
+
+    slotGroup.add(plinth, gem, label);
+    roomGroup.add(slotGroup);
+    slots.push({ group: slotGroup, gem, canvas, texture: tex, meshes: [plinth, gem, label] });
+  }
+
+  // Notes for the selected release hang on the wall above the shelf
+  const panelW = Math.min(segLen - 0.4, 3.0);
+  const panelH = Math.min(rh - plinthH - 2.2, 2.2);
+  const canvas = document.createElement('canvas');
+  canvas.width  = RELEASE_W;
+  canvas.height = RELEASE_H;
+  const tex  = new THREE.CanvasTexture(canvas);
+  const mat  = new THREE.MeshBasicMaterial({ map: tex, side: THREE.FrontSide });
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(panelW, panelH), mat);
+  mesh.position.set(wallX, plinthH + 1.3 + panelH / 2, rd / 2 - segLen / 2);
+  mesh.rotation.y = facing;
+  mesh.visible = false;
+  roomGroup.add(mesh);
+
+  return { slots, mesh, canvas, texture: tex };
+}
+
+/**
+ * Put a repo's newest releases on the shelf, show the latest one's notes and
+ * add it to the info plaque. Repos without releases keep an empty wall.
+ * @param {import('./schema.js').Release[]} releases  newest first
+ * @param {object} room
+ * @param {string} baseUrl  prefix for relative images in the notes
+ */
+export function renderReleases(
+  releases, room, baseUrl = `https://raw.githubusercontent.com/${room.repoFullName}/HEAD`
+) {
+  const shown = releases.slice(0, RELEASE_SLOTS);
+  // A background refresh keeps the release the visitor was reading
+  const prevTag = room.releaseState?.releases[room.releaseState.selected]?.tag;
+  const keep    = Math.max(0, shown.findIndex(r => r.tag === prevTag));
+  room.releaseState = { releases: shown, selected: keep, baseUrl, pages: [], page: 0, imageMap: null };
+
+  room.releaseSlots.forEach((slot, i) => {
+    const release = shown[i];
+    slot.group.visible = !!release;
+    if (!release) return;
+    // Pre-releases glow dimmer
+    slot.gem.material.emissiveIntensity = release.prerelease ? 0.1 : 0.4;
+    const tip = [release.name, release.date && new Date(release.date).toLocaleDateString()]
+      .filter(Boolean).join(' — ') + ' · click for release notes';
+    for (const mesh of slot.meshes) mesh.userData.tooltip = tip;
+  });
+  redrawReleaseLabels(room);
+
+  drawInfoCanvas(room.infoCanvas, room.repo, room.lang, room.langColor, shown[0] || null);
+  room.infoTexture.needsUpdate = true;
+
+  room.releaseNotesMesh.visible = shown.length > 0;
+  if (shown.length) showReleaseNotes(room, keep);
+}
+
+async function showReleaseNotes(room, index) {
+  const state   = room.releaseState;
+  const release = state?.releases[index];
+  if (!release) return;
+  state.selected = index;
+  redrawReleaseLabels(room);
+
+  const meta = [
+    release.tag,
+    release.date && new Date(release.date).toLocaleDateString(),
+    release.prerelease && 'pre-release',
+  ].filter(Boolean).join(' · ');
+  const styled = [
+    { type: 'h1', text: release.name },
+    { type: 'p',  text: meta },
+    ...(release.notes ? parseMarkdown(release.notes, state.baseUrl) : [{ type: 'p', text: 'No release notes.' }]),
+  ];
+  const imageMap = await loadAllImages(styled);
+  // Another release was picked (or the list refreshed) while images loaded
+  if (room.releaseState !== state || state.selected !== index) return;
+
+  state.pages    = paginateStyledLines(styled, RELEASE_H - 70, imageMap);
+  state.imageMap = imageMap;
+  state.page     = 0;
+  redrawReleaseNotes(room);
+}
+
+function pageReleaseNotes(room, delta) {
+  const state = room.releaseState;
+  if (!state || !delta) return;
+  const page = Math.max(0, Math.min(state.page + delta, state.pages.length - 1));
+  if (page === state.page) return;
+  state.page = page;
+  redrawReleaseNotes(room);
+}
+
+function redrawReleaseNotes(room) {
+  const { pages, page, imageMap, releases, selected } = room.releaseState;
+  drawReadmePage(room.releaseNotesCanvas, pages[page], page, pages.length, imageMap);
+  room.releaseNotesTexture.needsUpdate = true;
+  room.releaseNotesMesh.userData.tooltip = `${releases[selected].name} release notes` +
+    (pages.length > 1 ? ' — click left / right half to turn pages' : '');
+}
+
+function redrawReleaseLabels(room) {
+  const { releases, selected } = room.releaseState;
+  room.releaseSlots.forEach((slot, i) => {
+    if (!releases[i]) return;
+    drawReleaseLabel(slot.canvas, releases[i], room.langColor, i === selected);
+    slot.texture.needsUpdate = true;
+  });
+}
+
+function drawReleaseLabel(canvas, release, langColor, selected) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+
+  ctx.fillStyle = '#0d1117'; ctx.fillRect(0, 0, W, H);
+  ctx.strokeStyle = selected ? langColor : '#21262d'; ctx.lineWidth = selected ? 4 : 2;
+  ctx.strokeRect(2, 2, W - 4, H - 4);
+
+  ctx.textAlign = 'center';
+  ctx.font = 'bold 30px monospace'; ctx.fillStyle = '#e6edf3';
+  ctx.fillText(release.tag.length > 14 ? release.tag.slice(0, 13) + '…' : release.tag, W / 2, 44);
+  ctx.font = '20px monospace'; ctx.fillStyle = release.prerelease ? '#d29922' : '#8b949e';
+  const date = release.date ? new Date(release.date).toLocaleDateString() : 'tag';
+  ctx.fillText(release.prerelease ? `${date} · pre` : date, W / 2, 80);
+  ctx.textAlign = 'left';
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Project board (inner wall, between the back wall and the doorway)
+// ─────────────────────────────────────────────────────────────
+// Waiting columns list what has waited longest first; the done column, the newest
+const BOARD_COLUMNS = [
+  { title: 'Open',            states: ['open'],             oldestFirst: true },
+  { title: 'In review',       states: ['review'],           oldestFirst: true },
+  { title: 'Recently merged', states: ['merged', 'closed'], oldestFirst: false },
+];
+
+function createBoardPanel(roomGroup, rw, rh, rd, side) {
+  const segLen = (rd - INNER_DOOR_W) / 2;
+  const panelW = Math.min(segLen - 0.4, 3.3);
+  const panelH = Math.min(rh * 0.6, panelW * BOARD_H / BOARD_W);
+
+  const canvas = document.createElement('canvas');
+  canvas.width  = BOARD_W;
+  canvas.height = BOARD_H;
+
+  const tex  = new THREE.CanvasTexture(canvas);
+  const mat  = new THREE.MeshBasicMaterial({ map: tex, side: THREE.FrontSide });
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(panelW, panelH), mat);
+  mesh.position.set(-side * (rw / 2 - 0.15), panelH / 2 + 0.8, -(rd / 2 - segLen / 2));
+  mesh.rotation.y = side > 0 ? Math.PI / 2 : -Math.PI / 2; // into the room
+  mesh.visible = false;
+  roomGroup.add(mesh);
+
+  return { mesh, canvas, texture: tex };
+}
+
+/**
+ * Draw a repo's issues and pull requests as a three-column project board.
+ * Repos with no activity at all keep a bare wall.
+ * @param {import('./schema.js').WorkItem[]} items
+ * @param {object} room
+ */
+export function renderBoard(items, room) {
+  if (!room.boardCanvas) return;
+  if (!items.length) {
+    room.boardMesh.visible = false;
+    return;
+  }
+  const since   = Date.now() - BOARD_RECENT_DAYS * 86400000;
+  const columns = BOARD_COLUMNS.map(col => ({
+    ...col,
+    items: items
+      .filter(item => col.states.includes(item.state))
+      .filter(item => !item.closedAt || Date.parse(item.closedAt) >= since)
+      .sort((a, b) => (col.oldestFirst
+        ? Date.parse(a.createdAt) - Date.parse(b.createdAt)
+        : Date.parse(b.closedAt) - Date.parse(a.closedAt))),
+  }));
+
+  drawBoard(room.boardCanvas, columns, room.langColor);
+  room.boardTexture.needsUpdate = true;
+  room.boardMesh.visible        = true;
+  room.boardMesh.userData.tooltip =
+    `${columns[0].items.length} open · ${columns[1].items.length} in review · ` +
+    `${columns[2].items.length} done in the last ${BOARD_RECENT_DAYS} days`;
+}
+
+function drawBoard(canvas, columns, langColor) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const PX = 14, GAP = 10;
+  const colW  = (W - PX * 2 - GAP * (columns.length - 1)) / columns.length;
+  const cardH = 64;
+  const top   = 74;
+  const fits  = Math.floor((H - top - 10) / (cardH + 8));
+
+  ctx.fillStyle = '#0d1117'; ctx.fillRect(0, 0, W, H);
+  ctx.strokeStyle = '#21262d'; ctx.lineWidth = 2;
+  ctx.strokeRect(1, 1, W - 2, H - 2);
+
+  ctx.font = 'bold 15px monospace'; ctx.fillStyle = langColor;
+  ctx.fillText('Project board', PX, 26);
+  ctx.fillStyle = '#21262d'; ctx.fillRect(PX, 34, W - PX * 2, 1);
+
+  columns.forEach((col, c) => {
+    const x = PX + c * (colW + GAP);
+    ctx.font = 'bold 13px monospace'; ctx.fillStyle = '#e6edf3';
+    ctx.fillText(col.title, x, 58);
+    ctx.font = '12px monospace'; ctx.fillStyle = '#8b949e'; ctx.textAlign = 'right';
+    ctx.fillText(String(col.items.length), x + colW, 58);
+    ctx.textAlign = 'left';
+
+    if (!col.items.length) {
+      ctx.fillStyle = '#484f58';
+      ctx.fillText('Nothing here', x, top + 20);
+      return;
+    }
+
+    // Overflowing columns give their last slot to a "+N more" note
+    const shown = col.items.length > fits ? col.items.slice(0, fits - 1) : col.items;
+    shown.forEach((item, i) => drawBoardCard(ctx, item, x, top + i * (cardH + 8), colW, cardH));
+    if (shown.length < col.items.length) {
+      ctx.font = '12px monospace'; ctx.fillStyle = '#8b949e';
+      ctx.fillText(`+${col.items.length - shown.length} more`, x, top + shown.length * (cardH + 8) + 20);
+    }
+  });
+}
+
+function drawBoardCard(ctx, item, x, y, w, h) {
+  ctx.fillStyle = '#161b22'; ctx.fillRect(x, y, w, h);
+  ctx.strokeStyle = '#30363d'; ctx.lineWidth = 1;
+  ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+
+  // Kind stripe: green issue, blue PR, purple once merged
+  ctx.fillStyle = item.state === 'merged' ? '#a371f7' : item.kind === 'pr' ? '#58a6ff' : '#3fb950';
+  ctx.fillRect(x, y, 3, h);
+
+  const PX = 9, maxW = w - PX * 2;
+  ctx.font = '11px monospace'; ctx.fillStyle = '#8b949e';
+  const ref = `${item.kind === 'pr' ? '⇄' : '●'} #${item.number}${item.draft ? ' draft' : ''}`;
+  ctx.fillText(ref, x + PX, y + 15);
+
+  ctx.font = '12px -apple-system, BlinkMacSystemFont, sans-serif'; ctx.fillStyle = '#e6edf3';
+  ctx.fillText(fitText(ctx, item.title, maxW), x + PX, y + 32);
+
+  // Label chips, as many as fit on one line
+  let lx = x + PX;
+  ctx.font = '10px monospace';
+  for (const label of item.labels) {
+    const text  = label.name.length > 14 ? label.name.slice(0, 13) + '…' : label.name;
+    const chipW = ctx.measureText(text).width + 10;
+    if (lx + chipW > x + w - PX) break;
+    ctx.fillStyle = label.color || '#30363d';
+    ctx.fillRect(lx, y + 39, chipW, 13);
+    ctx.fillStyle = label.color && isLightColor(label.color) ? '#0d1117' : '#e6edf3';
+    ctx.fillText(text, lx + 5, y + 49);
+    lx += chipW + 4;
+  }
+
+  // Author and age: how long it has been open, or since it was merged / closed
+  const since = item.closedAt || item.createdAt;
+  ctx.font = '10px monospace'; ctx.fillStyle = '#6e7681';
+  ctx.fillText(fitText(ctx, `@${item.author}`, maxW - 40), x + PX, y + h - 4);
+  if (since) {
+    ctx.textAlign = 'right';
+    ctx.fillText(relativeAge(since), x + w - PX, y + h - 4);
+    ctx.textAlign = 'left';
+  }
+}
+
+/** "3h", "12d", "4mo" — compact age for board cards. */
+function relativeAge(iso) {
+  const mins = Math.max(0, (Date.now() - Date.parse(iso)) / 60000);
+  if (mins < 60) return `${Math.round(mins)}m`;
+  if (mins < 60 * 24) return `${Math.round(mins / 60)}h`;
+  const days = mins / (60 * 24);
+  if (days < 60) return `${Math.round(days)}d`;
+  if (days < 730) return `${Math.round(days / 30)}mo`;
+  return `${Math.round(days / 365)}y`;
+}
+
+/** Whether dark text reads better than light on a label colour. */
+function isLightColor(hex) {
+  const n = parseInt(hex.slice(1, 7), 16);
+  return ((n >> 16) * 299 + ((n >> 8) & 255) * 587 + (n & 255) * 114) / 1000 > 150;
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Contributor portrait wall (back wall, above the panels)
+// ─────────────────────────────────────────────────────────────
+function createPortraitSlots(roomGroup, rd) {
+  const frameMat  = new THREE.MeshStandardMaterial({ color: 0x8a6d3b, roughness: 0.35, metalness: 0.6 });
+  const frameGeo  = new THREE.BoxGeometry(1, 1, 0.06);
+  const planeGeo  = new THREE.PlaneGeometry(1, 1);
+
+  const slots = [];
+  for (let i = 0; i < PORTRAIT_SLOTS; i++) {
+    const slotGroup = new THREE.Group();
+    slotGroup.visible = false;
+
+    const frame = new THREE.Mesh(frameGeo, frameMat);
+    frame.position.z = -rd / 2 + 0.03;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = PORTRAIT_PX;
+    const tex      = new THREE.CanvasTexture(canvas);
+    const portrait = new THREE.Mesh(planeGeo, new THREE.MeshBasicMaterial({ map: tex }));
+    portrait.position.z = -rd / 2 + 0.065;
+
+    const plaqueCanvas = document.createElement('canvas');
+    plaqueCanvas.width = 256; plaqueCanvas.height = 56;
+    const plaqueTex = new THREE.CanvasTexture(plaqueCanvas);
+    const plaque    = new THREE.Mesh(planeGeo, new THREE.MeshBasicMaterial({ map: plaqueTex }));
+    plaque.position.z = -rd / 2 + 0.03;
+
+    for (const mesh of [frame, portrait, plaque]) mesh.userData.hoverable = true;
+    slotGroup.add(frame, portrait, plaque);
+    roomGroup.add(slotGroup);
+    slots.push({ group: slotGroup, frame, portrait, canvas, texture: tex, plaque, plaqueCanvas, plaqueTex });
+  }
+  return slots;
+}
+
+/**
+ * Hang a framed portrait per contributor above the back-wall panels, each
+ * sized by its share of the listed contributors' commits. Avatars fill in as
+ * they load; until then (and offline) a portrait shows initials.
+ * @param {import('./schema.js').Contributor[]} contributors  most commits first
+ * @param {object} room
+ */
+export async function renderContributors(contributors, room) {
+  const shown = contributors.slice(0, PORTRAIT_SLOTS);
+  const total = shown.reduce((n, c) => n + c.contributions, 0) || 1;
+  const top   = shown[0]?.contributions || 1;
+
+  // Square sizes from 0.55 to 1.5 by sqrt of share, so area tracks commits;
+  // the row shrinks to fit the wall width and the space above the panels
+  const GAP        = 0.3;
+  const bandBottom = Math.min(room.rh * 0.6, 3.2) + 0.8 + 0.5;
+  const maxSize    = Math.max(0.4, room.rh - 0.25 - bandBottom);
+  let sizes = shown.map(c => Math.min(maxSize, 0.55 + 0.95 * Math.sqrt(c.contributions / top)));
+  const rowW  = sizes.reduce((a, b) => a + b, 0) + GAP * (sizes.length - 1);
+  const scale = Math.min(1, (room.rw - 1) / rowW);
+  sizes = sizes.map(size => size * scale);
+
+  let x = -(rowW * scale) / 2;
+  room.portraitSlots.forEach((slot, i) => {
+    const person = shown[i];
+    slot.group.visible = !!person;
+    if (!person) return;
+    const size = sizes[i];
+    const cx   = x + size / 2;
+    x += size + GAP * scale;
+
+    slot.frame.scale.set(size + 0.1, size + 0.1, 1);
+    slot.frame.position.set(cx, bandBottom + size / 2, slot.frame.position.z);
+    slot.portrait.scale.set(size, size, 1);
+    slot.portrait.position.set(cx, bandBottom + size / 2, slot.portrait.position.z);
+
+    const plaqueW = size + 0.2;
+    const plaqueH = plaqueW * slot.plaqueCanvas.height / slot.plaqueCanvas.width;
+    slot.plaque.scale.set(plaqueW, plaqueH, 1);
+    slot.plaque.position.set(cx, bandBottom - 0.1 - plaqueH / 2, slot.plaque.position.z);
+
+    const pct = Math.round((person.contributions / total) * 100);
+    const tip = `${person.name} — ${person.contributions} commits (${pct}% of the top ${shown.length})`;
+    for (const mesh of [slot.frame, slot.portrait, slot.plaque]) mesh.userData.tooltip = tip;
+
+    drawPortrait(slot.canvas, person, null, room.langColor);
+    slot.texture.needsUpdate = true;
+    drawNamePlaque(slot.plaqueCanvas, person);
+    slot.plaqueTex.needsUpdate = true;
+  });
+
+  // Avatars arrive in any order; a newer render supersedes this one
+  const request = {};
+  room.portraitRequest = request;
+  await Promise.all(shown.map(async (person, i) => {
+    if (!person.avatar_url) return;
+    const img = await loadImage(person.avatar_url);
+    if (!img || room.portraitRequest !== request) return;
+    drawPortrait(room.portraitSlots[i].canvas, person, img, room.langColor);
+    room.portraitSlots[i].texture.needsUpdate = true;
+  }));
+}
+
+function drawPortrait(canvas, person, img, langColor) {
+  const ctx = canvas.getContext('2d');
+  const S = canvas.width;
+
+  if (img) {
+    // Centre-crop to a square
+    const side = Math.min(img.naturalWidth, img.naturalHeight);
+    ctx.drawImage(img, (img.naturalWidth - side) / 2, (img.naturalHeight - side) / 2, side, side, 0, 0, S, S);
+    return;
+  }
+  ctx.fillStyle = '#' + darkenHex(langColor, 0.6).getHexString(); ctx.fillRect(0, 0, S, S);
+  const initials = person.name.split(/[\s._-]+/).filter(Boolean).slice(0, 2).map(w => w[0].toUpperCase()).join('');
+  ctx.font = `bold ${S * 0.4}px -apple-system, BlinkMacSystemFont, sans-serif`;
+  ctx.fillStyle = '#e6edf3'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+  ctx.fillText(initials || '?', S / 2, S / 2);
+  ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+}
+
+function drawNamePlaque(canvas, person) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+
+  ctx.fillStyle = '#2b2216'; ctx.fillRect(0, 0, W, H);
+  ctx.strokeStyle = '#8a6d3b'; ctx.lineWidth = 3;
+  ctx.strokeRect(2, 2, W - 4, H - 4);
+
+  ctx.textAlign = 'center';
+  ctx.font = 'bold 20px -apple-system, BlinkMacSystemFont, sans-serif'; ctx.fillStyle = '#f0e6d2';
+  ctx.fillText(fitText(ctx, person.name, W - 16), W / 2, 25);
+  ctx.font = '14px monospace'; ctx.fillStyle = '#c9b48a';
+  ctx.fillText(`${person.contributions} commits`, W / 2, 45);
+  ctx.textAlign = 'left';
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Commit activity graph (a table near the front wall)
+// ─────────────────────────────────────────────────────────────
+const ACTIVITY_SPACING = 0.075;
+
+function createActivityTable(roomGroup, rd) {
+  const group = new THREE.Group();
+  group.position.set(0, 0, rd / 2 - 2.3);
+  group.visible = false;
+
+  const tableH = 0.5;
+  const table  = new THREE.Mesh(
+    new THREE.BoxGeometry(ACTIVITY_WEEKS * ACTIVITY_SPACING + 0.3, tableH, 0.8),
+    new THREE.MeshStandardMaterial({ color: 0x2a2a2a, roughness: 0.2, metalness: 0.1 })
+  );
+  table.position.y = tableH / 2;
+
+  const graph = createContribGraph(ACTIVITY_WEEKS, {
+    size:      0.06,
+    spacing:   ACTIVITY_SPACING,
+    startX:    -((ACTIVITY_WEEKS - 1) * ACTIVITY_SPACING) / 2,
+    startZ:    -(6 * ACTIVITY_SPACING) / 2,
+    maxHeight: 0.5,
+  });
+  // Turned to face the room: oldest week on the viewer's left, Sundays at the back
+  graph.mesh.position.y = tableH;
+  graph.mesh.rotation.y = Math.PI;
+
+  table.userData.hoverable = true;
+  group.add(table, graph.mesh);
+  roomGroup.add(group);
+  return { group, table, graph };
+}
+
+/**
+ * Raise a year of a repo's commits as a contribution-style graph on the
+ * activity table. Weeks are lined up against today, so an older build cache
+ * shows its last weeks shifted left and the gap since as empty days.
+ * @param {import('./schema.js').ActivityWeek[]} weeks  oldest first
+ * @param {object} room
+ */
+export function renderCommitActivity(weeks, room) {
+  const { group, table, graph } = room.activityTable;
+  const byWeek = new Map(weeks.map(w => [w.week, w.days]));
+
+  const today  = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+  const sunday = new Date(today);
+  sunday.setUTCDate(sunday.getUTCDate() - sunday.getUTCDay() - (ACTIVITY_WEEKS - 1) * 7);
+
+  const counts = [];
+  for (let w = 0; w < ACTIVITY_WEEKS; w++) {
+    const days = byWeek.get(sunday.toISOString().slice(0, 10)) || [];
+    for (let d = 0; d < 7; d++) {
+      const date = new Date(sunday.getTime() + d * 86400000);
+      counts.push(date > today ? null : days[d] || 0);
+    }
+    sunday.setUTCDate(sunday.getUTCDate() + 7);
+  }
+
+  const max   = Math.max(1, ...counts.filter(c => c !== null));
+  const total = counts.reduce((n, c) => n + (c || 0), 0);
+  graph.show({
+    cells: counts.map(count => count === null ? null : {
+      count,
+      level: count === 0 ? 0 : Math.min(4, Math.max(1, Math.ceil((4 * count) / max))),
+    }),
+  });
+
+  table.userData.tooltip = `${total} commit${total === 1 ? '' : 's'} in the past year`;
+  group.visible = true;
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Star history ribbon (front wall, above the panels)
+// ─────────────────────────────────────────────────────────────
+function createStarSculpture(roomGroup, rw, rh, rd, langColor) {
+  // The band between the tops of the front-wall panels and the ceiling
+  const panelTop = Math.min(rh * 0.6, 3.2) + 0.8;
+  const group = new THREE.Group();
+  group.position.set(0, panelTop + 0.15, rd / 2 - 0.3);
+  group.rotation.y = Math.PI; // local +x runs to the viewer's right
+  group.visible = false;
+
+  // A translucent sheet under the curve; its geometry is built per render
+  const sheet = new THREE.Mesh(
+    new THREE.BufferGeometry(),
+    new THREE.MeshBasicMaterial({
+      color: langColor, transparent: true, opacity: 0.22, side: THREE.DoubleSide, depthWrite: false,
+    })
+  );
+  sheet.userData.hoverable = true;
+  group.add(sheet);
+  roomGroup.add(group);
+
+  return {
+    group,
+    sheet,
+    width:  Math.min(rw - 1.2, 7),
+    height: Math.min(2.4, Math.max(0.4, rh - panelTop - 0.5)), // grand halls are taller
+    tubeMat: new THREE.MeshStandardMaterial({
+      color: langColor, emissive: langColor, emissiveIntensity: 0.6, roughness: 0.3,
+    }),
+    extras: [], // tube, markers and labels from the last render
+  };
+}
+
+/**
+ * Draw a repo's stars over time as a glowing ribbon along the front wall, with
+ * its biggest milestones labelled ("100 ⭐ — Mar 2025"). The curve runs from
+ * the first star to this month; stars the history does not cover (capped
+ * fetches) show up as a final climb to the repo's current count.
+ * @param {import('./schema.js').StarMonth[]} months  oldest first
+ * @param {object} room
+ */
+export function renderStarHistory(months, room) {
+  const sculpture = room.starSculpture;
+  const { group, sheet, width, height } = sculpture;
+  if (!months.length) {
+    group.visible = false;
+    return;
+  }
+
+  // One point per month, the month before the first star starting at zero
+  const now    = new Date();
+  const counts = new Map(months.map(m => [m.month, m.stars]));
+  const [y0, m0] = months[0].month.split('-').map(Number);
+  const series = [];
+  let total = 0;
+  for (let d = new Date(Date.UTC(y0, m0 - 2, 1)); d <= now; d.setUTCMonth(d.getUTCMonth() + 1)) {
+    total += counts.get(d.toISOString().slice(0, 7)) || 0;
+    series.push({ date: new Date(d), total });
+  }
+  series[series.length - 1].total = Math.max(total, room.stars);
+  const peak = series[series.length - 1].total || 1;
+
+  const points = series.map((p, i) => new THREE.Vector3(
+    -width / 2 + (width * i) / (series.length - 1),
+    (height * p.total) / peak,
+    0
+  ));
+
+  // Sheet: a strip of quads between the baseline and the curve
+  const pos = [];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1], b = points[i];
+    pos.push(a.x, 0, 0, b.x, 0, 0, b.x, b.y, 0, a.x, 0, 0, b.x, b.y, 0, a.x, a.y, 0);
+  }
+  sheet.geometry.dispose();
+  sheet.geometry = new THREE.BufferGeometry();
+  sheet.geometry.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
+  sheet.userData.tooltip = `${peak.toLocaleString()} ⭐ since ${monthLabel(series[1].date)}`;
+
+  for (const obj of sculpture.extras) {
+    group.remove(obj);
+    obj.geometry.dispose();
+    obj.material.map?.dispose();
+    if (obj.material !== sculpture.tubeMat) obj.material.dispose();
+  }
+  sculpture.extras = [];
+
+  const curve = new THREE.CatmullRomCurve3(points, false, 'centripetal');
+  const tube  = new THREE.Mesh(
+    new THREE.TubeGeometry(curve, Math.min(points.length * 4, 400), 0.025, 6, false),
+    sculpture.tubeMat
+  );
+  group.add(tube);
+  sculpture.extras.push(tube);
+
+  // Label the biggest milestones first, skipping any that would crowd one
+  // already placed
+  const placed = [];
+  for (const milestone of STAR_MILESTONES.filter(m => m <= peak).reverse()) {
+    const i = series.findIndex(p => p.total >= milestone);
+    if (placed.some(p => Math.abs(points[p.i].x - points[i].x) < 0.9)) continue;
+    placed.push({ i, milestone });
+    if (placed.length === STAR_LABELS) break;
+  }
+  for (const { i, milestone } of placed) {
+    const marker = new THREE.Mesh(new THREE.SphereGeometry(0.05, 12, 8), sculpture.tubeMat);
+    marker.position.copy(points[i]);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 256; canvas.height = 56;
+    drawStarLabel(canvas, `${milestone.toLocaleString()} ⭐ — ${monthLabel(series[i].date)}`, room.langColor);
+    const label = new THREE.Mesh(
+      new THREE.PlaneGeometry(0.64, 0.14),
+      new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true })
+    );
+    // Below the curve when it is near the top of the band
+    const above = points[i].y + 0.2 < height;
+    label.position.set(points[i].x, points[i].y + (above ? 0.14 : -0.14), 0.02);
+
+    group.add(marker, label);
+    sculpture.extras.push(marker, label);
+  }
+
+  group.visible = true;
+}
+
+function monthLabel(date) {
+  return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+function drawStarLabel(canvas, text, langColor) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+
+  ctx.fillStyle = 'rgba(6, 9, 14, 0.85)'; ctx.fillRect(0, 0, W, H);
+  ctx.strokeStyle = langColor; ctx.lineWidth = 2;
+  ctx.strokeRect(2, 2, W - 4, H - 4);
+  ctx.font = 'bold 24px -apple-system, BlinkMacSystemFont, sans-serif';
+  ctx.fillStyle = '#f0e6d2'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+  ctx.fillText(fitText(ctx, text, W - 16), W / 2, H / 2);
+  ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Gists wing — a side corridor of alcoves, one per gist
+// ─────────────────────────────────────────────────────────────
+/**
+ * Build the corridor off the hallway at `z`, with alcoves alternating left
+ * and right. Each alcove lists the gist's files on its side wall and shows the
+ * selected one on its back wall; everything is drawn up front, since the gist
+ * text arrives with the rest of the gallery data.
+ * @returns {{ group: THREE.Group, start: THREE.Vector3, end: THREE.Vector3, alcoves: object[] }}
+ */
+function buildGistWing(museumGroup, gists, { x, z, rotation, wallH }) {
+  // Built along local +x from the doorway in the corridor wall (the layout's annex)
+  const wing = new THREE.Group();
+  wing.name = 'gists';
+  wing.position.set(x, 0, z);
+  wing.rotation.y = rotation;
+
+  const perRow  = [Math.ceil(gists.length / 2), Math.floor(gists.length / 2)]; // rows at +z, -z
+  const len     = gistWingLength(gists.length);
+  const halfW   = GIST_HALL_W / 2;
+  const outerZ  = halfW + ALCOVE_D;
+  const wallMat = makeWallMaterial('#e8e2d8');
+
+  // Floor under corridor and alcoves; the corridor keeps the hallway's ceiling
+  // height, the alcoves get a lower one
+  const floor = new THREE.Mesh(
+    new THREE.BoxGeometry(len, 0.2, outerZ * 2),
+    makeMarbleFloorMaterial(Math.ceil(len / 1.5), Math.ceil(outerZ * 2 / 1.5))
+  );
+  floor.position.set(len / 2, -0.1, 0);
+  floor.userData.isFloor = true;
+  const ceiling = new THREE.Mesh(
+    new THREE.BoxGeometry(len, 0.2, GIST_HALL_W),
+    makeMarbleCeilingMaterial(Math.ceil(len / 1.5), Math.ceil(GIST_HALL_W / 1.5))
+  );
+  ceiling.position.set(len / 2, wallH, 0);
+  ceiling.userData.static = true;
+  wing.add(floor, ceiling);
+
+  // End wall, then each row: wall beside the entry, the alcoves, wall to the end
+  addBox(wing, 0.2, wallH, GIST_HALL_W, wallMat, len, wallH / 2, 0);
+  [1, -1].forEach((row, r) => {
+    const alcovesEnd = GIST_ENTRY + perRow[r] * ALCOVE_W;
+    addBox(wing, GIST_ENTRY, wallH, 0.2, wallMat, GIST_ENTRY / 2, wallH / 2, row * halfW);
+    if (len - alcovesEnd > 0.05) {
+      addBox(wing, len - alcovesEnd, wallH, 0.2, wallMat, (alcovesEnd + len) / 2, wallH / 2, row * halfW);
+    }
+    const dividers = perRow[r] ? perRow[r] + 1 : 0;
+    for (let m = 0; m < dividers; m++) {
+      addBox(wing, 0.2, ALCOVE_H, ALCOVE_D, wallMat, GIST_ENTRY + m * ALCOVE_W, ALCOVE_H / 2, row * (halfW + ALCOVE_D / 2));
+    }
+  });
+
+  const alcoves = gists.map((gist, i) => {
+    const row = i % 2 === 0 ? 1 : -1;
+    const cx  = GIST_ENTRY + (Math.floor(i / 2) + 0.5) * ALCOVE_W;
+    return buildAlcove(wing, gist, wallMat, cx, row, { halfW, outerZ, wallH });
+  });
+
+  // Neon header hanging in the corridor mouth, facing the hallway
+  const signCanvas = makeNeonSignCanvas('Gists', GIST_COLOR);
+  const sign = new THREE.Mesh(
+    new THREE.PlaneGeometry(2.0, 0.58),
+    new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(signCanvas), side: THREE.DoubleSide })
+  );
+  sign.position.set(0, wallH * 0.7, 0);
+  sign.rotation.y = -Math.PI / 2;
+  sign.userData.tooltip   = `${gists.length} gist${gists.length === 1 ? '' : 's'}`;
+  sign.userData.hoverable = true;
+  wing.add(sign);
+
+  museumGroup.add(wing);
+  wing.updateMatrix();
+  return {
+    group: wing,
+    start: new THREE.Vector3(0, 0, 0).applyMatrix4(wing.matrix),
+    end:   new THREE.Vector3(len, 0, 0).applyMatrix4(wing.matrix),
+    alcoves,
+  };
+}
+
+/** How far the gists wing reaches from its corridor: the entry, the alcoves, a little spare. */
+function gistWingLength(count) {
+  return GIST_ENTRY + Math.ceil(count / 2) * ALCOVE_W + 1;
+}
+
+function buildAlcove(wing, gist, wallMat, cx, row, { halfW, outerZ, wallH }) {
+  // Back wall, plus the strip of corridor wall above the lower alcove ceiling
+  addBox(wing, ALCOVE_W, ALCOVE_H, 0.2, wallMat, cx, ALCOVE_H / 2, row * (outerZ + 0.1));
+  addBox(wing, ALCOVE_W, wallH - ALCOVE_H, 0.2, wallMat, cx, (ALCOVE_H + wallH) / 2, row * halfW);
+  const ceiling = new THREE.Mesh(
+    new THREE.BoxGeometry(ALCOVE_W, 0.2, ALCOVE_D),
+    makeMarbleCeilingMaterial(Math.ceil(ALCOVE_W / 1.5), Math.ceil(ALCOVE_D / 1.5))
+  );
+  ceiling.position.set(cx, ALCOVE_H, row * (halfW + ALCOVE_D / 2));
+  ceiling.userData.static = true;
+  wing.add(ceiling);
+
+  // File list on the side wall nearer the hallway, facing along the corridor
+  const listCanvas = document.createElement('canvas');
+  listCanvas.width  = GIST_LIST_W;
+  listCanvas.height = GIST_LIST_H;
+  const listTex  = new THREE.CanvasTexture(listCanvas);
+  const listW    = ALCOVE_D - 0.5;
+  const listMesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(listW, listW * GIST_LIST_H / GIST_LIST_W),
+    new THREE.MeshBasicMaterial({ map: listTex, side: THREE.FrontSide })
+  );
+  listMesh.position.set(cx - ALCOVE_W / 2 + 0.12, 1.9, row * (halfW + ALCOVE_D / 2));
+  listMesh.rotation.y = Math.PI / 2;
+  wing.add(listMesh);
+
+  // Selected file on the back wall
+  const sourceCanvas = document.createElement('canvas');
+  sourceCanvas.width  = SOURCE_W;
+  sourceCanvas.height = SOURCE_H;
+  const sourceTex  = new THREE.CanvasTexture(sourceCanvas);
+  const sourceW    = ALCOVE_W - 0.8;
+  const sourceMesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(sourceW, sourceW * SOURCE_H / SOURCE_W),
+    new THREE.MeshBasicMaterial({ map: sourceTex, side: THREE.FrontSide })
+  );
+  sourceMesh.position.set(cx, 1.85, row * (outerZ - 0.02));
+  sourceMesh.rotation.y = row > 0 ? Math.PI : 0;
+  wing.add(sourceMesh);
+
+  const alcove = {
+    gist,
+    listMesh,
+    listCanvas,
+    listTexture:   listTex,
+    sourceMesh,
+    sourceCanvas,
+    sourceTexture: sourceTex,
+    selected:      0,
+    sourceState:   null,
+  };
+  const title = gist.description || gist.files[0]?.name || gist.id;
+  listMesh.userData.tooltip    = `${title} — click a file to read it`;
+  listMesh.userData.onActivate = hit => {
+    const i = Math.floor(((1 - hit.uv.y) * GIST_LIST_H - GIST_LIST_TOP) / GIST_ROW_H);
+    if (i >= 0 && i < Math.min(gist.files.length, GIST_LIST_ROWS)) selectGistFile(alcove, i);
+  };
+  sourceMesh.userData.onActivate = hit => pageGistFile(alcove, hit.uv && hit.uv.x < 0.5 ? -1 : 1);
+  sourceMesh.userData.onScroll   = rows => pageGistFile(alcove, Math.sign(rows));
+
+  selectGistFile(alcove, 0);
+  return alcove;
+}
+
+function selectGistFile(alcove, index) {
+  const file = alcove.gist.files[index];
+  alcove.selected = index;
+  if (file && file.text !== null && !file.text.includes('\0')) {
+    const lang  = file.language || languageForPath(file.name);
+    const lines = highlight(file.text.replace(/\n$/, ''), lang);
+    alcove.sourceState = {
+      path:      file.name,
+      lang,
+      lines:     lines.slice(0, SOURCE_MAX_LINES),
+      truncated: lines.length > SOURCE_MAX_LINES,
+      page:      0,
+    };
+    drawSourcePage(alcove.sourceCanvas, alcove.sourceState, GIST_COLOR);
+    alcove.sourceMesh.userData.tooltip = `${file.name} — click left / right half to turn pages`;
+  } else {
+    alcove.sourceState = null;
+    drawPlaceholderCanvas(alcove.sourceCanvas, file ? `${file.name} is too large to show here` : 'Empty gist');
+    alcove.sourceMesh.userData.tooltip = file?.name;
+  }
+  alcove.sourceTexture.needsUpdate = true;
+  drawGistList(alcove.listCanvas, alcove.gist, index);
+  alcove.listTexture.needsUpdate = true;
+}
+
+function pageGistFile(alcove, delta) {
+  const state = alcove.sourceState;
+  if (!state || !delta) return;
+  const pages = Math.max(1, Math.ceil(state.lines.length / SOURCE_PAGE));
+  const page  = Math.max(0, Math.min(state.page + delta, pages - 1));
+  if (page === state.page) return;
+  state.page = page;
+  drawSourcePage(alcove.sourceCanvas, state, GIST_COLOR);
+  alcove.sourceTexture.needsUpdate = true;
+}
+
+function drawGistList(canvas, gist, selected) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const PX = 14;
+
+  ctx.fillStyle = '#0d1117'; ctx.fillRect(0, 0, W, H);
+  ctx.strokeStyle = '#21262d'; ctx.lineWidth = 2;
+  ctx.strokeRect(1, 1, W - 2, H - 2);
+
+  ctx.font = 'bold 15px monospace'; ctx.fillStyle = GIST_COLOR;
+  ctx.fillText('/ gist', PX, 26);
+  if (gist.updated_at) {
+    ctx.font = '11px monospace'; ctx.fillStyle = '#8b949e'; ctx.textAlign = 'right';
+    ctx.fillText(new Date(gist.updated_at).toLocaleDateString(), W - PX, 26);
+    ctx.textAlign = 'left';
+  }
+  ctx.fillStyle = '#21262d'; ctx.fillRect(PX, 34, W - PX * 2, 1);
+
+  ctx.font = '13px -apple-system, BlinkMacSystemFont, sans-serif'; ctx.fillStyle = '#c9d1d9';
+  wrapTextLines(ctx, gist.description || 'No description', W - PX * 2)
+    .forEach((line, i) => ctx.fillText(line, PX, 56 + i * 18));
+  ctx.fillStyle = '#21262d'; ctx.fillRect(PX, GIST_LIST_TOP - 8, W - PX * 2, 1);
+
+  gist.files.slice(0, GIST_LIST_ROWS).forEach((file, i) => {
+    const y = GIST_LIST_TOP + i * GIST_ROW_H + 15;
+    if (i === selected) {
+      ctx.fillStyle = '#1f2937'; ctx.fillRect(PX - 4, y - 15, W - PX * 2 + 8, GIST_ROW_H);
+    }
+    ctx.fillStyle = file.language ? getLangColor(file.language) : '#484f58';
+    ctx.beginPath(); ctx.arc(PX + 4, y - 4, 4, 0, Math.PI * 2); ctx.fill();
+
+    ctx.font = '11px monospace'; ctx.fillStyle = '#8b949e'; ctx.textAlign = 'right';
+    const size = file.size < 1024 ? `${file.size} B` : `${(file.size / 1024).toFixed(1)} KB`;
+    ctx.fillText(size, W - PX, y);
+    const sizeW = ctx.measureText(size).width;
+    ctx.textAlign = 'left';
+
+    ctx.font = '12px monospace'; ctx.fillStyle = i === selected ? GIST_COLOR : '#c9d1d9';
+    ctx.fillText(fitText(ctx, file.name, W - PX * 2 - 24 - sizeW), PX + 16, y);
+  });
+  if (gist.files.length > GIST_LIST_ROWS) {
+    ctx.font = '12px monospace'; ctx.fillStyle = '#8b949e';
+    ctx.fillText(`+ ${gist.files.length - GIST_LIST_ROWS} more files`, PX, H - 12);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Source viewer panel (front wall, beside the commit timeline)
+// ─────────────────────────────────────────────────────────────
+const TOKEN_COLORS = {
+  plain:   '#c9d1d9',
+  keyword: '#ff7b72',
+  string:  '#a5d6ff',
+  comment: '#8b949e',
+  number:  '#79c0ff',
+  tag:     '#7ee787',
+};
+
+function createSourcePanel(roomGroup, rw, rh, rd, side) {
+  const commitW = Math.min(rw - 1, 3.0);
+  const panelW  = Math.min(rw / 2 - 2, 3.0);
+  const panelH  = Math.min(rh * 0.6, 3.2);
+
+  const canvas = document.createElement('canvas');
+  canvas.width  = SOURCE_W;
+  canvas.height = SOURCE_H;
+  drawPlaceholderCanvas(canvas, 'Click a file in the tree to read it');
+
+  const tex  = new THREE.CanvasTexture(canvas);
+  const mat  = new THREE.MeshBasicMaterial({ map: tex, side: THREE.FrontSide });
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(panelW, panelH), mat);
+
+  // Front wall, facing inward (-Z), on the outer-wall side of the commits
+  mesh.position.set(side * (commitW / 2 + 0.2 + panelW / 2), panelH / 2 + 0.8, rd / 2 - 0.15);
+  mesh.rotation.y = Math.PI;
+  roomGroup.add(mesh);
+
+  return { mesh, canvas, texture: tex };
+}
+
+/**
+ * Show a file in the room's source viewer, highlighted for its language and
+ * split into pages.
+ * @param {string} text
+ * @param {string} path  repo-relative
+ * @param {object} room
+ */
+export function renderSourceFile(text, path, room) {
+  if (!room.sourceCanvas) return;
+  if (text.includes('\0')) {
+    showPanelMessage(room, 'source', 'Binary file — not shown');
+    return;
+  }
+
+  const lang  = languageForPath(path);
+  const lines = highlight(text.replace(/\n$/, ''), lang);
+  const same  = room.sourceState?.path === path;
+  room.sourceState = {
+    path,
+    lang,
+    lines:     lines.slice(0, SOURCE_MAX_LINES),
+    truncated: lines.length > SOURCE_MAX_LINES,
+    page:      same ? room.sourceState.page : 0, // a refresh keeps the reader's place
+  };
+  redrawSource(room);
+  room.sourceMesh.userData.tooltip = `${path} — click left / right half to turn pages`;
+}
+
+/** "Loading …" while a file is fetched. */
+export function showSourcePlaceholder(room, path) {
+  showPanelMessage(room, 'source', `Loading ${path.slice(path.lastIndexOf('/') + 1)}…`);
+}
+
+function pageSource(room, delta) {
+  const state = room.sourceState;
+  if (!state || !delta) return;
+  const pages = Math.max(1, Math.ceil(state.lines.length / SOURCE_PAGE));
+  const page  = Math.max(0, Math.min(state.page + delta, pages - 1));
+  if (page === state.page) return;
+  state.page = page;
+  redrawSource(room);
+}
+
+function redrawSource(room) {
+  drawSourcePage(room.sourceCanvas, room.sourceState, room.langColor);
+  room.sourceTexture.needsUpdate = true;
+}
+
+function drawSourcePage(canvas, state, langColor) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const PX = 14;
+
+  ctx.fillStyle = '#0d1117'; ctx.fillRect(0, 0, W, H);
+  ctx.strokeStyle = '#21262d'; ctx.lineWidth = 2;
+  ctx.strokeRect(1, 1, W - 2, H - 2);
+
+  // Header: path on the left, language on the right
+  const lang = state.lang || 'Plain text';
+  ctx.font = '11px monospace'; ctx.fillStyle = state.lang ? getLangColor(state.lang) : '#8b949e';
+  ctx.textAlign = 'right';
+  ctx.fillText(lang, W - PX, 26);
+  const langW = ctx.measureText(lang).width;
+  ctx.textAlign = 'left';
+  ctx.font = 'bold 14px monospace'; ctx.fillStyle = langColor;
+  const maxPath = Math.floor((W - PX * 3 - langW) / 8.5);
+  const path = state.path.length > maxPath ? '…' + state.path.slice(-(maxPath - 1)) : state.path;
+  ctx.fillText(path, PX, 26);
+  ctx.fillStyle = '#21262d'; ctx.fillRect(PX, 34, W - PX * 2, 1);
+
+  // Line-number gutter, sized for the longest number in the file
+  const pages  = Math.max(1, Math.ceil(state.lines.length / SOURCE_PAGE));
+  const first  = state.page * SOURCE_PAGE;
+  const digits = String(state.lines.length).length;
+  ctx.font = '11px monospace';
+  const gutter = PX + ctx.measureText('0'.repeat(digits)).width + 10;
+
+  ctx.save();
+  ctx.beginPath(); ctx.rect(gutter, 36, W - gutter - 6, H - 36); ctx.clip();
+  state.lines.slice(first, first + SOURCE_PAGE).forEach((tokens, i) => {
+    let x = gutter;
+    const y = 44 + (i + 1) * SOURCE_LINE_H - 3;
+    for (const token of tokens) {
+      if (x > W) break;
+      ctx.fillStyle = TOKEN_COLORS[token.kind];
+      ctx.fillText(token.text, x, y);
+      x += ctx.measureText(token.text).width;
+    }
+  });
+  ctx.restore();
+
+  ctx.fillStyle = '#484f58'; ctx.textAlign = 'right';
+  state.lines.slice(first, first + SOURCE_PAGE).forEach((_, i) => {
+    ctx.fillText(String(first + i + 1), gutter - 10, 44 + (i + 1) * SOURCE_LINE_H - 3);
+  });
+
+  // Footer: pager, plus a note when the file was cut off
+  ctx.fillStyle = '#21262d'; ctx.fillRect(PX, H - 26, W - PX * 2, 1);
+  ctx.fillStyle = '#8b949e';
+  ctx.fillText(`${state.page > 0 ? '◀' : ' '}  page ${state.page + 1} / ${pages}  ${state.page < pages - 1 ? '▶' : ' '}`, W - PX, H - 9);
+  if (state.truncated) {
+    ctx.textAlign = 'left';
+    ctx.fillText(`first ${SOURCE_MAX_LINES} lines only`, PX, H - 9);
+  }
+  ctx.textAlign = 'left';
+}
+
+/** Truncate `text` with an ellipsis to fit `maxW` in the current font. */
+function fitText(ctx, text, maxW) {
+  if (ctx.measureText(text).width <= maxW) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(text.slice(0, end) + '…').width > maxW) end--;
+  return text.slice(0, end) + '…';
+}
+
 function wrapTextLines(ctx, text, maxW) {
   const words = text.split(' ');
   const lines = [];
@@ -940,9 +2871,15 @@ function wrapCanvasText(ctx, text, x, y, maxW, lh) {
 //  Info + LangBar canvases
 // ─────────────────────────────────────────────────────────────
 function makeInfoCanvas(repo, lang, langColor) {
-  const w = 512, h = 512;
   const canvas = document.createElement('canvas');
-  canvas.width = w; canvas.height = h;
+  canvas.width = 512; canvas.height = 512;
+  drawInfoCanvas(canvas, repo, lang, langColor, null);
+  return canvas;
+}
+
+/** The hallway plaque; `latest` adds the newest release once releases load. */
+function drawInfoCanvas(canvas, repo, lang, langColor, latest) {
+  const w = canvas.width, h = canvas.height;
   const ctx = canvas.getContext('2d');
 
   ctx.fillStyle = '#161b22'; ctx.fillRect(0, 0, w, h);
@@ -956,9 +2893,13 @@ function makeInfoCanvas(repo, lang, langColor) {
   ctx.font = '17px -apple-system, BlinkMacSystemFont, sans-serif'; ctx.fillStyle = '#c9d1d9';
   wrapText(ctx, repo.description || 'No description', 20, 165, w - 40, 24);
   const updated = repo.updated_at ? new Date(repo.updated_at).toLocaleDateString() : '';
+  if (latest) {
+    const date = latest.date ? ` · ${new Date(latest.date).toLocaleDateString()}` : '';
+    ctx.font = '16px monospace'; ctx.fillStyle = langColor;
+    ctx.fillText(`🏷 Latest: ${latest.tag}${date}`, 20, h - 50);
+  }
   ctx.font = '14px monospace'; ctx.fillStyle = '#6e7681';
   ctx.fillText(`Updated: ${updated}`, 20, h - 20);
-  return canvas;
 }
 
 function makeLangBarCanvas(langData, w = 800, h = 100) {
@@ -1010,6 +2951,11 @@ function wrapText(ctx, text, x, y, maxW, lh) {
   if (line) ctx.fillText(line, x, lineY);
 }
 
+/** Hallway rooms widen with stars, up to 2.5×. */
+function roomWidthMult(stars = 0) {
+  return Math.min(2.5, 1 + Math.log1p(stars) * 0.15);
+}
+
 function langHashIndex(lang, mod) {
   let h = 0; for (let i = 0; i < lang.length; i++) h += lang.charCodeAt(i); return h % mod;
 }
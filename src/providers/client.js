@@ -0,0 +1,168 @@
+/**
+ * Shared HTTP client for every provider request.
+ *
+ *  - tracks `X-RateLimit-Remaining` / `X-RateLimit-Reset` (GitHub, Gitea) and
+ *    `RateLimit-Remaining` / `RateLimit-Reset` (GitLab) per origin
+ *  - sends `If-None-Match` for URLs it has an ETag for; a 304 replays the
+ *    stored body and does not count against GitHub's limit
+ *  - retries 5xx, network errors and secondary rate limits with backoff
+ *  - fails fast with a RateLimitError while an origin's quota is exhausted
+ *    (GitHub's GraphQL endpoint has its own quota and is tracked separately)
+ *
+ * Like the rest of providers/, this runs in the browser and under Node.
+ */
+
+const MAX_RETRIES  = 3;
+const BASE_DELAY   = 1000;   // ms, doubled per attempt
+const MAX_WAIT     = 60000;  // longest Retry-After we are willing to sleep through
+
+const etags     = new Map(); // url → { etag, body, headers }
+const limits    = new Map(); // origin (or origin + /graphql) → { remaining, limit, resetAt }
+const listeners = new Set();
+
+export class RateLimitError extends Error {
+  /** @param {number} resetAt  epoch ms when the quota refills */
+  constructor(resetAt, url) {
+    super(`${describeRateLimit(resetAt)} (${url})`);
+    this.name    = 'RateLimitError';
+    this.resetAt = resetAt;
+  }
+}
+
+/**
+ * Fetch a resource through the shared client. Only GETs are ETag-cached.
+ * @param {string} url
+ * @param {{ headers?: Record<string,string>, as?: 'json'|'text', method?: string, body?: string }} [options]
+ * @returns {Promise<{ body: any, headers: Headers }>}  a 304 replays the stored body and headers
+ */
+export async function request(url, { headers = {}, as = 'json', method = 'GET', body } = {}) {
+  const origin = quotaKey(url);
+  const known  = limits.get(origin);
+  if (known && known.remaining === 0 && known.resetAt > Date.now()) {
+    throw new RateLimitError(known.resetAt, url);
+  }
+
+  const cached = method === 'GET' ? etags.get(url) : undefined;
+  const sendHeaders = cached ? { ...headers, 'If-None-Match': cached.etag } : headers;
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, { method, headers: sendHeaders, body });
+    } catch (err) {
+      if (attempt >= MAX_RETRIES) throw err;
+      await sleep(backoff(attempt));
+      continue;
+    }
+
+    trackRateLimit(origin, res.headers);
+
+    if (res.status === 304 && cached) return { body: cached.body, headers: cached.headers };
+
+    if (res.ok) {
+      const data = as === 'json' ? await res.json() : await res.text();
+      const etag = res.headers.get('ETag');
+      if (etag && method === 'GET') etags.set(url, { etag, body: data, headers: res.headers });
+      return { body: data, headers: res.headers };
+    }
+
+    if (res.status === 403 || res.status === 429) {
+      const state = limits.get(origin);
+      // Primary limit: quota gone until the reset time — retrying is pointless
+      if (state && state.remaining === 0) throw new RateLimitError(state.resetAt, url);
+
+      // Secondary (abuse) limit: back off for Retry-After, or exponentially
+      const retryAfter = Number(res.headers.get('Retry-After')) * 1000;
+      const message    = res.status === 403 ? await res.text() : '';
+      if (res.status === 429 || retryAfter || /secondary rate limit/i.test(message)) {
+        const wait = retryAfter || backoff(attempt);
+        if (attempt >= MAX_RETRIES || wait > MAX_WAIT) {
+          throw new RateLimitError(Date.now() + wait, url);
+        }
+        await sleep(wait);
+        continue;
+      }
+    }
+
+    if (res.status >= 500 && attempt < MAX_RETRIES) {
+      await sleep(backoff(attempt));
+      continue;
+    }
+
+    const err = new Error(`HTTP ${res.status} for ${url}`);
+    err.status = res.status;
+    throw err;
+  }
+}
+
+/**
+ * Current rate-limit state: the exhausted origin that resets soonest, or the
+ * lowest remaining quota seen when nothing is exhausted.
+ * @returns {{ limited: boolean, remaining: number|null, limit: number|null, resetAt: number|null }}
+ */
+export function getRateLimit() {
+  let worst = null;
+  const now = Date.now();
+  for (const state of limits.values()) {
+    const limited = state.remaining === 0 && state.resetAt > now;
+    if (
+      !worst ||
+      (limited && (!worst.limited || state.resetAt < worst.resetAt)) ||
+      (!limited && !worst.limited && state.remaining < worst.remaining)
+    ) {
+      worst = { ...state, limited };
+    }
+  }
+  return worst || { limited: false, remaining: null, limit: null, resetAt: null };
+}
+
+/**
+ * Subscribe to rate-limit state changes.
+ * @param {(state: ReturnType<typeof getRateLimit>) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function onRateLimitChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** "Rate limited until 14:32", in the viewer's locale. */
+export function describeRateLimit(resetAt) {
+  const time = new Date(resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `Rate limited until ${time}`;
+}
+
+/** Rate limits are per origin, except GitHub's GraphQL API, which has its own. */
+function quotaKey(url) {
+  const { origin, pathname } = new URL(url);
+  return pathname.endsWith('/graphql') ? `${origin}/graphql` : origin;
+}
+
+function trackRateLimit(origin, headers) {
+  const remaining = headers.get('X-RateLimit-Remaining') ?? headers.get('RateLimit-Remaining');
+  const reset     = headers.get('X-RateLimit-Reset')     ?? headers.get('RateLimit-Reset');
+  if (remaining === null || reset === null) return;
+
+  const limit = headers.get('X-RateLimit-Limit') ?? headers.get('RateLimit-Limit');
+  const prev  = limits.get(origin);
+  const next  = {
+    remaining: Number(remaining),
+    limit:     limit === null ? null : Number(limit),
+    resetAt:   Number(reset) * 1000, // epoch seconds
+  };
+  limits.set(origin, next);
+
+  const wasLimited = prev?.remaining === 0;
+  if (!prev || next.remaining === 0 || wasLimited) {
+    const state = getRateLimit();
+    listeners.forEach(fn => fn(state));
+  }
+}
+
+function backoff(attempt) {
+  return BASE_DELAY * 2 ** attempt + Math.random() * 250;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
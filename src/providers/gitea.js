@@ -0,0 +1,164 @@
+import {
+  README_NAMES, activitySince, encodePath, fetchAllPages, fetchJson, fetchText, tallyContributors, toCommit,
+  toCommitActivity, toCalendar, toFileTree, toRelease, toWorkItem,
+} from './shared.js';
+
+/**
+ * Gitea / Forgejo provider. The API is largely GitHub-compatible; only the
+ * field names that differ are remapped.
+ * @param {{ baseUrl?: string, token?: string }} options
+ */
+export function createGiteaProvider({ baseUrl = 'https://codeberg.org', token = '' } = {}) {
+  const api     = `${baseUrl}/api/v1`;
+  const headers = token ? { Authorization: `token ${token}` } : {};
+
+  return {
+    type: 'gitea',
+
+    async fetchRepos(owner) {
+      const data = await fetchAllPages(`${api}/users/${owner}/repos?limit=50`, headers);
+      return data.map(toRepo);
+    },
+
+    async fetchOrgRepos(org) {
+      const data = await fetchAllPages(`${api}/orgs/${org}/repos?limit=50`, headers);
+      return data.map(toRepo);
+    },
+
+    async fetchOrg(org) {
+      const data = await fetchJson(`${api}/orgs/${org}`, headers);
+      return { login: data.username, name: data.full_name || data.username, avatar_url: data.avatar_url };
+    },
+
+    async fetchOrgMembers(org) {
+      const data = await fetchAllPages(`${api}/orgs/${org}/public_members?limit=50`, headers);
+      return data.map(m => m.login);
+    },
+
+    fetchLanguages(repo) {
+      return fetchJson(`${api}/repos/${repo.full_name}/languages`, headers);
+    },
+
+    // The API raw endpoint resolves relative paths against the default branch
+    rawBaseUrl(owner, repoName) {
+      return `${api}/repos/${owner}/${repoName}/raw`;
+    },
+
+    fetchFile(owner, repoName, path) {
+      return fetchText(`${this.rawBaseUrl(owner, repoName)}/${encodePath(path)}`, headers);
+    },
+
+    async fetchReadme(owner, repoName) {
+      for (const name of README_NAMES) {
+        const text = await this.fetchFile(owner, repoName, name);
+        if (text !== null) return text;
+      }
+      return null;
+    },
+
+    async fetchFileTree(owner, repoName) {
+      const data = await fetchJson(
+        `${api}/repos/${owner}/${repoName}/git/trees/HEAD?recursive=true&per_page=10000`, headers
+      );
+      return toFileTree(data.tree || [], !!data.truncated);
+    },
+
+    async fetchCommits(owner, repoName, limit = 10) {
+      const data = await fetchJson(
+        `${api}/repos/${owner}/${repoName}/commits?limit=${limit}&stat=false&files=false`, headers
+      );
+      return data.map(c => toCommit(
+        c.sha, c.commit.message, c.commit.author?.date, c.commit.author?.name || c.author?.login
+      ));
+    },
+
+    // No stats endpoint: derived from the past year's commits when fromCommits allows it
+    async fetchCommitActivity(owner, repoName, { fromCommits = false } = {}) {
+      if (!fromCommits) return null;
+      const commits = await fetchAllPages(
+        `${api}/repos/${owner}/${repoName}/commits?since=${activitySince()}&limit=50&stat=false&files=false`, headers
+      );
+      return toCommitActivity(commits.map(c => c.commit.author?.date).filter(Boolean));
+    },
+
+    // Gitea's stargazer list carries no timestamps
+    async fetchStarHistory() {
+      return null;
+    },
+
+    // Falls back to tags (with their annotation as notes) when there are no releases
+    async fetchReleases(owner, repoName, limit = 5) {
+      const repoApi  = `${api}/repos/${owner}/${repoName}`;
+      const releases = (await fetchJson(`${repoApi}/releases?limit=${limit}`, headers)).filter(r => !r.draft);
+      if (releases.length) {
+        return releases.map(r => toRelease(r.tag_name, r.name, r.published_at || r.created_at, r.body, r.prerelease));
+      }
+      const tags = await fetchJson(`${repoApi}/tags?limit=${limit}`, headers);
+      return tags.map(t => toRelease(t.name, t.name, t.commit?.created, t.message));
+    },
+
+    // No contributors endpoint: shares are tallied over the latest 50 commits
+    async fetchContributors(owner, repoName, limit = 8) {
+      const data = await fetchJson(
+        `${api}/repos/${owner}/${repoName}/commits?limit=50&stat=false&files=false`, headers
+      );
+      return tallyContributors(data.map(c => ({
+        login:      c.author?.login || c.commit.author?.name,
+        name:       c.author?.full_name || c.commit.author?.name,
+        avatar_url: c.author?.avatar_url,
+      })), limit);
+    },
+
+    // The issues endpoint lists pull requests too; closed-unmerged PRs are dropped
+    async fetchActivity(owner, repoName, limit = 30) {
+      const data = await fetchJson(`${api}/repos/${owner}/${repoName}/issues?state=all&limit=${limit}`, headers);
+      return data.map(i => {
+        const pr    = !!i.pull_request;
+        const state = i.state === 'open'
+          ? (pr ? 'review' : 'open')
+          : (pr ? (i.pull_request.merged ? 'merged' : null) : 'closed');
+        return state && toWorkItem({
+          number:    i.number,
+          title:     i.title,
+          kind:      pr ? 'pr' : 'issue',
+          state,
+          draft:     pr && i.pull_request.draft,
+          labels:    i.labels,
+          author:    i.user?.login,
+          createdAt: i.created_at,
+          closedAt:  pr ? i.pull_request.merged_at : i.closed_at,
+        });
+      }).filter(Boolean);
+    },
+
+    // Heatmap entries are { timestamp (unix seconds), contributions }, several per day
+    async fetchContributions(username) {
+      const data = await fetchJson(`${api}/users/${username}/heatmap`, headers);
+      const counts = {};
+      for (const { timestamp, contributions } of data) {
+        const date = new Date(timestamp * 1000).toISOString().slice(0, 10);
+        counts[date] = (counts[date] || 0) + contributions;
+      }
+      return toCalendar(counts);
+    },
+  };
+}
+
+function toRepo(r) {
+  return {
+    name:             r.name,
+    full_name:        r.full_name,
+    description:      r.description || '',
+    language:         r.language || null,
+    stargazers_count: r.stars_count || 0,
+    forks_count:      r.forks_count || 0,
+    fork:             !!r.fork,
+    archived:         !!r.archived,
+    topics:           r.topics || [],
+    html_url:         r.html_url,
+    default_branch:   r.default_branch,
+    created_at:       r.created_at,
+    updated_at:       r.updated_at,
+    pushed_at:        r.updated_at,
+  };
+}
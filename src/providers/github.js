@@ -0,0 +1,257 @@
+import {
+  MAX_GIST_FILES, MAX_GIST_FILE_BYTES, README_NAMES, activitySince, encodePath, fetchAllPages, fetchJson,
+  fetchText, toCommit, toCommitActivity, toContributor, toFileTree, toGist, toRelease, toStarHistory, toWorkItem,
+  trimCalendar,
+} from './shared.js';
+import { request } from './client.js';
+
+const GH_API      = 'https://api.github.com';
+const GH_GRAPHQL  = 'https://api.github.com/graphql';
+const GH_RAW      = 'https://raw.githubusercontent.com';
+const CONTRIB_API = 'https://github-contributions-api.jogruber.de/v4';
+
+const YEARS_QUERY = `query($login: String!) {
+  user(login: $login) { contributionsCollection { contributionYears } }
+}`;
+
+// Users and organisations both have profile pins
+const PINNED_QUERY = `query($login: String!) {
+  repositoryOwner(login: $login) {
+    ... on ProfileOwner {
+      pinnedItems(first: 6, types: REPOSITORY) { nodes { ... on Repository { name owner { login } } } }
+    }
+  }
+}`;
+
+const CALENDAR_FIELDS = 'contributionCalendar { weeks { contributionDays { date contributionCount contributionLevel } } }';
+
+const CONTRIBUTION_LEVELS = {
+  NONE: 0, FIRST_QUARTILE: 1, SECOND_QUARTILE: 2, THIRD_QUARTILE: 3, FOURTH_QUARTILE: 4,
+};
+
+/**
+ * GitHub (or GitHub Enterprise via `apiUrl` / `rawUrl` / `graphqlUrl`) provider.
+ * @param {{ apiUrl?: string, rawUrl?: string, graphqlUrl?: string, contribApi?: string, token?: string }} options
+ */
+export function createGitHubProvider({
+  apiUrl     = GH_API,
+  rawUrl     = GH_RAW,
+  graphqlUrl = GH_GRAPHQL,
+  contribApi = CONTRIB_API,
+  token      = '',
+} = {}) {
+  const headers = token
+    ? { Accept: 'application/vnd.github.v3+json', Authorization: `token ${token}` }
+    : { Accept: 'application/vnd.github.v3+json' };
+
+  return {
+    type: 'github',
+
+    fetchRepos(owner) {
+      return fetchAllPages(`${apiUrl}/users/${owner}/repos?per_page=100&sort=updated&type=public`, headers);
+    },
+
+    fetchOrgRepos(org) {
+      return fetchAllPages(`${apiUrl}/orgs/${org}/repos?per_page=100&sort=updated&type=public`, headers);
+    },
+
+    async fetchOrg(org) {
+      const data = await fetchJson(`${apiUrl}/orgs/${org}`, headers);
+      return { login: data.login, name: data.name || data.login, avatar_url: data.avatar_url };
+    },
+
+    // Only public members are visible without an org-scoped token
+    async fetchOrgMembers(org) {
+      const data = await fetchAllPages(`${apiUrl}/orgs/${org}/public_members?per_page=100`, headers);
+      return data.map(m => m.login);
+    },
+
+    fetchLanguages(repo) {
+      return fetchJson(repo.languages_url || `${apiUrl}/repos/${repo.full_name}/languages`, headers);
+    },
+
+    rawBaseUrl(owner, repoName) {
+      // HEAD resolves to the default branch
+      return `${rawUrl}/${owner}/${repoName}/HEAD`;
+    },
+
+    // raw.githubusercontent.com bypasses the API rate limit entirely
+    fetchFile(owner, repoName, path) {
+      return fetchText(`${this.rawBaseUrl(owner, repoName)}/${encodePath(path)}`);
+    },
+
+    async fetchReadme(owner, repoName) {
+      for (const name of README_NAMES) {
+        const text = await this.fetchFile(owner, repoName, name);
+        if (text !== null) return text;
+      }
+      return null;
+    },
+
+    async fetchFileTree(owner, repoName) {
+      const trees = `${apiUrl}/repos/${owner}/${repoName}/git/trees/HEAD`;
+      const data  = await fetchJson(`${trees}?recursive=1`, headers);
+      if (!data.truncated) return toFileTree(data.tree);
+      // Past GitHub's size limit the listing stops partway; the non-recursive
+      // root listing at least completes the top level
+      const root = await fetchJson(trees, headers);
+      return toFileTree([...root.tree, ...data.tree], true);
+    },
+
+    async fetchCommits(owner, repoName, limit = 10) {
+      const data = await fetchJson(`${apiUrl}/repos/${owner}/${repoName}/commits?per_page=${limit}`, headers);
+      return data.map(c => toCommit(
+        c.sha, c.commit.message, c.commit.author?.date, c.commit.author?.name || c.author?.login
+      ));
+    },
+
+    // GitHub computes these stats in the background and answers 202 with an
+    // empty body until they are ready; the commit list stands in meanwhile
+    // when fromCommits allows it
+    async fetchCommitActivity(owner, repoName, { fromCommits = false } = {}) {
+      const repoApi = `${apiUrl}/repos/${owner}/${repoName}`;
+      const stats   = await fetchJson(`${repoApi}/stats/commit_activity`, headers);
+      if (Array.isArray(stats) && stats.length) {
+        return stats.map(w => ({ week: new Date(w.week * 1000).toISOString().slice(0, 10), days: w.days }));
+      }
+      if (!fromCommits) return null;
+      const commits = await fetchAllPages(`${repoApi}/commits?since=${activitySince()}&per_page=100`, headers);
+      return toCommitActivity(commits.map(c => c.commit.author?.date).filter(Boolean));
+    },
+
+    // The star+json media type adds `starred_at`; the list runs oldest first,
+    // so a capped fetch keeps the early history
+    async fetchStarHistory(owner, repoName, limit = 3000) {
+      const stars = await fetchAllPages(
+        `${apiUrl}/repos/${owner}/${repoName}/stargazers?per_page=100`,
+        { ...headers, Accept: 'application/vnd.github.star+json' }, Math.ceil(limit / 100)
+      );
+      return toStarHistory(stars.map(s => s.starred_at).filter(Boolean));
+    },
+
+    // Repos that tag without publishing releases fall back to their tags,
+    // which carry no date or notes on GitHub
+    async fetchReleases(owner, repoName, limit = 5) {
+      const repoApi  = `${apiUrl}/repos/${owner}/${repoName}`;
+      const releases = (await fetchJson(`${repoApi}/releases?per_page=${limit}`, headers)).filter(r => !r.draft);
+      if (releases.length) {
+        return releases.map(r => toRelease(r.tag_name, r.name, r.published_at || r.created_at, r.body, r.prerelease));
+      }
+      const tags = await fetchJson(`${repoApi}/tags?per_page=${limit}`, headers);
+      return tags.map(t => toRelease(t.name));
+    },
+
+    // Anonymous (unlinked-email) authors are left out, as on the repo page
+    async fetchContributors(owner, repoName, limit = 8) {
+      const data = await fetchJson(`${apiUrl}/repos/${owner}/${repoName}/contributors?per_page=${limit}`, headers);
+      return data.map(c => toContributor(c.login, c.login, sizedAvatar(c.avatar_url), c.contributions));
+    },
+
+    // The issues endpoint lists pull requests too, with their merge time.
+    // Closed-unmerged PRs and issues closed as not planned are dropped
+    async fetchActivity(owner, repoName, limit = 30) {
+      const data = await fetchJson(
+        `${apiUrl}/repos/${owner}/${repoName}/issues?state=all&sort=updated&per_page=${limit}`, headers
+      );
+      return data.map(i => {
+        const pr    = !!i.pull_request;
+        const state = i.state === 'open'
+          ? (pr ? 'review' : 'open')
+          : (pr ? (i.pull_request.merged_at ? 'merged' : null) : (i.state_reason === 'not_planned' ? null : 'closed'));
+        return state && toWorkItem({
+          number:    i.number,
+          title:     i.title,
+          kind:      pr ? 'pr' : 'issue',
+          state,
+          draft:     i.draft,
+          labels:    i.labels,
+          author:    i.user?.login,
+          createdAt: i.created_at,
+          closedAt:  pr ? i.pull_request.merged_at : i.closed_at,
+        });
+      }).filter(Boolean);
+    },
+
+    // File text comes from gist.githubusercontent.com, outside the API quota
+    async fetchGists(owner, limit = 12) {
+      const gists = await fetchJson(`${apiUrl}/users/${owner}/gists?per_page=${limit}`, headers);
+      return Promise.all(gists.map(async g => toGist({
+        id:          g.id,
+        description: g.description,
+        url:         g.html_url,
+        createdAt:   g.created_at,
+        updatedAt:   g.updated_at,
+        files:       await Promise.all(Object.values(g.files).map(async (f, i) => ({
+          name:     f.filename,
+          language: f.language,
+          size:     f.size,
+          text:     i < MAX_GIST_FILES && f.size <= MAX_GIST_FILE_BYTES ? await fetchText(f.raw_url) : null,
+        }))),
+      })));
+    },
+
+    // Profile pins, in the order shown on the profile. GraphQL needs a token,
+    // so without one there are none; pinned repos owned by someone else are
+    // not in the gallery and are dropped
+    async fetchPinnedRepos(owner) {
+      if (!token) return [];
+      const { repositoryOwner } = await graphql(PINNED_QUERY, { login: owner });
+      return (repositoryOwner?.pinnedItems?.nodes || [])
+        .filter(repo => repo?.owner?.login.toLowerCase() === owner.toLowerCase())
+        .map(repo => repo.name);
+    },
+
+    // Every year since the account was created. GraphQL needs a token;
+    // jogruber's scraper is the fallback without one, and whenever GraphQL fails
+    async fetchContributions(username) {
+      if (token) {
+        try {
+          return trimCalendar(await fetchCalendar(username));
+        } catch (err) {
+          console.warn(`GraphQL contribution calendar failed, falling back to ${contribApi}:`, err.message);
+        }
+      }
+      const data = await fetchJson(`${contribApi}/${username}?y=all`);
+      // API returns { contributions: [...], total: {...} }
+      return trimCalendar(data.contributions || []);
+    },
+  };
+
+  // Avatars are served at full size unless asked; the portrait wall needs 96px
+  function sizedAvatar(url) {
+    return url ? `${url}${url.includes('?') ? '&' : '?'}s=96` : null;
+  }
+
+  async function graphql(query, variables) {
+    const { body } = await request(graphqlUrl, {
+      method:  'POST',
+      headers: { Authorization: `bearer ${token}`, 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ query, variables }),
+    });
+    // GraphQL reports most failures in a 200 response
+    if (body.errors?.length) throw new Error(body.errors.map(e => e.message).join('; '));
+    return body.data;
+  }
+
+  // One calendar per contribution year (a collection may span at most a
+  // year), fetched as aliases of a single query and mapped to the
+  // { date, count, level } entries jogruber returns
+  async function fetchCalendar(login) {
+    const { user } = await graphql(YEARS_QUERY, { login });
+    if (!user) throw new Error(`No GitHub user ${login}`);
+
+    const years  = user.contributionsCollection.contributionYears;
+    const fields = years.map(year =>
+      `y${year}: contributionsCollection(from: "${year}-01-01T00:00:00Z", to: "${year}-12-31T23:59:59Z") { ${CALENDAR_FIELDS} }`
+    );
+    const data = await graphql(`query($login: String!) { user(login: $login) { ${fields.join(' ')} } }`, { login });
+
+    return years.flatMap(year => data.user[`y${year}`].contributionCalendar.weeks)
+      .flatMap(week => week.contributionDays)
+      .map(day => ({
+        date:  day.date,
+        count: day.contributionCount,
+        level: CONTRIBUTION_LEVELS[day.contributionLevel] ?? 0,
+      }));
+  }
+}
@@ -0,0 +1,186 @@
+import {
+  README_NAMES, activitySince, fetchAllPages, fetchJson, fetchText, toCommit, toCommitActivity, toCalendar,
+  toContributor, toFileTree, toRelease, toStarHistory, toWorkItem,
+} from './shared.js';
+
+/**
+ * GitLab (gitlab.com or self-hosted) provider.
+ * Projects are mapped onto the GitHub repo fields the museum reads.
+ * @param {{ baseUrl?: string, token?: string }} options
+ */
+export function createGitLabProvider({ baseUrl = 'https://gitlab.com', token = '' } = {}) {
+  const api     = `${baseUrl}/api/v4`;
+  const headers = token ? { 'PRIVATE-TOKEN': token } : {};
+  const project = (owner, repoName) => `${api}/projects/${encodeURIComponent(`${owner}/${repoName}`)}`;
+
+  return {
+    type: 'gitlab',
+
+    async fetchRepos(owner) {
+      const data = await fetchAllPages(
+        `${api}/users/${owner}/projects?per_page=100&order_by=last_activity_at&visibility=public`,
+        headers
+      );
+      return data.map(toRepo);
+    },
+
+    async fetchOrgRepos(group) {
+      const data = await fetchAllPages(
+        `${api}/groups/${encodeURIComponent(group)}/projects?per_page=100&include_subgroups=true` +
+        '&order_by=last_activity_at&visibility=public',
+        headers
+      );
+      return data.map(toRepo);
+    },
+
+    async fetchOrg(group) {
+      const data = await fetchJson(`${api}/groups/${encodeURIComponent(group)}`, headers);
+      return { login: data.full_path, name: data.name || data.full_path, avatar_url: data.avatar_url };
+    },
+
+    async fetchOrgMembers(group) {
+      const data = await fetchAllPages(`${api}/groups/${encodeURIComponent(group)}/members?per_page=100`, headers);
+      return data.map(m => m.username);
+    },
+
+    // GitLab reports percentages rather than bytes — the panels only use ratios
+    fetchLanguages(repo) {
+      return fetchJson(`${api}/projects/${encodeURIComponent(repo.full_name)}/languages`, headers);
+    },
+
+    rawBaseUrl(owner, repoName) {
+      return `${baseUrl}/${owner}/${repoName}/-/raw/HEAD`;
+    },
+
+    // `ref` omitted: the raw endpoint falls back to the default branch
+    fetchFile(owner, repoName, path) {
+      return fetchText(`${project(owner, repoName)}/repository/files/${encodeURIComponent(path)}/raw`, headers);
+    },
+
+    async fetchReadme(owner, repoName) {
+      for (const name of README_NAMES) {
+        const text = await this.fetchFile(owner, repoName, name);
+        if (text !== null) return text;
+      }
+      return null;
+    },
+
+    // Paged at 100 entries; fetchAllPages stops after 20 pages
+    async fetchFileTree(owner, repoName) {
+      const data = await fetchAllPages(`${project(owner, repoName)}/repository/tree?recursive=true&per_page=100`, headers);
+      return toFileTree(data, data.length >= 2000);
+    },
+
+    async fetchCommits(owner, repoName, limit = 10) {
+      const data = await fetchJson(`${project(owner, repoName)}/repository/commits?per_page=${limit}`, headers);
+      return data.map(c => toCommit(c.id, c.title || c.message, c.authored_date, c.author_name));
+    },
+
+    // No stats endpoint: derived from the past year's commits when fromCommits allows it
+    async fetchCommitActivity(owner, repoName, { fromCommits = false } = {}) {
+      if (!fromCommits) return null;
+      const commits = await fetchAllPages(
+        `${project(owner, repoName)}/repository/commits?since=${activitySince()}&per_page=100`, headers
+      );
+      return toCommitActivity(commits.map(c => c.authored_date).filter(Boolean));
+    },
+
+    async fetchStarHistory(owner, repoName, limit = 3000) {
+      const starrers = await fetchAllPages(
+        `${project(owner, repoName)}/starrers?per_page=100`, headers, Math.ceil(limit / 100)
+      );
+      return toStarHistory(starrers.map(s => s.starred_since).filter(Boolean));
+    },
+
+    // Falls back to tags (with their annotation as notes) when there are no releases
+    async fetchReleases(owner, repoName, limit = 5) {
+      const releases = await fetchJson(`${project(owner, repoName)}/releases?per_page=${limit}`, headers);
+      if (releases.length) {
+        return releases.map(r => toRelease(r.tag_name, r.name, r.released_at, r.description, r.upcoming_release));
+      }
+      const tags = await fetchJson(`${project(owner, repoName)}/repository/tags?per_page=${limit}`, headers);
+      return tags.map(t => toRelease(t.name, t.name, t.commit?.created_at, t.message));
+    },
+
+    // Contributors are commit-email identities with no avatar; the avatar
+    // endpoint resolves one per email (Gravatar or the matching GitLab user)
+    async fetchContributors(owner, repoName, limit = 8) {
+      const data = await fetchJson(
+        `${project(owner, repoName)}/repository/contributors?order_by=commits&sort=desc&per_page=${limit}`, headers
+      );
+      return Promise.all(data.map(async c => {
+        const avatar = await fetchJson(`${api}/avatar?email=${encodeURIComponent(c.email)}&size=96`, headers)
+          .catch(() => null);
+        return toContributor(c.name, c.name, avatar?.avatar_url, c.commits);
+      }));
+    },
+
+    // Issues and merge requests are separate lists; closed-unmerged MRs are dropped
+    async fetchActivity(owner, repoName, limit = 30) {
+      const query = `state=all&order_by=updated_at&with_labels_details=true&per_page=${limit}`;
+      const [issues, mrs] = await Promise.all([
+        fetchJson(`${project(owner, repoName)}/issues?${query}`, headers),
+        fetchJson(`${project(owner, repoName)}/merge_requests?${query}`, headers),
+      ]);
+      return [
+        ...issues.map(i => toWorkItem({
+          number:    i.iid,
+          title:     i.title,
+          kind:      'issue',
+          state:     i.state === 'opened' ? 'open' : 'closed',
+          labels:    i.labels,
+          author:    i.author?.username,
+          createdAt: i.created_at,
+          closedAt:  i.closed_at,
+        })),
+        ...mrs.filter(m => m.state !== 'closed' && m.state !== 'locked').map(m => toWorkItem({
+          number:    m.iid,
+          title:     m.title,
+          kind:      'pr',
+          state:     m.state === 'merged' ? 'merged' : 'review',
+          draft:     m.draft || m.work_in_progress,
+          labels:    m.labels,
+          author:    m.author?.username,
+          createdAt: m.created_at,
+          closedAt:  m.merged_at,
+        })),
+      ];
+    },
+
+    // Counted from the REST events API, one contribution per event like the
+    // profile calendar. (The profile page's calendar.json is not part of the
+    // API and browsers may not be allowed to read it cross-origin.) Events come
+    // newest first, 100 a page, so a year of more than 2000 loses its oldest days.
+    async fetchContributions(username) {
+      const after  = new Date(Date.now() - 365 * 86400000).toISOString().slice(0, 10);
+      const events = await fetchAllPages(
+        `${api}/users/${encodeURIComponent(username)}/events?after=${after}&per_page=100`, headers
+      );
+      const counts = {};
+      for (const e of events) {
+        const date = e.created_at.slice(0, 10);
+        counts[date] = (counts[date] || 0) + 1;
+      }
+      return toCalendar(counts);
+    },
+  };
+}
+
+function toRepo(p) {
+  return {
+    name:             p.path,
+    full_name:        p.path_with_namespace,
+    description:      p.description || '',
+    language:         null, // filled in from the language breakdown
+    stargazers_count: p.star_count || 0,
+    forks_count:      p.forks_count || 0,
+    fork:             !!p.forked_from_project,
+    archived:         !!p.archived,
+    topics:           p.topics || p.tag_list || [],
+    html_url:         p.web_url,
+    default_branch:   p.default_branch,
+    created_at:       p.created_at,
+    updated_at:       p.last_activity_at,
+    pushed_at:        p.last_activity_at,
+  };
+}
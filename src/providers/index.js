@@ -0,0 +1,117 @@
+import { createGitHubProvider } from './github.js';
+import { createGitLabProvider } from './gitlab.js';
+import { createGiteaProvider }  from './gitea.js';
+
+import { mergeCalendars } from './shared.js';
+
+export { primaryLanguage } from './shared.js';
+export { RateLimitError, getRateLimit, onRateLimitChange, describeRateLimit } from './client.js';
+
+/**
+ * Forge providers — one object per hosting service, all exposing:
+ *
+ *   type                                   'github' | 'gitlab' | 'gitea'
+ *   fetchRepos(owner)                   →  GitHub-shaped repo objects (all pages)
+ *   fetchLanguages(repo)                →  { [language]: bytes }
+ *   fetchFile(owner, repoName, path)    →  file text at HEAD | null
+ *   fetchReadme(owner, repoName)        →  markdown text | null
+ *   rawBaseUrl(owner, repoName)         →  URL prefix for relative README images
+ *   fetchFileTree(owner, repoName)      →  { entries: [{ path, type: 'tree'|'blob' }], recursive, truncated }
+ *   fetchCommits(owner, repoName, n)    →  [{ sha, message, date, author }]
+ *   fetchReleases(owner, repoName, n)   →  [{ tag, name, date, notes, prerelease }], newest
+ *                                          first; the repo's tags when it has no releases
+ *   fetchCommitActivity(owner, repoName, { fromCommits })
+ *                                       →  [{ week: Sunday YYYY-MM-DD, days: [7 counts] }],
+ *                                          the past 52 weeks, oldest first; null when the forge
+ *                                          has no stats ready, unless fromCommits allows paging
+ *                                          through a year of commits instead (build scripts)
+ *   fetchStarHistory(owner, repoName, n) →  [{ month: YYYY-MM, stars }], new stars per month, oldest
+ *                                          first, from the first n stars; null when the forge
+ *                                          does not record when stars were given
+ *   fetchContributors(owner, repoName, n) → [{ login, name, avatar_url, contributions }],
+ *                                          most commits first
+ *   fetchActivity(owner, repoName, n)   →  [{ number, title, kind, state, draft, labels, author,
+ *                                          createdAt, closedAt }], recently updated issues and PRs
+ *   fetchContributions(username)        →  [{ date, count, level }], oldest first, as far
+ *                                          back as the forge keeps (at least a year)
+ *
+ * and, for organisation / group galleries:
+ *
+ *   fetchOrg(org)                       →  { login, name, avatar_url }
+ *   fetchOrgRepos(org)                  →  GitHub-shaped repo objects
+ *   fetchOrgMembers(org)                →  member logins
+ *
+ * Only the GitHub provider has gists and profile pins (check for the method
+ * before calling it):
+ *
+ *   fetchGists(owner, n)                →  [{ id, description, html_url, created_at, updated_at,
+ *                                          files: [{ name, language, size, text }] }], newest first;
+ *                                          text is null for large files and past the first few
+ *   fetchPinnedRepos(owner)             →  names of the owner's pinned repos, in profile order;
+ *                                          [] without a token
+ *
+ * All requests go through the shared client (client.js). Methods other than
+ * fetchFile and fetchReadme throw on HTTP errors; every method throws a
+ * RateLimitError while the forge's quota is exhausted. Callers decide how
+ * loudly to fail.
+ */
+const FACTORIES = {
+  github: createGitHubProvider,
+  gitlab: createGitLabProvider,
+  gitea:  createGiteaProvider,
+  forgejo: createGiteaProvider,
+};
+
+/**
+ * Create a provider from a `CONFIG.provider`-style object.
+ * @param {{ type?: string, baseUrl?: string, token?: string }} options
+ */
+export function createProvider({ type = 'github', baseUrl = '', token = '' } = {}) {
+  const factory = FACTORIES[type];
+  if (!factory) throw new Error(`Unknown provider type: ${type}`);
+  const options = { token };
+  if (baseUrl) {
+    const url = baseUrl.replace(/\/+$/, '');
+    if (type === 'github') {
+      // GitHub Enterprise Server
+      options.apiUrl = `${url}/api/v3`;
+      options.rawUrl = `${url}/raw`;
+      options.graphqlUrl = `${url}/api/graphql`;
+    } else {
+      options.baseUrl = url;
+    }
+  }
+  return factory(options);
+}
+
+/**
+ * Combined contribution calendar of an organisation's members, 5 members at a
+ * time so a large organisation does not trip GitHub's secondary rate limit.
+ * Members whose calendar fails to load are skipped rather than failing the lot.
+ * @param {object} provider
+ * @param {string} org
+ * @param {number} maxMembers  cap on per-member requests
+ */
+export async function fetchOrgContributions(provider, org, maxMembers = 50) {
+  const members   = (await provider.fetchOrgMembers(org)).slice(0, maxMembers);
+  const calendars = [];
+  for (let i = 0; i < members.length; i += 5) {
+    calendars.push(...await Promise.all(
+      members.slice(i, i + 5).map(login => provider.fetchContributions(login).catch(() => []))
+    ));
+  }
+  return mergeCalendars(calendars);
+}
+
+/**
+ * Repo names for the grand hall: `configured` (CONFIG.repos.pinned) when it
+ * lists any, otherwise the owner's profile pins on forges that have them.
+ * @param {object} provider
+ * @param {string} owner
+ * @param {string[]} [configured]
+ * @returns {Promise<string[]>}
+ */
+export async function resolvePinned(provider, owner, configured = []) {
+  if (configured.length) return configured;
+  return provider.fetchPinnedRepos ? provider.fetchPinnedRepos(owner) : [];
+}
@@ -0,0 +1,286 @@
+/**
+ * Helpers shared by the forge providers.
+ * Nothing here may touch Vite (`import.meta.env`) or Node built-ins — the same
+ * modules run in the browser and in scripts/cache-github.js.
+ */
+
+import { request, RateLimitError } from './client.js';
+
+export const README_NAMES = ['README.md', 'readme.md', 'Readme.md', 'README.rst', 'README.txt', 'README'];
+
+/**
+ * GET a JSON resource, throwing on any non-2xx response.
+ * @param {string} url
+ * @param {Record<string,string>} headers
+ */
+export async function fetchJson(url, headers = {}) {
+  return (await request(url, { headers })).body;
+}
+
+/**
+ * GET every page of a list resource by following `Link: <…>; rel="next"`
+ * headers (GitHub, GitLab and Gitea all send them).
+ * @param {string} url       first page
+ * @param {Record<string,string>} headers
+ * @param {number} maxPages  safety cap
+ * @returns {Promise<object[]>} concatenated items
+ */
+export async function fetchAllPages(url, headers = {}, maxPages = 20) {
+  const items = [];
+  let next = url;
+  for (let page = 0; next && page < maxPages; page++) {
+    const res = await request(next, { headers });
+    items.push(...res.body);
+    next = parseNextLink(res.headers.get('Link'));
+  }
+  return items;
+}
+
+function parseNextLink(header) {
+  if (!header) return null;
+  for (const part of header.split(',')) {
+    const m = part.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+/**
+ * GET a text resource.
+ * @returns {Promise<string|null>} body text, or null on any failure other
+ *          than a rate limit (which is rethrown so callers can report it)
+ */
+export async function fetchText(url, headers = {}) {
+  try {
+    return (await request(url, { headers, as: 'text' })).body;
+  } catch (err) {
+    if (err instanceof RateLimitError) throw err;
+    return null;
+  }
+}
+
+/** Encode a repo-relative path for a URL, keeping its slashes. */
+export function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+// Larger listings keep the shallowest entries, so the top levels stay complete
+const MAX_TREE_ENTRIES = 5000;
+
+/**
+ * Shape a recursive listing the way the file tree panel expects:
+ * `{ entries: [{ path, type: 'tree'|'blob' }], recursive: true, truncated }`.
+ * Submodules count as files. `truncated` is set when the forge cut the
+ * listing short or it exceeded MAX_TREE_ENTRIES.
+ * @param {Array<{ path: string, type: string }>} entries
+ * @param {boolean} [truncated]
+ */
+export function toFileTree(entries, truncated = false) {
+  const byPath = new Map();
+  for (const e of entries) byPath.set(e.path, { path: e.path, type: e.type === 'tree' ? 'tree' : 'blob' });
+  const depth  = path => path.split('/').length;
+  const sorted = [...byPath.values()].sort((a, b) => depth(a.path) - depth(b.path) || a.path.localeCompare(b.path));
+  return {
+    entries:   sorted.slice(0, MAX_TREE_ENTRIES),
+    recursive: true,
+    truncated: truncated || sorted.length > MAX_TREE_ENTRIES,
+  };
+}
+
+/** Shape one commit the way the commit timeline panel expects. */
+export function toCommit(sha, message, date, author) {
+  return {
+    sha:     (sha || '').slice(0, 7),
+    message: (message || '').split('\n')[0].slice(0, 80),
+    date:    date || '',
+    author:  author || '',
+  };
+}
+
+// Notes beyond this are never drawn (the notes panel pages through ~9000 chars)
+const MAX_NOTES = 9000;
+
+/** Shape one release (or bare tag) the way the release shelf expects. */
+export function toRelease(tag, name, date, notes, prerelease) {
+  return {
+    tag:        tag || '',
+    name:       name || tag || '',
+    date:       date || null,
+    notes:      (notes || '').slice(0, MAX_NOTES),
+    prerelease: !!prerelease,
+  };
+}
+
+/**
+ * Shape one issue or pull request the way the project board expects.
+ * `state` is 'open', 'review' (an open PR), 'merged' or 'closed' (an issue).
+ */
+export function toWorkItem({ number, title, kind, state, draft, labels, author, createdAt, closedAt }) {
+  return {
+    number:    Number(number) || 0,
+    title:     (title || '').slice(0, 200),
+    kind,
+    state,
+    draft:     !!draft,
+    // Label colours come with or without '#'; GitLab may send bare names
+    labels:    (labels || []).map(label => (typeof label === 'string'
+      ? { name: label, color: null }
+      : { name: label.name, color: label.color ? `#${label.color.replace(/^#/, '')}` : null })),
+    author:    author || '',
+    createdAt: createdAt || null,
+    closedAt:  closedAt || null,
+  };
+}
+
+/**
+ * Tally commit authors into contributors, most commits first. For forges
+ * without a contributors endpoint; the counts cover only the commits given.
+ * @param {{ login: string, name?: string, avatar_url?: string|null }[]} authors  one per commit
+ */
+export function tallyContributors(authors, limit) {
+  const byLogin = new Map();
+  for (const { login, name, avatar_url } of authors) {
+    if (!login) continue;
+    const entry = byLogin.get(login) || toContributor(login, name, avatar_url, 0);
+    entry.contributions++;
+    byLogin.set(login, entry);
+  }
+  return [...byLogin.values()].sort((a, b) => b.contributions - a.contributions).slice(0, limit);
+}
+
+/** Shape one contributor the way the portrait wall expects. */
+export function toContributor(login, name, avatarUrl, contributions) {
+  return {
+    login:         login || '',
+    name:          name || login || '',
+    avatar_url:    avatarUrl || null,
+    contributions: Number(contributions) || 0,
+  };
+}
+
+// Gist files past these are listed without their text
+export const MAX_GIST_FILES      = 4;
+export const MAX_GIST_FILE_BYTES = 64 * 1024;
+
+/**
+ * Shape one gist (or snippet) the way the gists wing expects.
+ * @param {{ name: string, language?: string|null, size?: number, text?: string|null }[]} files
+ */
+export function toGist({ id, description, url, createdAt, updatedAt, files }) {
+  return {
+    id:          String(id),
+    description: (description || '').slice(0, 300),
+    html_url:    url || null,
+    created_at:  createdAt || null,
+    updated_at:  updatedAt || null,
+    files:       files.map(f => ({
+      name:     f.name,
+      language: f.language || null,
+      size:     Number(f.size) || 0,
+      text:     typeof f.text === 'string' ? f.text : null,
+    })),
+  };
+}
+
+/**
+ * Bucket commit dates into the `weeks` weeks ending with the current one, the
+ * shape of GitHub's /stats/commit_activity: { week: Sunday YYYY-MM-DD, days:
+ * [Sun … Sat] }, oldest first.
+ * @param {string[]} dates  ISO 8601 commit dates
+ */
+export function toCommitActivity(dates, weeks = 52) {
+  const sunday = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+  sunday.setUTCDate(sunday.getUTCDate() - sunday.getUTCDay() - (weeks - 1) * 7);
+  const start = sunday.getTime();
+
+  const result = Array.from({ length: weeks }, (_, w) => ({
+    week: new Date(start + w * 7 * 86400000).toISOString().slice(0, 10),
+    days: [0, 0, 0, 0, 0, 0, 0],
+  }));
+  for (const date of dates) {
+    const day = Math.floor((Date.parse(`${date.slice(0, 10)}T00:00:00Z`) - start) / 86400000);
+    if (day >= 0 && day < weeks * 7) result[Math.floor(day / 7)].days[day % 7]++;
+  }
+  return result;
+}
+
+/**
+ * Count stars per calendar month (UTC), oldest first; months without new
+ * stars are left out.
+ * @param {string[]} dates  ISO 8601 times the stars were given
+ * @returns {{ month: string, stars: number }[]}  month is YYYY-MM
+ */
+export function toStarHistory(dates) {
+  const counts = new Map();
+  for (const date of dates) {
+    const month = date.slice(0, 7);
+    counts.set(month, (counts.get(month) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => a[0].localeCompare(b[0])).map(([month, stars]) => ({ month, stars }));
+}
+
+/** ISO date a year (52 weeks) back, for `since` filters on commit listings. */
+export function activitySince(weeks = 52) {
+  return new Date(Date.now() - weeks * 7 * 86400000).toISOString();
+}
+
+/** Name of the language with the most bytes, or null when there is no data. */
+export function primaryLanguage(langData) {
+  const entries = Object.entries(langData || {});
+  if (!entries.length) return null;
+  return entries.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Sort calendar entries oldest first and drop days after today — full-year
+ * sources pad the current year out to December 31st.
+ */
+export function trimCalendar(days) {
+  const today = new Date().toISOString().slice(0, 10);
+  return days.filter(d => d.date <= today).sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * Sum several `{ date, count, level }` calendars day by day and re-level the
+ * result, e.g. to show an organisation's combined activity.
+ */
+export function mergeCalendars(calendars) {
+  const counts = {};
+  for (const calendar of calendars) {
+    for (const { date, count } of calendar) counts[date] = (counts[date] || 0) + (count || 0);
+  }
+  return toCalendar(counts);
+}
+
+/**
+ * Turn a `{ 'YYYY-MM-DD': count }` map into the last `days` calendar entries
+ * `{ date, count, level }`, oldest first — the jogruber.de shape the lobby's
+ * contribution graph consumes. By default the calendar reaches back to the
+ * earliest date in the map, and at least a year.
+ * Levels 1-4 follow GitHub's quartiles over the non-zero days.
+ */
+export function toCalendar(countsByDate, days = Math.max(365, daysSince(Object.keys(countsByDate)))) {
+  const nonZero = Object.values(countsByDate).filter(n => n > 0).sort((a, b) => a - b);
+  const quartile = q => nonZero[Math.floor((nonZero.length - 1) * q)] || 0;
+  const bounds = [quartile(0.25), quartile(0.5), quartile(0.75)];
+
+  const result = [];
+  const day = new Date();
+  day.setUTCHours(0, 0, 0, 0);
+  day.setUTCDate(day.getUTCDate() - (days - 1));
+  for (let i = 0; i < days; i++) {
+    const date  = day.toISOString().slice(0, 10);
+    const count = countsByDate[date] || 0;
+    const level = count === 0 ? 0 : 1 + bounds.filter(b => count > b).length;
+    result.push({ date, count, level });
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return result;
+}
+
+/** Days from the earliest of `dates` (YYYY-MM-DD) through today, inclusive. */
+function daysSince(dates) {
+  if (!dates.length) return 0;
+  const earliest = dates.reduce((min, d) => (d < min ? d : min));
+  return Math.floor((Date.now() - Date.parse(earliest)) / 86400000) + 1;
+}
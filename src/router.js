@@ -1,4 +1,5 @@
 import { Euler as ThreeEuler } from 'three';
+import { roomEntrance } from './layout.js';
 
 /**
  * URL hash routing — deep-link to rooms or lobby.
@@ -39,16 +40,13 @@ export function setHash(type, repoName) {
  * @param {object} config - CONFIG object
  */
 export function teleportToRoom(camera, controls, room, config) {
-  const rd = config.museum.roomDepth || 10;
   const pos = controls.getObject ? controls.getObject().position : camera.position;
-  // Land just inside the doorway (inner wall side), offset toward hallway
-  const side = room.position.x > 0 ? 1 : -1;
-  pos.x = room.position.x - side * (room.rw / 2 - 1.5);
-  pos.y = config.player.height;
-  pos.z = room.position.z;
+  // Land just inside the doorway, facing the README panels on the far wall
+  const { x, z, yaw: facingY } = roomEntrance(room.placement);
+  pos.x = x;
+  pos.y = room.position.y + config.player.height;
+  pos.z = z;
 
-  // Face toward the README panels (outer side wall, opposite the doorway)
-  const facingY = side > 0 ? -Math.PI / 2 : Math.PI / 2;
   const obj = controls.getObject ? controls.getObject() : camera;
   if (obj === camera) {
     // Desktop: PointerLockControls reads camera.quaternion directly
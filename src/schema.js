@@ -0,0 +1,412 @@
+/**
+ * The gallery data model — what fetchAllData returns and what
+ * scripts/cache-github.js writes to src/github-data.json.
+ *
+ * Forge responses are normalized down to the fields the scene actually reads,
+ * so nothing downstream depends on a particular provider's payload. Shared by
+ * the runtime and the cache script: keep it free of Vite/Node specifics.
+ *
+ * Bump SCHEMA_VERSION whenever the shape changes, and add a step to MIGRATIONS
+ * that upgrades data written by the previous version.
+ *
+ * @typedef {object} Repo
+ * @property {string}      name
+ * @property {string}      full_name         owner/name (owner may contain slashes on GitLab)
+ * @property {string}      description
+ * @property {string|null} language          primary language, a LANG_COLORS key when known
+ * @property {number}      stargazers_count
+ * @property {number}      forks_count
+ * @property {string[]}    topics
+ * @property {boolean}     fork
+ * @property {boolean}     archived
+ * @property {string|null} html_url
+ * @property {string}      default_branch
+ * @property {string|null} created_at        ISO 8601
+ * @property {string|null} updated_at
+ * @property {string|null} pushed_at
+ *
+ * @typedef {{ date: string, count: number, level: number }} ContributionDay  date is YYYY-MM-DD, level 0–4
+ * @typedef {{ path: string, type: 'tree'|'blob' }} TreeEntry
+ * @typedef {object} FileTree
+ * @property {TreeEntry[]} entries     shallowest first
+ * @property {boolean}     recursive   false for top-level-only listings (schema v1)
+ * @property {boolean}     truncated   the forge, or the entry cap, cut the listing short
+ * @typedef {{ sha: string, message: string, date: string, author: string }} Commit
+ * @typedef {object} Release
+ * @property {string}      tag
+ * @property {string}      name         the tag when the release has no title
+ * @property {string|null} date         ISO 8601; null for bare GitHub tags
+ * @property {string}      notes        markdown, '' when there are none
+ * @property {boolean}     prerelease
+ * @typedef {{ login: string, name: string, avatar_url: string|null, contributions: number }} Contributor
+ * @typedef {{ week: string, days: number[] }} ActivityWeek  week is the Sunday (YYYY-MM-DD); days holds 7 commit counts
+ * @typedef {{ month: string, stars: number }} StarMonth      month is YYYY-MM; stars given that month
+ * @typedef {object} WorkItem  an issue or pull/merge request
+ * @property {number}      number
+ * @property {string}      title
+ * @property {'issue'|'pr'} kind
+ * @property {'open'|'review'|'merged'|'closed'} state   review = open PR; closed = finished issue
+ * @property {boolean}     draft
+ * @property {{ name: string, color: string|null }[]} labels   color is '#rrggbb'
+ * @property {string}      author
+ * @property {string|null} createdAt   ISO 8601
+ * @property {string|null} closedAt    merge or close time
+ *
+ * @typedef {object} Gist
+ * @property {string}      id
+ * @property {string}      description
+ * @property {string|null} html_url
+ * @property {string|null} created_at
+ * @property {string|null} updated_at
+ * @property {{ name: string, language: string|null, size: number, text: string|null }[]} files
+ *           text is null for files too large (or too many) to fetch
+ *
+ * @typedef {object} GalleryData
+ * @property {number}  schemaVersion
+ * @property {string}  username
+ * @property {string}  org                   '' for a personal gallery
+ * @property {string}  provider              'github' | 'gitlab' | 'gitea' | 'forgejo' | 'local'
+ * @property {number}  [commitLimit]         commits fetched per repo (build caches only)
+ * @property {{ login: string, name: string, avatar_url: string|null }|null} profile
+ * @property {Repo[]}  repos
+ * @property {string[]} pinned              repo names for the grand hall, in display order (all in `repos`)
+ * @property {Record<string, Record<string, number>|null>} languages  repo name → language → bytes (null: the fetch failed)
+ * @property {ContributionDay[]} contributions                    oldest first, every year the forge reports
+ * @property {Record<string, string|null>}       readmes          repo name → markdown (build caches only)
+ * @property {Record<string, FileTree|null>}    fileTrees        repo name → listing (build caches only)
+ * @property {Record<string, Commit[]|null>}     commits          repo name → newest first (build caches only)
+ * @property {Record<string, Release[]|null>}    releases         repo name → newest first (build caches only)
+ * @property {Record<string, WorkItem[]|null>}   activity         repo name → recently updated issues and PRs (build caches only)
+ * @property {Record<string, Contributor[]|null>} contributors    repo name → most commits first (build caches only)
+ * @property {Record<string, ActivityWeek[]|null>} commitActivity  repo name → the past 52 weeks, oldest first (build caches only)
+ * @property {Record<string, StarMonth[]|null>} starHistory     repo name → months with new stars, oldest first (build caches only)
+ * @property {Record<string, string>}            avatars          avatar URL → data: URL of the downloaded image (build caches only)
+ * @property {Gist[]}  gists                newest first; empty unless CONFIG.gists is enabled (GitHub only)
+ * @property {Record<string, Record<string, string>>} files      repo name → path → text of featured files (build caches only)
+ */
+
+export const SCHEMA_VERSION = 10;
+
+/**
+ * Upgrade steps keyed by the version they upgrade *from*. Each returns data
+ * for the next version. Unversioned files (written before the schema existed)
+ * hold raw forge objects and go straight through normalizeData instead.
+ * @type {Record<number, (data: object) => object>}
+ */
+const MIGRATIONS = {
+  // v2: file trees became recursive listings with truncation flags
+  1: data => ({
+    ...data,
+    schemaVersion: 2,
+    fileTrees: mapValues(data.fileTrees, entries => ({ entries, recursive: false, truncated: false })),
+  }),
+  // v3: featured source files bundled for the source viewer
+  2: data => ({ ...data, schemaVersion: 3, files: {} }),
+  // v4: releases (or tags) per repo
+  3: data => ({ ...data, schemaVersion: 4, releases: {} }),
+  // v5: issues and pull requests for the project board
+  4: data => ({ ...data, schemaVersion: 5, activity: {} }),
+  // v6: contributors per repo, with their avatars embedded
+  5: data => ({ ...data, schemaVersion: 6, contributors: {}, avatars: {} }),
+  // v7: weekly commit counts per repo
+  6: data => ({ ...data, schemaVersion: 7, commitActivity: {} }),
+  // v8: stars per month per repo
+  7: data => ({ ...data, schemaVersion: 8, starHistory: {} }),
+  // v9: the user's public gists
+  8: data => ({ ...data, schemaVersion: 9, gists: [] }),
+  // v10: pinned repos for the grand hall
+  9: data => ({ ...data, schemaVersion: 10, pinned: [] }),
+};
+
+/**
+ * Reduce a forge repo object to the Repo shape.
+ * @param {object} raw
+ * @returns {Repo}
+ */
+export function normalizeRepo(raw) {
+  return {
+    name:             String(raw.name),
+    full_name:        String(raw.full_name || raw.name),
+    description:      raw.description || '',
+    language:         raw.language || null,
+    stargazers_count: Number(raw.stargazers_count) || 0,
+    forks_count:      Number(raw.forks_count) || 0,
+    topics:           Array.isArray(raw.topics) ? raw.topics.map(String) : [],
+    fork:             !!raw.fork,
+    archived:         !!raw.archived,
+    html_url:         raw.html_url || null,
+    default_branch:   raw.default_branch || 'HEAD',
+    created_at:       raw.created_at || null,
+    updated_at:       raw.updated_at || null,
+    pushed_at:        raw.pushed_at || null,
+  };
+}
+
+/**
+ * Build a GalleryData object from fetched (or legacy cached) data, dropping
+ * every field the scene does not use.
+ * @param {object} data
+ * @returns {GalleryData}
+ */
+export function normalizeData(data) {
+  const out = {
+    schemaVersion: SCHEMA_VERSION,
+    username:      String(data.username || ''),
+    org:           data.org || '',
+    provider:      data.provider || 'github',
+    profile:       data.profile
+      ? {
+        login:      String(data.profile.login || ''),
+        name:       String(data.profile.name || data.profile.login || ''),
+        avatar_url: data.profile.avatar_url || null,
+      }
+      : null,
+    repos:         (data.repos || []).map(normalizeRepo),
+    pinned:        (data.pinned || []).map(String),
+    languages:     mapValues(data.languages, langs => mapValues(langs, Number)),
+    contributions: (data.contributions || []).map(day => ({
+      date:  String(day.date),
+      count: Number(day.count) || 0,
+      level: Number(day.level) || 0,
+    })),
+    readmes:       mapValues(data.readmes, md => (typeof md === 'string' ? md : null)),
+    fileTrees:     mapValues(data.fileTrees, normalizeFileTree),
+    commits:       mapValues(data.commits, log => log && log.map(c => ({
+      sha:     String(c.sha || ''),
+      message: String(c.message || ''),
+      date:    String(c.date || ''),
+      author:  String(c.author || ''),
+    }))),
+    releases:      mapValues(data.releases, list => list.map(r => ({
+      tag:        String(r.tag || ''),
+      name:       String(r.name || r.tag || ''),
+      date:       r.date || null,
+      notes:      String(r.notes || ''),
+      prerelease: !!r.prerelease,
+    }))),
+    activity:      mapValues(data.activity, items => items.map(item => ({
+      number:    Number(item.number) || 0,
+      title:     String(item.title || ''),
+      kind:      item.kind === 'pr' ? 'pr' : 'issue',
+      state:     String(item.state),
+      draft:     !!item.draft,
+      labels:    (item.labels || []).map(l => ({ name: String(l.name), color: l.color || null })),
+      author:    String(item.author || ''),
+      createdAt: item.createdAt || null,
+      closedAt:  item.closedAt || null,
+    }))),
+    contributors:  mapValues(data.contributors, list => list.map(c => ({
+      login:         String(c.login || ''),
+      name:          String(c.name || c.login || ''),
+      avatar_url:    c.avatar_url || null,
+      contributions: Number(c.contributions) || 0,
+    }))),
+    commitActivity: mapValues(data.commitActivity, weeks => weeks.map(w => ({
+      week: String(w.week),
+      days: Array.from({ length: 7 }, (_, i) => Number(w.days?.[i]) || 0),
+    }))),
+    starHistory:   mapValues(data.starHistory, months => months.map(m => ({
+      month: String(m.month),
+      stars: Number(m.stars) || 0,
+    }))),
+    avatars:       mapValues(data.avatars, String),
+    files:         mapValues(data.files, byPath => mapValues(byPath, String)),
+    gists:         (data.gists || []).map(g => ({
+      id:          String(g.id),
+      description: String(g.description || ''),
+      html_url:    g.html_url || null,
+      created_at:  g.created_at || null,
+      updated_at:  g.updated_at || null,
+      files:       (g.files || []).map(f => ({
+        name:     String(f.name),
+        language: f.language || null,
+        size:     Number(f.size) || 0,
+        text:     typeof f.text === 'string' ? f.text : null,
+      })),
+    })),
+  };
+  if (data.commitLimit != null) out.commitLimit = Number(data.commitLimit);
+  return out;
+}
+
+/**
+ * Bring data written by any earlier schema version up to SCHEMA_VERSION.
+ * @param {object} data
+ * @returns {GalleryData}
+ * @throws {Error} for data from a newer version, or with no migration path
+ */
+export function migrateData(data) {
+  if (!data || typeof data !== 'object') throw new Error('Gallery data is not an object');
+  if (data.schemaVersion == null) return normalizeData(data);
+
+  let version = data.schemaVersion;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Gallery data is schema v${version}, newer than the supported v${SCHEMA_VERSION}`);
+  }
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No migration from gallery data schema v${version}`);
+    data = step(data);
+    version = data.schemaVersion;
+  }
+  return data;
+}
+
+/**
+ * Check data against the current schema.
+ * @param {unknown} data
+ * @returns {string[]} problems, each prefixed with its path; empty when valid
+ */
+export function validateData(data) {
+  const errors = [];
+  const check = (ok, path, expected) => {
+    if (!ok) errors.push(`${path}: expected ${expected}`);
+    return ok;
+  };
+  const isString   = v => typeof v === 'string';
+  const isNumber   = v => typeof v === 'number' && Number.isFinite(v);
+  const isDate     = v => v === null || (isString(v) && !Number.isNaN(Date.parse(v)));
+  const isRecord   = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const orNull     = test => v => v === null || test(v);
+
+  if (!check(isRecord(data), 'data', 'an object')) return errors;
+  check(data.schemaVersion === SCHEMA_VERSION, 'schemaVersion', `${SCHEMA_VERSION}`);
+  check(isString(data.username) && data.username !== '', 'username', 'a non-empty string');
+  check(isString(data.org), 'org', 'a string');
+  check(isString(data.provider), 'provider', 'a string');
+  if ('commitLimit' in data) check(isNumber(data.commitLimit), 'commitLimit', 'a number');
+  if (data.profile !== null) {
+    check(isRecord(data.profile) && isString(data.profile.login) && isString(data.profile.name),
+      'profile', 'null or { login, name, avatar_url }');
+  }
+
+  if (check(Array.isArray(data.repos), 'repos', 'an array')) {
+    const names = new Set();
+    data.repos.forEach((repo, i) => {
+      const at = `repos[${i}]`;
+      if (!check(isRecord(repo), at, 'an object')) return;
+      check(isString(repo.name) && repo.name !== '', `${at}.name`, 'a non-empty string');
+      check(!names.has(repo.name), `${at}.name`, 'a unique name');
+      names.add(repo.name);
+      check(isString(repo.full_name), `${at}.full_name`, 'a string');
+      check(isString(repo.description), `${at}.description`, 'a string');
+      check(orNull(isString)(repo.language), `${at}.language`, 'a string or null');
+      check(isNumber(repo.stargazers_count), `${at}.stargazers_count`, 'a number');
+      check(isNumber(repo.forks_count), `${at}.forks_count`, 'a number');
+      check(Array.isArray(repo.topics) && repo.topics.every(isString), `${at}.topics`, 'a string array');
+      check(typeof repo.fork === 'boolean', `${at}.fork`, 'a boolean');
+      check(typeof repo.archived === 'boolean', `${at}.archived`, 'a boolean');
+      check(orNull(isString)(repo.html_url), `${at}.html_url`, 'a string or null');
+      check(isString(repo.default_branch), `${at}.default_branch`, 'a string');
+      for (const key of ['created_at', 'updated_at', 'pushed_at']) {
+        check(isDate(repo[key]), `${at}.${key}`, 'an ISO date or null');
+      }
+    });
+  }
+
+  if (check(Array.isArray(data.pinned), 'pinned', 'an array')) {
+    const repoNames = new Set((Array.isArray(data.repos) ? data.repos : []).map(r => r?.name));
+    data.pinned.forEach((name, i) => {
+      check(isString(name) && repoNames.has(name), `pinned[${i}]`, 'the name of a repo in repos');
+    });
+  }
+
+  if (check(isRecord(data.languages), 'languages', 'an object')) {
+    for (const [name, langs] of Object.entries(data.languages)) {
+      check(langs === null || (isRecord(langs) && Object.values(langs).every(isNumber)),
+        `languages.${name}`, 'a language → bytes map');
+    }
+  }
+
+  if (check(Array.isArray(data.contributions), 'contributions', 'an array')) {
+    data.contributions.forEach((day, i) => {
+      check(
+        isRecord(day) && /^\d{4}-\d{2}-\d{2}$/.test(day.date) &&
+        isNumber(day.count) && Number.isInteger(day.level) && day.level >= 0 && day.level <= 4,
+        `contributions[${i}]`, '{ date: YYYY-MM-DD, count, level: 0–4 }'
+      );
+    });
+  }
+
+  const checkMap = (key, test, expected) => {
+    if (!check(isRecord(data[key]), key, 'an object')) return;
+    for (const [name, value] of Object.entries(data[key])) {
+      check(value === null || test(value), `${key}.${name}`, `null or ${expected}`);
+    }
+  };
+  checkMap('readmes', isString, 'markdown text');
+  checkMap('fileTrees',
+    tree => isRecord(tree) && typeof tree.recursive === 'boolean' && typeof tree.truncated === 'boolean' &&
+      Array.isArray(tree.entries) &&
+      tree.entries.every(e => isRecord(e) && isString(e.path) && (e.type === 'tree' || e.type === 'blob')),
+    '{ entries: [{ path, type }], recursive, truncated }');
+  checkMap('commits',
+    log => Array.isArray(log) && log.every(c => isRecord(c) && ['sha', 'message', 'date', 'author'].every(k => isString(c[k]))),
+    'an array of { sha, message, date, author }');
+  checkMap('releases',
+    list => Array.isArray(list) && list.every(r => isRecord(r) && isString(r.tag) && isString(r.name) &&
+      isDate(r.date) && isString(r.notes) && typeof r.prerelease === 'boolean'),
+    'an array of { tag, name, date, notes, prerelease }');
+  checkMap('activity',
+    items => Array.isArray(items) && items.every(item => isRecord(item) &&
+      isNumber(item.number) && isString(item.title) && ['issue', 'pr'].includes(item.kind) &&
+      ['open', 'review', 'merged', 'closed'].includes(item.state) && typeof item.draft === 'boolean' &&
+      Array.isArray(item.labels) && item.labels.every(l => isRecord(l) && isString(l.name) && orNull(isString)(l.color)) &&
+      isString(item.author) && isDate(item.createdAt) && isDate(item.closedAt)),
+    'an array of { number, title, kind, state, draft, labels, author, createdAt, closedAt }');
+  checkMap('contributors',
+    list => Array.isArray(list) && list.every(c => isRecord(c) && isString(c.login) && isString(c.name) &&
+      orNull(isString)(c.avatar_url) && isNumber(c.contributions)),
+    'an array of { login, name, avatar_url, contributions }');
+  checkMap('commitActivity',
+    weeks => Array.isArray(weeks) && weeks.every(w => isRecord(w) && /^\d{4}-\d{2}-\d{2}$/.test(w.week) &&
+      Array.isArray(w.days) && w.days.length === 7 && w.days.every(isNumber)),
+    'an array of { week: YYYY-MM-DD, days: [7 counts] }');
+  checkMap('starHistory',
+    months => Array.isArray(months) && months.every(m => isRecord(m) && /^\d{4}-\d{2}$/.test(m.month) && isNumber(m.stars)),
+    'an array of { month: YYYY-MM, stars }');
+  if (check(isRecord(data.avatars), 'avatars', 'an object')) {
+    for (const [url, image] of Object.entries(data.avatars)) {
+      check(isString(image) && image.startsWith('data:image/'), `avatars.${url}`, 'a data:image/ URL');
+    }
+  }
+  if (check(isRecord(data.files), 'files', 'an object')) {
+    for (const [name, byPath] of Object.entries(data.files)) {
+      check(isRecord(byPath) && Object.values(byPath).every(isString), `files.${name}`, 'a path → text map');
+    }
+  }
+
+  if (check(Array.isArray(data.gists), 'gists', 'an array')) {
+    data.gists.forEach((gist, i) => {
+      check(
+        isRecord(gist) && isString(gist.id) && isString(gist.description) && orNull(isString)(gist.html_url) &&
+        isDate(gist.created_at) && isDate(gist.updated_at) && Array.isArray(gist.files) &&
+        gist.files.every(f => isRecord(f) && isString(f.name) && orNull(isString)(f.language) &&
+          isNumber(f.size) && orNull(isString)(f.text)),
+        `gists[${i}]`, '{ id, description, html_url, created_at, updated_at, files: [{ name, language, size, text }] }'
+      );
+    });
+  }
+
+  return errors;
+}
+
+// Unversioned files hold the top-level-only arrays of the Contents API
+function normalizeFileTree(tree) {
+  const legacy  = Array.isArray(tree);
+  const entries = legacy ? tree : tree.entries || [];
+  return {
+    entries:   entries.map(entry => ({
+      path: String(entry.path),
+      type: entry.type === 'tree' ? 'tree' : 'blob',
+    })),
+    recursive: !legacy && !!tree.recursive,
+    truncated: !legacy && !!tree.truncated,
+  };
+}
+
+function mapValues(obj, fn) {
+  const out = {};
+  for (const [key, value] of Object.entries(obj || {})) out[key] = value == null ? null : fn(value);
+  return out;
+}
@@ -0,0 +1,85 @@
+/**
+ * Declarative repository selection — which repos get a room, and in what order.
+ * Shared by the runtime fetcher and scripts/cache-github.js, so keep it free
+ * of Vite/Node specifics.
+ */
+
+export const DEFAULT_SELECTION = {
+  include:       [],      // globs on name (or owner/name); non-empty = allow-list
+  exclude:       [],      // globs on name (or owner/name)
+  topics:        [],      // keep repos tagged with at least one of these
+  excludeTopics: [],      // drop repos tagged with any of these
+  forks:         false,   // include forks
+  archived:      true,    // include archived repos
+  minStars:      0,
+  pinned:        [],      // repo names placed first, in this order
+  sort:          'stars', // 'stars' | 'pushed_at' | 'created_at' | 'name'
+  maxCount:      30,
+};
+
+const SORTERS = {
+  stars:      (a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0),
+  pushed_at:  (a, b) => dateOf(b.pushed_at) - dateOf(a.pushed_at),
+  created_at: (a, b) => dateOf(b.created_at) - dateOf(a.created_at),
+  name:       (a, b) => a.name.localeCompare(b.name),
+};
+
+/**
+ * Filter, order and cap a list of repos.
+ * @param {object[]} repos  GitHub-shaped repo objects
+ * @param {Partial<typeof DEFAULT_SELECTION>} [rules]
+ * @returns {object[]}
+ */
+export function selectRepos(repos, rules = {}) {
+  const r = { ...DEFAULT_SELECTION, ...rules };
+  const include = r.include.map(compileGlob);
+  const exclude = r.exclude.map(compileGlob);
+  const sorter  = SORTERS[r.sort];
+  if (!sorter) throw new Error(`Unknown repo sort key: ${r.sort}`);
+
+  const matches = (patterns, repo) =>
+    patterns.some(({ re, scoped }) => re.test(scoped ? repo.full_name : repo.name));
+
+  const selected = repos.filter(repo => {
+    const topics = repo.topics || [];
+    if (repo.fork && !r.forks) return false;
+    if (repo.archived && !r.archived) return false;
+    if ((repo.stargazers_count || 0) < r.minStars) return false;
+    if (include.length && !matches(include, repo)) return false;
+    if (matches(exclude, repo)) return false;
+    if (r.topics.length && !r.topics.some(t => topics.includes(t))) return false;
+    if (r.excludeTopics.some(t => topics.includes(t))) return false;
+    return true;
+  });
+
+  selected.sort(sorter);
+
+  // Stable partition: pinned repos first (in config order), then the rest
+  const pinnedRank = new Map(r.pinned.map((name, i) => [name, i]));
+  const pinned = selected
+    .filter(repo => pinnedRank.has(repo.name))
+    .sort((a, b) => pinnedRank.get(a.name) - pinnedRank.get(b.name));
+  const rest = selected.filter(repo => !pinnedRank.has(repo.name));
+
+  return [...pinned, ...rest].slice(0, r.maxCount);
+}
+
+/**
+ * `*` matches within a path segment, `**` across segments, `?` one char.
+ * Globs containing a slash are matched against `owner/name`.
+ */
+function compileGlob(glob) {
+  let src = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') { src += '.*'; i++; }
+    else if (ch === '*') src += '[^/]*';
+    else if (ch === '?') src += '[^/]';
+    else src += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return { re: new RegExp(`^${src}$`, 'i'), scoped: glob.includes('/') };
+}
+
+function dateOf(iso) {
+  return iso ? Date.parse(iso) : 0;
+}
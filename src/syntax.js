@@ -0,0 +1,167 @@
+/**
+ * Lightweight syntax highlighting for the in-room source viewer, covering the
+ * languages in LANG_COLORS. A line-by-line scanner that knows each language's
+ * comments, strings and keywords — not a parser, but enough to read code on a
+ * wall. Shared with scripts/local-provider.js, so keep it free of DOM/Node.
+ */
+
+// Extension → linguist language name (keys match LANG_COLORS in materials.js)
+export const LANG_EXTENSIONS = {
+  '.js': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript', '.jsx': 'JavaScript',
+  '.ts': 'TypeScript', '.tsx': 'TypeScript', '.mts': 'TypeScript',
+  '.py': 'Python', '.rs': 'Rust', '.go': 'Go',
+  '.c': 'C', '.h': 'C',
+  '.cc': 'C++', '.cpp': 'C++', '.cxx': 'C++', '.hpp': 'C++', '.hh': 'C++',
+  '.cs': 'C#', '.java': 'Java', '.rb': 'Ruby', '.php': 'PHP', '.swift': 'Swift',
+  '.kt': 'Kotlin', '.kts': 'Kotlin', '.dart': 'Dart', '.scala': 'Scala',
+  '.hs': 'Haskell', '.ex': 'Elixir', '.exs': 'Elixir', '.lua': 'Lua',
+  '.sh': 'Shell', '.bash': 'Shell', '.zsh': 'Shell',
+  '.html': 'HTML', '.htm': 'HTML', '.css': 'CSS', '.scss': 'SCSS',
+  '.vue': 'Vue', '.svelte': 'Svelte', '.ipynb': 'Jupyter Notebook',
+  '.zig': 'Zig', '.nix': 'Nix',
+};
+
+const C_KEYWORDS = 'if else for while do switch case default break continue return goto struct union enum typedef const static extern void sizeof volatile inline';
+const JS_KEYWORDS = 'if else for while do switch case default break continue return function var let const class extends new delete typeof instanceof in of this super import export from as async await yield try catch finally throw null undefined true false';
+
+// Per language: line comment markers, [open, close] block comments, quote
+// characters, keywords, and optionally a regex for tags/attributes
+const C_LIKE = { line: ['//'], block: [['/*', '*/']], quotes: '"\'' };
+const SPECS = {
+  JavaScript: { ...C_LIKE, quotes: '"\'`', keywords: JS_KEYWORDS },
+  TypeScript: { ...C_LIKE, quotes: '"\'`', keywords: `${JS_KEYWORDS} interface type implements private public protected readonly enum namespace declare abstract keyof` },
+  C:          { ...C_LIKE, keywords: `${C_KEYWORDS} int char float double long short unsigned signed` },
+  'C++':      { ...C_LIKE, keywords: `${C_KEYWORDS} int char float double long short unsigned signed bool class namespace template typename public private protected virtual override new delete this nullptr true false using auto constexpr` },
+  'C#':       { ...C_LIKE, keywords: 'if else for foreach while do switch case default break continue return class struct interface enum namespace using public private protected internal static readonly const void var new this base null true false async await try catch finally throw override virtual abstract' },
+  Java:       { ...C_LIKE, keywords: 'if else for while do switch case default break continue return class interface enum extends implements package import public private protected static final void new this super null true false try catch finally throw throws abstract synchronized' },
+  Go:         { ...C_LIKE, quotes: '"\'`', keywords: 'if else for range switch case default break continue return func var const type struct interface map chan go defer select package import nil true false' },
+  Rust:       { ...C_LIKE, quotes: '"', keywords: 'if else for while loop match break continue return fn let mut const static struct enum trait impl pub use mod crate self Self super as in ref move async await unsafe where true false' },
+  Swift:      { ...C_LIKE, keywords: 'if else for while repeat switch case default break continue return func var let class struct enum protocol extension import guard defer self nil true false try catch throw in' },
+  Kotlin:     { ...C_LIKE, keywords: 'if else for while do when break continue return fun val var class object interface data sealed package import this super null true false try catch finally throw in is as' },
+  Dart:       { ...C_LIKE, keywords: 'if else for while do switch case default break continue return var final const class extends implements import library new this super null true false async await try catch finally throw void' },
+  Scala:      { ...C_LIKE, keywords: 'if else for while do match case return def val var class object trait extends with import package new this super null true false try catch finally throw yield' },
+  PHP:        { ...C_LIKE, line: ['//', '#'], keywords: 'if else elseif for foreach while do switch case default break continue return function class interface extends implements namespace use public private protected static new echo null true false try catch finally throw' },
+  Zig:        { ...C_LIKE, block: [], quotes: '"\'', keywords: 'if else for while switch break continue return fn const var pub struct enum union error try catch defer comptime null undefined true false' },
+  Python:     { line: ['#'], block: [], quotes: '"\'', keywords: 'if elif else for while break continue return def class import from as with try except finally raise pass lambda yield global nonlocal in is not and or None True False async await self' },
+  Ruby:       { line: ['#'], block: [], quotes: '"\'', keywords: 'if elsif else unless for while until case when break next return def class module end do begin rescue ensure raise yield self nil true false require' },
+  Elixir:     { line: ['#'], block: [], quotes: '"\'', keywords: 'if else unless case cond do end fn def defp defmodule import alias use require when true false nil' },
+  Shell:      { line: ['#'], block: [], quotes: '"\'', keywords: 'if then else elif fi for while until do done case esac function return in local export echo' },
+  Nix:        { line: ['#'], block: [['/*', '*/']], quotes: '"', keywords: 'let in with rec inherit if then else import true false null' },
+  Lua:        { line: ['--'], block: [['--[[', ']]']], quotes: '"\'', keywords: 'if then else elseif for while repeat until do end function local return break in and or not nil true false' },
+  Haskell:    { line: ['--'], block: [['{-', '-}']], quotes: '"', keywords: 'if then else case of let in where do data type newtype class instance module import deriving' },
+  HTML:       { line: [], block: [['<!--', '-->']], quotes: '"\'', keywords: '', tags: /^<\/?[A-Za-z][\w-]*|^\/?>/ },
+  CSS:        { line: [], block: [['/*', '*/']], quotes: '"\'', keywords: 'important', tags: /^[#.][A-Za-z][\w-]*/ },
+  SCSS:       { line: ['//'], block: [['/*', '*/']], quotes: '"\'', keywords: 'important', tags: /^([#.][A-Za-z][\w-]*|[$@][\w-]+)/ },
+  'Jupyter Notebook': { line: [], block: [], quotes: '"', keywords: 'true false null' },
+};
+SPECS.Vue    = { ...SPECS.HTML, line: ['//'], block: [['<!--', '-->'], ['/*', '*/']], quotes: '"\'`', keywords: JS_KEYWORDS };
+SPECS.Svelte = SPECS.Vue;
+
+const KEYWORD_SETS = new Map(Object.entries(SPECS).map(([lang, spec]) => [lang, new Set(spec.keywords.split(' '))]));
+
+/**
+ * Linguist language for a file path, or null when the extension is unknown.
+ * @param {string} path
+ * @returns {string|null}
+ */
+export function languageForPath(path) {
+  const name = path.slice(path.lastIndexOf('/') + 1).toLowerCase();
+  const dot  = name.lastIndexOf('.');
+  return dot === -1 ? null : LANG_EXTENSIONS[name.slice(dot)] || null;
+}
+
+/**
+ * Split source text into lines of tokens. Unknown languages come back as
+ * plain text, one token per line.
+ * @param {string} text
+ * @param {string|null} lang  a LANG_COLORS key
+ * @returns {Array<Array<{ text: string, kind: 'plain'|'keyword'|'string'|'comment'|'number'|'tag' }>>}
+ */
+export function highlight(text, lang) {
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  const spec  = SPECS[lang];
+  if (!spec) return lines.map(line => (line ? [{ text: line, kind: 'plain' }] : []));
+
+  const keywords = KEYWORD_SETS.get(lang);
+  let blockEnd = null; // close marker of a block comment still open from an earlier line
+
+  return lines.map(line => {
+    const tokens = [];
+    const push = (chunk, kind) => {
+      const last = tokens[tokens.length - 1];
+      if (last && last.kind === kind) last.text += chunk;
+      else tokens.push({ text: chunk, kind });
+    };
+
+    let i = 0;
+    while (i < line.length) {
+      const rest = line.slice(i);
+
+      if (blockEnd) {
+        const end = rest.indexOf(blockEnd);
+        const len = end === -1 ? rest.length : end + blockEnd.length;
+        push(rest.slice(0, len), 'comment');
+        if (end !== -1) blockEnd = null;
+        i += len;
+        continue;
+      }
+
+      const block = spec.block.find(([open]) => rest.startsWith(open));
+      if (block) {
+        push(block[0], 'comment');
+        blockEnd = block[1];
+        i += block[0].length;
+        continue;
+      }
+
+      if (spec.line.some(marker => rest.startsWith(marker))) {
+        push(rest, 'comment');
+        break;
+      }
+
+      if (spec.quotes.includes(rest[0])) {
+        const close = findClosingQuote(rest);
+        if (close !== -1) {
+          push(rest.slice(0, close + 1), 'string');
+          i += close + 1;
+          continue;
+        }
+      }
+
+      const prev = line[i - 1] || '';
+      const tag  = spec.tags && !/[\w$]/.test(prev) && spec.tags.exec(rest);
+      if (tag) {
+        push(tag[0], 'tag');
+        i += tag[0].length;
+        continue;
+      }
+
+      const number = !/[\w$]/.test(prev) && /^\d[\w.]*/.exec(rest);
+      if (number) {
+        push(number[0], 'number');
+        i += number[0].length;
+        continue;
+      }
+
+      const word = /^[A-Za-z_$][\w$]*/.exec(rest);
+      if (word) {
+        push(word[0], keywords.has(word[0]) ? 'keyword' : 'plain');
+        i += word[0].length;
+        continue;
+      }
+
+      push(rest[0], 'plain');
+      i++;
+    }
+    return tokens;
+  });
+}
+
+/** Index of the quote closing the string that `s` starts with, or -1. */
+function findClosingQuote(s) {
+  for (let i = 1; i < s.length; i++) {
+    if (s[i] === '\\') i++;
+    else if (s[i] === s[0]) return i;
+  }
+  return -1;
+}
@@ -1,4 +1,5 @@
 let $loading, $status, $bar, $instructions, $crosshair, $tooltip, $minimap, minimapCtx, $directory, $teleportBadge;
+let $rateLimit, rateLimitTimer, $stats;
 
 export function initUI() {
   $loading      = document.getElementById('loading-screen');
@@ -13,6 +14,8 @@ export function initUI() {
   $minimap.height = 160;
   minimapCtx = $minimap.getContext('2d');
   $teleportBadge = document.getElementById('teleport-badge');
+  $rateLimit     = document.getElementById('rate-limit-notice');
+  $stats         = document.getElementById('stats');
 }
 
 export function setLoading(statusText, pct) {
@@ -51,12 +54,59 @@ export function hideTooltip() {
 }
 
 /**
- * Draw a top-down minimap.
+ * Show or clear the rate-limit banner. Hides itself once the quota resets.
+ * @param {{ limited: boolean, resetAt: number|null }} state
+ * @param {string} text — e.g. "Rate limited until 14:32"
+ */
+export function setRateLimitNotice(state, text) {
+  if (!$rateLimit) return;
+  clearTimeout(rateLimitTimer);
+  if (!state.limited) {
+    $rateLimit.classList.remove('visible');
+    return;
+  }
+  $rateLimit.textContent = `${text} — some panels may be empty until then`;
+  $rateLimit.classList.add('visible');
+  rateLimitTimer = setTimeout(() => $rateLimit.classList.remove('visible'), state.resetAt - Date.now());
+}
+
+/** Show or hide the render stats overlay. */
+export function toggleStats() {
+  if ($stats) $stats.classList.toggle('visible');
+}
+
+export function isStatsVisible() {
+  return !!$stats && $stats.classList.contains('visible');
+}
+
+/**
+ * Fill the render stats overlay.
+ * @param {{ fps: number, calls: number, triangles: number, geometries: number, textures: number, built: number, rooms: number }} stats
+ *        frame rate, the last frame's draw calls and triangles, what's on the GPU, and rooms built of all rooms
+ */
+export function updateStats({ fps, calls, triangles, geometries, textures, built, rooms }) {
+  if (!$stats) return;
+  $stats.textContent = [
+    `${Math.round(fps)} fps`,
+    `Draw calls  ${calls}`,
+    `Triangles   ${triangles.toLocaleString()}`,
+    `Geometries  ${geometries}`,
+    `Textures    ${textures}`,
+    `Rooms built ${built} / ${rooms}`,
+  ].join('\n');
+}
+
+/**
+ * Draw a top-down minimap, fitted to the museum's layout.
  * @param {THREE.Vector3} playerPos — player world position
- * @param {{ position: THREE.Vector3, repoName: string }[]} roomMeta
- * @param {object} config  — { hallLength, roomDepth }
+ * @param {{ position: THREE.Vector3, rw: number, rd: number, grand: boolean, wing: object|null }[]} roomMeta
+ * @param {object[]} corridors — the layout's halls and hubs (see layout.js); grand ones are flagged
+ * @param {{ start: THREE.Vector3, end: THREE.Vector3 }|null} [gistWing]
+ * @param {{ name: string, color: string, x: number, z: number, rotation: number }[]} [wings] — wing mouths, labelled
+ * @param {{ count: number, height: number, core: object }|null} [storeys] — with more than one floor,
+ *        only the player's floor is drawn
  */
-export function updateMinimap(playerPos, roomMeta, config) {
+export function updateMinimap(playerPos, roomMeta, corridors, gistWing = null, wings = [], storeys = null) {
   if (!minimapCtx || !$minimap.classList.contains('visible')) return;
 
   const W = $minimap.width;
@@ -69,11 +119,29 @@ export function updateMinimap(playerPos, roomMeta, config) {
   ctx.fillStyle = '#161b22';
   ctx.fillRect(0, 0, W, H);
 
-  // World-space extent for mapping (roughly)
-  const totalLen = (roomMeta.length + 2) * (config.hallLength || 8);
-  const scale    = Math.min(W, H) / (totalLen * 2 + 10);
-  const cx       = W / 2;
-  const cy       = H * 0.85; // player starts near bottom
+  // The player's floor; the extent still covers every floor, so the map
+  // doesn't jump when changing floors
+  const floor   = storeys ? Math.max(0, Math.min(storeys.count - 1, Math.floor(playerPos.y / storeys.height))) : 0;
+  const onFloor = item => (item.floor || 0) === floor;
+
+  // World-space extent: every corridor, room and the gists wing, plus the lobby
+  const bounds = { minX: -12, maxX: 12, minZ: -12, maxZ: 12 };
+  const extend = (x, z, r = 0) => {
+    bounds.minX = Math.min(bounds.minX, x - r);
+    bounds.maxX = Math.max(bounds.maxX, x + r);
+    bounds.minZ = Math.min(bounds.minZ, z - r);
+    bounds.maxZ = Math.max(bounds.maxZ, z + r);
+  };
+  for (const c of corridors) {
+    if (c.kind === 'hub') extend(c.x, c.z, c.radius);
+    else { extend(c.ax, c.az); extend(c.bx, c.bz); }
+  }
+  roomMeta.forEach(rm => extend(rm.position.x, rm.position.z, Math.max(rm.rw, rm.rd) / 2));
+  if (gistWing) { extend(gistWing.start.x, gistWing.start.z); extend(gistWing.end.x, gistWing.end.z); }
+
+  const scale = Math.min(W / (bounds.maxX - bounds.minX), H / (bounds.maxZ - bounds.minZ)) * 0.9;
+  const cx    = W / 2 - ((bounds.minX + bounds.maxX) / 2) * scale;
+  const cy    = H / 2 - ((bounds.minZ + bounds.maxZ) / 2) * scale;
 
   function worldToMap(wx, wz) {
     return {
@@ -82,30 +150,73 @@ export function updateMinimap(playerPos, roomMeta, config) {
     };
   }
 
-  // Hallway line
-  ctx.strokeStyle = '#21262d';
+  // Ramps, stairs and the elevator between the floors
+  if (storeys) {
+    const a = worldToMap(storeys.core.x0, storeys.core.z0);
+    const b = worldToMap(storeys.core.x1, storeys.core.z1);
+    ctx.fillStyle = '#2d333b';
+    ctx.fillRect(a.x, a.y, b.x - a.x, b.y - a.y);
+  }
+
+  // Corridors: halls as thick lines, hubs as filled polygons
   ctx.lineWidth = 6;
-  ctx.beginPath();
-  const hStart = worldToMap(0, 0);
-  const hEnd   = worldToMap(0, -totalLen);
-  ctx.moveTo(hStart.x, hStart.y);
-  ctx.lineTo(hEnd.x, hEnd.y);
-  ctx.stroke();
+  for (const c of corridors.filter(onFloor)) {
+    const colour = c.grand ? '#4a2530' : '#21262d';
+    ctx.beginPath();
+    if (c.kind === 'hub') {
+      for (let i = 0; i < c.sides; i++) {
+        // Corners sit half a step off +z, so an edge (not a corner) faces it
+        const a = ((i + 0.5) / c.sides) * Math.PI * 2;
+        const p = worldToMap(c.x + Math.sin(a) * c.radius, c.z + Math.cos(a) * c.radius);
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      }
+      ctx.closePath();
+      ctx.fillStyle = colour;
+      ctx.fill();
+    } else {
+      const a = worldToMap(c.ax, c.az);
+      const b = worldToMap(c.bx, c.bz);
+      ctx.strokeStyle = colour;
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+  }
+
+  // Gists corridor
+  if (gistWing && onFloor(gistWing)) {
+    const a = worldToMap(gistWing.start.x, gistWing.start.z);
+    const b = worldToMap(gistWing.end.x, gistWing.end.z);
+    ctx.strokeStyle = '#3b2e58';
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  }
 
   // Lobby marker
+  const lobby = worldToMap(0, 0);
   ctx.fillStyle = '#0e4429';
-  ctx.fillRect(cx - 12, cy - 12, 24, 24);
-
-  // Room dots
-  roomMeta.forEach((rm, i) => {
-    const side = i % 2 === 0 ? 1 : -1;
-    const z = -((i + 1) * (config.hallLength || 8));
-    const x = side * ((config.hallWidth || 4) + (config.roomDepth || 6) * 0.5);
-    const p = worldToMap(x, z);
-    ctx.fillStyle = '#1f6feb';
+  ctx.fillRect(lobby.x - 12, lobby.y - 12, 24, 24);
+
+  // Room dots, in their wing's colour in the wings layout
+  roomMeta.filter(onFloor).forEach(rm => {
+    const p = worldToMap(rm.position.x, rm.position.z);
+    ctx.fillStyle = rm.grand ? '#d29922' : rm.wing ? rm.wing.color : '#1f6feb';
     ctx.fillRect(p.x - 5, p.y - 5, 10, 10);
   });
 
+  // Wing names, just inside each wing's mouth
+  ctx.font = 'bold 10px sans-serif';
+  ctx.textBaseline = 'middle';
+  for (const wing of wings.filter(onFloor)) {
+    const p = worldToMap(wing.x, wing.z);
+    ctx.fillStyle = wing.color;
+    ctx.textAlign = Math.cos(wing.rotation) > 0 ? 'left' : 'right';
+    ctx.fillText(wing.name, p.x + Math.cos(wing.rotation) * 4, p.y);
+  }
+
   // Player dot
   const p = worldToMap(playerPos.x, playerPos.z);
 
@@ -119,6 +230,14 @@ export function updateMinimap(playerPos, roomMeta, config) {
 
   ctx.restore();
 
+  if (storeys) {
+    ctx.fillStyle = '#8b949e';
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(floorName(floor), 6, 6);
+  }
+
   // Border
   ctx.strokeStyle = '#30363d';
   ctx.lineWidth = 1;
@@ -136,18 +255,32 @@ export function showDirectory(roomMeta, onSelect) {
   let html = '<div id="directory-inner">';
   html += '<h2>Room Directory</h2>';
   html += '<button class="dir-card dir-lobby" data-type="lobby">Lobby</button>';
-  html += '<div class="dir-grid">';
 
+  // In the wings layout, rooms are listed under their wing (roomMeta keeps
+  // each wing's rooms together); otherwise in one grid
+  const grouped = roomMeta.some(rm => rm.wing);
+  const floored = roomMeta.some(rm => rm.floor > 0);
+  let section;
   for (let i = 0; i < roomMeta.length; i++) {
-    const rm = roomMeta[i];
+    const rm  = roomMeta[i];
+    const key = !grouped ? '' : rm.wing ? rm.wing.name : 'Pinned';
+    if (i === 0 || key !== section) {
+      if (i > 0) html += '</div>';
+      if (key) {
+        const color = rm.wing ? rm.wing.color : '#d29922';
+        html += `<h3 class="dir-section"><span class="dir-lang-dot" style="background:${color}"></span>${escHtml(key)}</h3>`;
+      }
+      html += '<div class="dir-grid">';
+      section = key;
+    }
     const langDot = `<span class="dir-lang-dot" style="background:${rm.langColor}"></span>`;
     html += `<button class="dir-card" data-idx="${i}">
       <span class="dir-card-name">${langDot}${escHtml(rm.repoName)}</span>
-      <span class="dir-card-meta">${rm.stars} stars &middot; ${rm.lang}</span>
+      <span class="dir-card-meta">${rm.grand ? 'pinned &middot; ' : ''}${floored ? `${floorName(rm.floor)} &middot; ` : ''}${rm.stars} stars &middot; ${rm.lang}</span>
     </button>`;
   }
 
-  html += '</div></div>';
+  html += roomMeta.length ? '</div></div>' : '</div>';
   $directory.innerHTML = html;
   document.body.appendChild($directory);
 
@@ -175,3 +308,8 @@ export function isDirectoryVisible() {
 function escHtml(s) {
   return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
+
+/** "Ground floor", "Floor 1", … — floor 0 is the lobby's. */
+function floorName(floor) {
+  return floor === 0 ? 'Ground floor' : `Floor ${floor}`;
+}